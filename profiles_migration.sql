@@ -12,6 +12,8 @@ CREATE TABLE IF NOT EXISTS profiles (
   tone_of_voice   TEXT,
   social_channels TEXT[],    -- e.g. '{instagram,facebook}'
   images          TEXT[],    -- optional image URLs (company logo, product photos)
+  language        TEXT DEFAULT 'fi', -- content language: 'fi', 'sv' or 'en'
+  organization_id INT REFERENCES organizations(id) ON DELETE SET NULL,
   created_at      TIMESTAMPTZ DEFAULT NOW(),
   updated_at      TIMESTAMPTZ DEFAULT NOW()
 );
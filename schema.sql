@@ -8,7 +8,17 @@ CREATE TABLE IF NOT EXISTS users (
     created_at TIMESTAMP DEFAULT NOW()
 );
 
--- Organizations represent businesses or teams. Each user belongs to a single organization.
+-- Users signing in with Clerk are linked by their Clerk user ID (see
+-- src/identity.js). They have no password, and their email is only known
+-- when Clerk returns one.
+ALTER TABLE IF EXISTS users
+ADD COLUMN IF NOT EXISTS clerk_id TEXT UNIQUE;
+
+ALTER TABLE IF EXISTS users
+ALTER COLUMN email DROP NOT NULL,
+ALTER COLUMN password_hash DROP NOT NULL;
+
+-- Organizations represent businesses or teams. Users join them through organization_members.
 CREATE TABLE IF NOT EXISTS organizations (
     id SERIAL PRIMARY KEY,
     name TEXT NOT NULL,
@@ -19,6 +29,49 @@ CREATE TABLE IF NOT EXISTS organizations (
 ALTER TABLE IF EXISTS users
 ADD COLUMN IF NOT EXISTS organization_id INT REFERENCES organizations(id);
 
+-- Organization membership with roles 'owner', 'admin', 'editor' or 'viewer'
+-- (see src/roles.js). users.organization_id is the user's current organization.
+CREATE TABLE IF NOT EXISTS organization_members (
+    id SERIAL PRIMARY KEY,
+    organization_id INT REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'editor',
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (organization_id, user_id)
+);
+
+-- Users created before memberships existed own their organization.
+INSERT INTO organization_members (organization_id, user_id, role)
+SELECT organization_id, id, 'owner' FROM users WHERE organization_id IS NOT NULL
+ON CONFLICT (organization_id, user_id) DO NOTHING;
+
+-- Pending email invitations. Only the SHA-256 hash of the token is stored.
+CREATE TABLE IF NOT EXISTS organization_invitations (
+    id SERIAL PRIMARY KEY,
+    organization_id INT REFERENCES organizations(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    invited_by TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Organizations created in Clerk are linked by their Clerk organization ID.
+ALTER TABLE IF EXISTS organizations
+ADD COLUMN IF NOT EXISTS clerk_org_id TEXT UNIQUE;
+
+-- Received webhook deliveries by their delivery ID (svix-id for Clerk), so
+-- that replayed deliveries are only applied once.
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id TEXT PRIMARY KEY,
+    source TEXT NOT NULL,
+    type TEXT,
+    received_at TIMESTAMP DEFAULT NOW(),
+    processed_at TIMESTAMP
+);
+
 -- Brand profile contains branding settings for an organization.
 CREATE TABLE IF NOT EXISTS brand_profiles (
     id SERIAL PRIMARY KEY,
@@ -34,6 +87,7 @@ CREATE TABLE IF NOT EXISTS brand_profiles (
 );
 
 -- Channels represent external social media channels (Facebook, Instagram, TikTok, etc.).
+-- access_token and refresh_token are encrypted by the application (src/utils/secrets.js).
 CREATE TABLE IF NOT EXISTS channels (
     id SERIAL PRIMARY KEY,
     organization_id INT REFERENCES organizations(id) ON DELETE CASCADE,
@@ -43,6 +97,28 @@ CREATE TABLE IF NOT EXISTS channels (
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Display name of the channel and the ID of the remote account the
+-- publishers post to (Facebook page ID, Instagram account ID, LinkedIn
+-- author URN).
+ALTER TABLE IF EXISTS channels
+ADD COLUMN IF NOT EXISTS name TEXT,
+ADD COLUMN IF NOT EXISTS external_id TEXT;
+
+-- OAuth connection state: refresh token and expiry, granted scopes and the
+-- result of the latest health check. status is 'connected', 'expired',
+-- 'error' or 'disconnected'.
+ALTER TABLE IF EXISTS channels
+ADD COLUMN IF NOT EXISTS refresh_token TEXT,
+ADD COLUMN IF NOT EXISTS token_expires_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS scopes TEXT[],
+ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'connected',
+ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+-- Reconnecting the same remote account updates the existing channel.
+CREATE UNIQUE INDEX IF NOT EXISTS channels_organization_type_external_idx
+    ON channels (organization_id, type, external_id);
+
 -- Posts table to store drafted or published social media posts.
 CREATE TABLE IF NOT EXISTS posts (
     id SERIAL PRIMARY KEY,
@@ -50,12 +126,43 @@ CREATE TABLE IF NOT EXISTS posts (
     text TEXT,
     hashtags TEXT[],
     image_url TEXT,
-    status TEXT DEFAULT 'draft', -- 'draft' or 'published'
+    status TEXT DEFAULT 'draft', -- see POST_STATUSES in src/workflow.js
     scheduled_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Generated drafts keep their image prompt and moderation flag. The optional
+-- campaign label lets the frontend group and filter posts.
+ALTER TABLE IF EXISTS posts
+ADD COLUMN IF NOT EXISTS image_prompt TEXT,
+ADD COLUMN IF NOT EXISTS flagged BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS campaign TEXT;
+
+-- Publishing: the channel a post goes to, the remote post ID and permalink
+-- returned by the network, and the reason of a failed publish.
+ALTER TABLE IF EXISTS posts
+ADD COLUMN IF NOT EXISTS channel_id INT REFERENCES channels(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS remote_post_id TEXT,
+ADD COLUMN IF NOT EXISTS remote_url TEXT,
+ADD COLUMN IF NOT EXISTS published_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS error_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS posts_organization_scheduled_idx ON posts (organization_id, scheduled_at);
+
+-- Channel-specific versions of a post (one per channel type). The publisher
+-- sends the variant matching the target channel instead of the generic text.
+CREATE TABLE IF NOT EXISTS post_variants (
+    id SERIAL PRIMARY KEY,
+    post_id INT REFERENCES posts(id) ON DELETE CASCADE,
+    channel_type TEXT NOT NULL,
+    text TEXT NOT NULL,
+    hashtags TEXT[] DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (post_id, channel_type)
+);
+
 -- Assets table to store uploaded images or other media assets.
 CREATE TABLE IF NOT EXISTS assets (
     id SERIAL PRIMARY KEY,
@@ -65,6 +172,62 @@ CREATE TABLE IF NOT EXISTS assets (
     created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Where an asset lives in Cloudinary and where it came from: source is
+-- 'upload', 'ai' (with the prompt that generated it) or 'legacy'.
+ALTER TABLE IF EXISTS assets
+ADD COLUMN IF NOT EXISTS public_id TEXT,
+ADD COLUMN IF NOT EXISTS source TEXT,
+ADD COLUMN IF NOT EXISTS prompt TEXT,
+ADD COLUMN IF NOT EXISTS width INT,
+ADD COLUMN IF NOT EXISTS height INT,
+ADD COLUMN IF NOT EXISTS format TEXT,
+ADD COLUMN IF NOT EXISTS bytes INT;
+
+-- Name and tags for finding assets in the library (see src/assets/routes.js).
+ALTER TABLE IF EXISTS assets
+ADD COLUMN IF NOT EXISTS name TEXT,
+ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS assets_organization_idx ON assets (organization_id, created_at DESC);
+
+-- Channel-sized variants of an image (see src/assets/variants.js) point
+-- to their original, e.g. aspect_ratio '4:5' for an Instagram feed post.
+ALTER TABLE IF EXISTS assets
+ADD COLUMN IF NOT EXISTS parent_id INT REFERENCES assets(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS aspect_ratio TEXT;
+
+CREATE INDEX IF NOT EXISTS assets_parent_idx ON assets (parent_id) WHERE parent_id IS NOT NULL;
+
+-- Posts reference their image in the asset library.  image_url is kept as
+-- a copy of the asset's URL for the publishers.  An asset cannot be deleted
+-- while a post uses it.
+ALTER TABLE IF EXISTS posts
+ADD COLUMN IF NOT EXISTS asset_id INT REFERENCES assets(id);
+
+-- Images of posts that predate the library become 'legacy' assets.
+INSERT INTO assets (organization_id, url, type, source)
+SELECT DISTINCT p.organization_id, p.image_url, 'image', 'legacy'
+  FROM posts p
+ WHERE p.image_url IS NOT NULL AND p.asset_id IS NULL
+   AND NOT EXISTS (SELECT 1 FROM assets a WHERE a.organization_id = p.organization_id AND a.url = p.image_url);
+
+UPDATE posts p
+   SET asset_id = (SELECT MIN(a.id) FROM assets a WHERE a.organization_id = p.organization_id AND a.url = p.image_url)
+ WHERE p.image_url IS NOT NULL AND p.asset_id IS NULL;
+
+-- Plan of each organization. token_limit and image_limit override the
+-- monthly limits of the plan (see src/usage.js); NULL uses the plan default.
+ALTER TABLE IF EXISTS organizations
+ADD COLUMN IF NOT EXISTS plan TEXT DEFAULT 'free',
+ADD COLUMN IF NOT EXISTS token_limit INT,
+ADD COLUMN IF NOT EXISTS image_limit INT;
+
+-- Per-organization LLM provider and model overriding LLM_PROVIDER (see src/llm).
+ALTER TABLE IF EXISTS organizations
+ADD COLUMN IF NOT EXISTS llm_provider TEXT,
+ADD COLUMN IF NOT EXISTS llm_model TEXT;
+
 -- Usage table to track per-organization usage of tokens and images per month. Helps with cost control.
 CREATE TABLE IF NOT EXISTS organization_usage (
     id SERIAL PRIMARY KEY,
@@ -83,6 +246,187 @@ CREATE TABLE IF NOT EXISTS moderation_flags (
     created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Which check raised the flag ('wordlist', 'regex', 'model') and the
+-- reviewer's decision once the flag is resolved.
+ALTER TABLE IF EXISTS moderation_flags
+ADD COLUMN IF NOT EXISTS source TEXT,
+ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS resolution TEXT,
+ADD COLUMN IF NOT EXISTS resolved_by TEXT,
+ADD COLUMN IF NOT EXISTS note TEXT;
+
+-- Review state of flagged posts: 'pending', 'approved' or 'rejected'.
+-- Flagged posts can only be scheduled once approved.
+ALTER TABLE IF EXISTS posts
+ADD COLUMN IF NOT EXISTS moderation_status TEXT;
+
+-- Per-organization moderation rules. kind is 'block' (word or phrase),
+-- 'allow' (phrase ignored by the checks) or 'regex'.
+CREATE TABLE IF NOT EXISTS moderation_rules (
+    id SERIAL PRIMARY KEY,
+    organization_id INT REFERENCES organizations(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL,
+    pattern TEXT NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Enables the model-based moderation check for the organization.
+ALTER TABLE IF EXISTS organizations
+ADD COLUMN IF NOT EXISTS moderation_model_enabled BOOLEAN DEFAULT FALSE;
+
+-- Editorial workflow (see src/workflow.js): posts move from 'draft' through
+-- 'in_review' to 'approved' or 'changes_requested'; only approved posts are
+-- scheduled and published. approved_at/approved_by hold the current approval.
+ALTER TABLE IF EXISTS posts
+ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS approved_by TEXT;
+
+-- Posts scheduled before the approval workflow existed count as approved.
+UPDATE posts SET approved_at = updated_at
+ WHERE status IN ('scheduled', 'publishing') AND approved_at IS NULL;
+
+-- Every status change of a post with the user who made it (NULL for the
+-- scheduler).
+CREATE TABLE IF NOT EXISTS post_status_history (
+    id SERIAL PRIMARY KEY,
+    post_id INT REFERENCES posts(id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    changed_by TEXT,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS post_status_history_post_idx ON post_status_history (post_id, created_at);
+
+-- Review comments on posts.
+CREATE TABLE IF NOT EXISTS post_comments (
+    id SERIAL PRIMARY KEY,
+    post_id INT REFERENCES posts(id) ON DELETE CASCADE,
+    author_id TEXT NOT NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS post_comments_post_idx ON post_comments (post_id, created_at);
+
+-- Content revisions of posts, numbered per post (see src/revisions.js).
+-- source is original, edit, rewrite or restore; rewrites keep what was
+-- asked for and restores the number of the revision they brought back.
+CREATE TABLE IF NOT EXISTS post_revisions (
+    id SERIAL PRIMARY KEY,
+    post_id INT NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    revision INT NOT NULL,
+    text TEXT,
+    hashtags TEXT[] NOT NULL DEFAULT '{}',
+    image_prompt TEXT,
+    -- Channel variants keyed by channel type, e.g.
+    -- {"x": {"text": "...", "hashtags": ["#tag"]}}.
+    variants JSONB NOT NULL DEFAULT '{}',
+    source TEXT NOT NULL,
+    target TEXT,
+    instruction TEXT,
+    prompt TEXT,
+    restored_from INT,
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (post_id, revision)
+);
+
+-- Marketing campaigns (see src/campaigns/).  channels are channel types
+-- (see src/channel_rules.js).
+CREATE TABLE IF NOT EXISTS campaigns (
+    id SERIAL PRIMARY KEY,
+    organization_id INT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    goal TEXT,
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL,
+    channels TEXT[] NOT NULL DEFAULT '{}',
+    key_messages TEXT[] NOT NULL DEFAULT '{}',
+    offer TEXT,
+    created_by TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (organization_id, name),
+    CHECK (ends_on >= starts_on)
+);
+
+-- The campaign of a post.  posts.campaign keeps the campaign's name as a
+-- label, and stays when the campaign is deleted.
+ALTER TABLE IF EXISTS posts
+ADD COLUMN IF NOT EXISTS campaign_id INT REFERENCES campaigns(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS posts_campaign_idx ON posts (campaign_id);
+
+-- Audit log of privileged actions such as support overrides (see src/audit.js).
+CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    actor_user_id INT,
+    actor_clerk_id TEXT,
+    action TEXT NOT NULL,
+    target_type TEXT NOT NULL,
+    target_id TEXT NOT NULL,
+    reason TEXT,
+    metadata JSONB,
+    request_id TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Weekly posting slots per channel (see src/slots), in the organization's
+-- time zone. weekday is 0 (Sunday) to 6 (Saturday).
+ALTER TABLE IF EXISTS organizations
+ADD COLUMN IF NOT EXISTS timezone TEXT DEFAULT 'Europe/Helsinki';
+
+CREATE TABLE IF NOT EXISTS posting_slots (
+    id SERIAL PRIMARY KEY,
+    organization_id INT REFERENCES organizations(id) ON DELETE CASCADE,
+    channel_type TEXT NOT NULL,
+    weekday INT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    slot_time TIME NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (organization_id, channel_type, weekday, slot_time)
+);
+
+-- Secret token of the organization's iCalendar feed (see src/calendar.js).
+-- Only its SHA-256 hash is stored; NULL means the feed is off.
+ALTER TABLE IF EXISTS organizations
+ADD COLUMN IF NOT EXISTS calendar_token_hash TEXT UNIQUE,
+ADD COLUMN IF NOT EXISTS calendar_token_created_at TIMESTAMP;
+
+-- Job queue (see src/jobs/index.js).  status is queued, running,
+-- completed or dead; dead jobs ran out of attempts and are kept for
+-- inspection.  unique_key keeps a job from being enqueued twice while it
+-- is pending.
+CREATE TABLE IF NOT EXISTS jobs (
+    id SERIAL PRIMARY KEY,
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'queued',
+    run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 5,
+    last_error TEXT,
+    result JSONB,
+    organization_id INT REFERENCES organizations(id) ON DELETE CASCADE,
+    unique_key TEXT,
+    locked_at TIMESTAMP,
+    locked_by TEXT,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Progress and partial results a running job reports (see GET /api/jobs/:id).
+ALTER TABLE IF EXISTS jobs
+ADD COLUMN IF NOT EXISTS progress JSONB;
+
+CREATE INDEX IF NOT EXISTS jobs_due_idx ON jobs (run_at, id) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS jobs_organization_idx ON jobs (organization_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS jobs_pending_unique_key_idx ON jobs (unique_key)
+    WHERE status IN ('queued', 'running');
+
 -- Profiles table stores business profiles. Each user can have at most
 -- one profile, enforced by the unique constraint on user_id.
 CREATE TABLE IF NOT EXISTS profiles (
@@ -0,0 +1,64 @@
+// Re-encrypt stored secrets with the current master key.
+//
+// Run after adding a new key to SECRETS_ENCRYPTION_KEYS (key rotation) or
+// after enabling encryption on a database that still holds plaintext
+// tokens.  Rows already encrypted with the current key are skipped, so the
+// command can be run repeatedly.
+//
+//   DATABASE_URL=... SECRETS_ENCRYPTION_KEYS=... npm run secrets:reencrypt
+
+const { Pool } = require('pg');
+const { encryptSecret, decryptSecret, needsReencryption, getCurrentKeyId } = require('../src/utils/secrets');
+
+// Tables and columns that hold encrypted secrets.
+const SECRET_COLUMNS = {
+  channels: ['access_token', 'refresh_token'],
+};
+
+const BATCH_SIZE = 100;
+
+async function reencryptTable(pool, table, columns) {
+  let lastId = 0;
+  let updated = 0;
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT id, ${columns.join(', ')} FROM ${table} WHERE id > $1 ORDER BY id LIMIT $2`,
+      [lastId, BATCH_SIZE],
+    );
+    if (rows.length === 0) break;
+    for (const row of rows) {
+      lastId = row.id;
+      const stale = columns.filter((column) => needsReencryption(row[column]));
+      if (stale.length === 0) continue;
+      const values = stale.map((column) => encryptSecret(decryptSecret(row[column])));
+      // Only overwrite a column if it still holds the value we read, so a
+      // token refreshed meanwhile is not replaced with the old one.
+      const assignments = stale.map((column, i) => `${column}=$${i + 2}`);
+      const guards = stale.map((column, i) => `${column} IS NOT DISTINCT FROM $${stale.length + i + 2}`);
+      const result = await pool.query(
+        `UPDATE ${table} SET ${assignments.join(', ')} WHERE id=$1 AND ${guards.join(' AND ')}`,
+        [row.id, ...values, ...stale.map((column) => row[column])],
+      );
+      updated += result.rowCount;
+    }
+  }
+  return updated;
+}
+
+async function main() {
+  const keyId = getCurrentKeyId();
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  try {
+    for (const [table, columns] of Object.entries(SECRET_COLUMNS)) {
+      const updated = await reencryptTable(pool, table, columns);
+      console.log(`Re-encrypted ${updated} ${table} rows with key ${keyId}`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('Re-encryption failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+// Send a signed sample Clerk webhook to a running server.
+//
+// Signs the event with CLERK_WEBHOOK_SECRET exactly like Clerk (Svix) does,
+// so the whole receiver can be exercised locally.  Sending the same event
+// twice with the same --id shows that replays are ignored.
+//
+//   CLERK_WEBHOOK_SECRET=whsec_... npm run webhooks:clerk -- user.created
+//   npm run webhooks:clerk -- user.deleted --user user_test_1 --id msg_1
+//
+// Options: --url (default http://localhost:3000/api/webhooks/clerk),
+// --user <clerk user id>, --org <clerk organization id>, --email, --role,
+// --id <svix-id>.
+
+const crypto = require('crypto');
+const { signPayload } = require('../src/webhooks/svix');
+
+function parseArgs(argv) {
+  const options = { type: argv[0] };
+  for (let i = 1; i < argv.length; i += 2) {
+    options[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return options;
+}
+
+function sampleEvent(type, { user = 'user_test_1', org = 'org_test_1', email = 'test@example.com', role = 'org:member' }) {
+  const userData = {
+    id: user,
+    object: 'user',
+    first_name: 'Test',
+    last_name: 'User',
+    primary_email_address_id: 'idn_test_1',
+    email_addresses: [{ id: 'idn_test_1', email_address: email, verification: { status: 'verified' } }],
+  };
+  const orgData = { id: org, object: 'organization', name: 'Test Organization', created_by: user };
+  const membership = {
+    id: `orgmem_${user}_${org}`,
+    object: 'organization_membership',
+    role,
+    organization: orgData,
+    public_user_data: { user_id: user, identifier: email, first_name: 'Test', last_name: 'User' },
+  };
+  const samples = {
+    'user.created': userData,
+    'user.updated': userData,
+    'user.deleted': { id: user, object: 'user', deleted: true },
+    'organization.created': orgData,
+    'organization.updated': orgData,
+    'organization.deleted': { id: org, object: 'organization', deleted: true },
+    'organizationMembership.created': membership,
+    'organizationMembership.updated': membership,
+    'organizationMembership.deleted': membership,
+  };
+  if (!samples[type]) throw new Error(`Unknown event type. Use one of: ${Object.keys(samples).join(', ')}`);
+  return { type, object: 'event', data: samples[type] };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const secret = process.env.CLERK_WEBHOOK_SECRET;
+  if (!secret) throw new Error('CLERK_WEBHOOK_SECRET must be set');
+  const url = options.url || 'http://localhost:3000/api/webhooks/clerk';
+  const body = JSON.stringify(sampleEvent(options.type, options));
+  const id = options.id || `msg_${crypto.randomUUID()}`;
+  const timestamp = Math.floor(Date.now() / 1000);
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'svix-id': id,
+      'svix-timestamp': String(timestamp),
+      'svix-signature': signPayload(secret, id, timestamp, body),
+    },
+    body,
+  });
+  console.log(`${res.status} ${await res.text()}`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -1,138 +1,271 @@
-// Modified AI helper with code fence stripping
-// This file is based on the original src/ai.js but includes logic to strip
-// triple backtick code fences (e.g. ```json ... ```) before attempting to
-// parse the AI-generated JSON. Without this, the backend would return a
-// stringified JSON array wrapped in markdown, which breaks the frontend.
+// AI helper for content generation.
+// The model's reply is parsed (stripping Markdown code fences such as
+// ```json ... ```) and validated against the plan schema in ai_schema.js.
+// Invalid replies are repaired with a corrective prompt; after
+// AI_MAX_ATTEMPTS failed attempts an AIOutputError is thrown instead of
+// passing a broken plan on to the frontend.  With `onPost` the reply is
+// streamed and each post is handed over as soon as it is complete.
+// rewritePost() rewrites a single post, or just its hashtags or image
+// prompt, with the same repair loop.
 
-// Dynamically import a fetch implementation. Node.js 18+ has a global
-// fetch function; if not available, fall back to the `node-fetch` package.
-let fetchFn;
-try {
-  fetchFn = global.fetch || require('node-fetch');
-} catch (_) {
-  fetchFn = global.fetch;
+const { createProvider } = require('./llm');
+const {
+  AIOutputError,
+  parsePlan,
+  validatePost,
+  validatePlan,
+  validateRewrite,
+  createPlanItemParser,
+} = require('./ai_schema');
+const { getPromptTemplates, DEFAULT_LANGUAGE } = require('./prompts');
+
+// Number of attempts (first try plus repairs) before giving up.
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.AI_MAX_ATTEMPTS) || 3;
+
+// Completion budget of a plan: room for each post and each of its channel
+// variants, up to what the model may return in one reply.
+const PLAN_TOKENS_PER_TEXT = 300;
+const PLAN_TOKENS_OVERHEAD = 200;
+const MAX_PLAN_TOKENS = Number(process.env.AI_MAX_PLAN_TOKENS) || 16000;
+
+function planTokenBudget(count, channels) {
+  return Math.min(PLAN_TOKENS_OVERHEAD + PLAN_TOKENS_PER_TEXT * count * (1 + channels.length), MAX_PLAN_TOKENS);
 }
 
-/**
- * Helper to initialize OpenAI client.  The API key must be provided via
- * the OPENAI_API_KEY environment variable.  You can optionally set
- * OPENAI_MODEL (e.g. 'gpt-4o') to override the default model.
- */
-// We intentionally avoid depending on the OpenAI SDK to reduce external
-// dependencies. Instead, we will call the OpenAI REST API directly using
-// fetchFn. Ensure OPENAI_API_KEY is set in your environment.
+function normalizePost(post, channels) {
+  return {
+    text: post.text.trim(),
+    hashtags: post.hashtags,
+    imagePrompt: post.imagePrompt || undefined,
+    variants: Object.fromEntries(
+      channels.map((type) => [
+        type,
+        { text: post.variants[type].text.trim(), hashtags: post.variants[type].hashtags },
+      ]),
+    ),
+  };
+}
+
+function addUsage(total, usage) {
+  total.promptTokens += usage.promptTokens;
+  total.completionTokens += usage.completionTokens;
+  total.totalTokens += usage.totalTokens;
+}
 
 /**
  * Generates a list of social media post suggestions based on the given
- * profile information.  The returned array contains objects with
- * `text`, `hashtags` and optional `imagePrompt` properties.  The
- * underlying implementation uses the OpenAI Chat Completion API to
- * synthesize content.  You should set the OPENAI_API_KEY in your
- * environment for this to work.  If no API key is provided, an
- * error will be thrown at runtime.
+ * profile information.  The returned `posts` array contains objects with
+ * `text`, `hashtags` and optional `imagePrompt` properties; `usage`
+ * reports the tokens the completion consumed so that the caller can
+ * record them against the organization's quota.  The completion is run
+ * by an LLM provider (see src/llm); pass the organization's provider in
+ * `options.provider`, otherwise the provider configured with LLM_PROVIDER
+ * is used.  Throws an AIOutputError if no valid plan is produced within
+ * `options.maxAttempts` attempts.
  *
  * @param {Object} profile - The user's profile including company_name,
  *   description, target_audience, tone_of_voice, marketing_goals,
  *   content_themes and social_channels.
  * @param {number} count - Number of posts to generate (1–10 recommended).
- * @returns {Promise<Array<{text: string, hashtags: string[], imagePrompt?:
- * string}>>}
+ * @param {{provider?: Object, maxAttempts?: number, language?: string,
+ *   channels?: string[], campaign?: Object, onPost?: Function,
+ *   onAttempt?: Function, signal?: AbortSignal}} [options]
+ *   `language` selects the prompt templates (fi, sv or en); texts, hashtags
+ *   and image prompts are written in that language.  `channels` lists the
+ *   channel types (see channel_rules.js) that each post gets a variant for;
+ *   variants are returned in `variants` keyed by channel type.  With a
+ *   `campaign` (name, goal, starts_on, ends_on, key_messages and offer)
+ *   the posts are written for that campaign instead of the coming month.
+ *   `onPost(post, index)` is awaited for every post, in order, as soon as
+ *   it is complete and valid; a post handed over is kept even if a repair
+ *   is needed for the ones after it.  `onAttempt(attempt)` is called before
+ *   each completion.  `signal` cancels the completion.  An error thrown
+ *   after the first completion, such as the AbortError or a provider
+ *   error during a repair, carries the tokens spent so far in `usage`.
+ * @returns {Promise<{posts: Array<{text: string, hashtags: string[],
+ *   imagePrompt?: string, variants: Object<string, {text: string,
+ *   hashtags: string[]}>}>, usage: {promptTokens: number,
+ *   completionTokens: number, totalTokens: number}}>}
  */
-async function generatePlan(profile, count = 5) {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY not configured');
-  }
-  const model = process.env.OPENAI_MODEL || 'gpt-4o';
-  const {
-    company_name,
-    description,
-    target_audience,
-    tone_of_voice,
-    marketing_goals,
-    content_themes,
-    social_channels,
-  } = profile;
-
-  // Build a detailed prompt for the assistant.  We request the model to
-  // return a JSON array for easier parsing on the backend.  Each post
-  // includes a short text (max ~400 characters), a list of hashtags, and
-  // an optional image prompt that could be passed to a separate image
+async function generatePlan(
+  profile,
+  count = 5,
+  {
+    provider = createProvider(),
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    language = DEFAULT_LANGUAGE,
+    channels = [],
+    campaign = null,
+    onPost,
+    onAttempt,
+    signal,
+  } = {},
+) {
+  // Build a detailed prompt for the assistant in the requested language.
+  // We request the model to return a JSON array for easier parsing on the
+  // backend.  Each post includes a short text, a list of hashtags, and an
+  // optional image prompt that could be passed to a separate image
   // generator (e.g. DALL·E) later on.
-  const prompt = [
-    `Yrityksen nimi: ${company_name || ''}`,
-    `Kuvaus: ${description || ''}`,
-    `Kohdeyleisö: ${target_audience || ''}`,
-    `Äänen sävy: ${tone_of_voice || ''}`,
-    marketing_goals ? `Markkinointitavoitteet: ${marketing_goals}` : '',
-    content_themes ? `Sisällön teemat: ${content_themes}` : '',
-    social_channels && social_channels.length
-      ? `Sosiaalisen median kanavat: ${social_channels.join(', ')}`
-      : '',
-    '',
-    `Luo seuraavaksi ${count} eri somepostausta tälle yritykselle seuraavaksi kuukaudeksi.`,
-    'Kunkin postauksen tulee noudattaa yrityksen äänen sävyä ja puhuttua kohdeyleisöä.',
-    'Käytä markkinointitavoitteita ja sisältöteemoja inspiraationa.',
-    'Palauta tulos täsmälleen JSON-taulukkona, jossa jokainen alkio on objekti muotoa:',
-    '{ "text": "...postauksen teksti...", "hashtags": ["#hashtag1", "#hashtag2"], "imagePrompt": "...kuvaprompti..." }',
-    'Älä selitä mitään muuta, äläkä sisällytä muuta tekstiä JSON:in ulkopuolelle.',
-  ]
-    .filter(Boolean)
-    .join('\n');
-
+  const templates = getPromptTemplates(language);
   const messages = [
-    {
-      role: 'system',
-      content:
-        'Olet luova markkinointikonsultti, joka laatii suomenkielisiä sosiaalisen median postauksia pienyrityksille.',
-    },
-    { role: 'user', content: prompt },
+    { role: 'system', content: templates.system },
+    { role: 'user', content: templates.plan(profile, count, channels, campaign) },
   ];
 
-  // Prepare request payload for OpenAI's chat completion API.  Use
-  // temperature and max_tokens settings similar to the SDK call above.
-  const body = {
-    model,
-    messages,
-    temperature: 0.7,
-    max_tokens: 1500,
-  };
-  // Call the OpenAI API directly using fetchFn. Handle error responses
-  // explicitly by throwing an error with status and message.
-  const res = await fetchFn('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-    },
-    body: JSON.stringify(body),
-  });
-  if (!res.ok) {
-    const errText = await res.text();
-    throw new Error(`OpenAI API error: ${res.status} ${errText}`);
+  // Run the completion through the provider and validate the reply.  If
+  // the reply does not match the schema, the problems are sent back to
+  // the model together with its previous answer so that it can repair it.
+  // Provider errors carry the remote status and message.  The task
+  // descriptor lets the offline provider answer without parsing the prompt.
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  const posts = [];
+  // Hand over posts in order, skipping the ones an earlier attempt
+  // already delivered.  A post that fails validation stops the hand-over
+  // until the repaired reply arrives.
+  async function deliver(items, offset) {
+    for (let i = 0; i < items.length; i++) {
+      const index = offset + i;
+      if (index < posts.length) continue;
+      if (index > posts.length || index >= count || items[i].error) return false;
+      if (validatePost(items[i].value, `Post ${index + 1}`, channels).length) return false;
+      const post = normalizePost(items[i].value, channels);
+      posts.push(post);
+      if (onPost) await onPost(post, index);
+    }
+    return true;
   }
-  const data = await res.json();
-  let raw = data.choices?.[0]?.message?.content?.trim() || '';
-  // Strip Markdown code fences if the AI includes them (e.g. ```json ... ```)
-  if (raw.startsWith('```')) {
-    // Remove opening fence with optional "json" label and trailing fence
-    raw = raw
-      .replace(/^```(?:json)?\s*/i, '')
-      .replace(/```$/i, '')
-      .trim();
-  }
-  let posts;
+
+  let errors = [];
   try {
-    posts = JSON.parse(raw);
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (signal?.aborted) {
+        const err = new Error('The completion was cancelled');
+        err.name = 'AbortError';
+        throw err;
+      }
+      if (onAttempt) await onAttempt(attempt);
+      const request = {
+        messages,
+        temperature: 0.7,
+        maxTokens: planTokenBudget(count, channels),
+        task: { type: 'plan', count, profile, language, channels, campaign, attempt },
+        signal,
+      };
+      let reply;
+      try {
+        if (onPost && provider.chatStream) {
+          const parser = createPlanItemParser();
+          let received = 0;
+          let delivering = true;
+          reply = await provider.chatStream({
+            ...request,
+            onDelta: async (delta) => {
+              const items = parser.push(delta);
+              if (delivering && items.length) delivering = await deliver(items, received);
+              received += items.length;
+            },
+          });
+        } else {
+          reply = await provider.chat(request);
+        }
+      } catch (err) {
+        // A cancelled completion reports what it consumed before the end.
+        if (err.name === 'AbortError' && err.usage) addUsage(usage, err.usage);
+        throw err;
+      }
+      addUsage(usage, reply.usage);
+
+      const parsed = parsePlan(reply.content);
+      errors = parsed.error ? [parsed.error] : validatePlan(parsed.value, { count, channels });
+      // Posts the stream did not deliver (or all of them without streaming).
+      if (errors.length === 0) await deliver(parsed.value.map((value) => ({ value })), 0);
+      if (posts.length === count) return { posts, usage };
+      messages.push(
+        { role: 'assistant', content: reply.content },
+        { role: 'user', content: templates.repair(errors, count) },
+      );
+    }
   } catch (err) {
-    // If the model returns something unexpected, wrap it as a single post.
-    posts = [{ text: raw, hashtags: [] }];
+    // The attempts before the failure still consumed tokens.
+    err.usage = usage;
+    throw err;
+  }
+  throw new AIOutputError(errors, maxAttempts, usage);
+}
+
+/**
+ * Rewrite an existing post following a preset instruction and/or the
+ * user's own guidance.  `target` selects what is rewritten: the text and
+ * hashtags (post), only the hashtags, or only the image prompt.  Like
+ * generatePlan(), invalid replies are repaired and an AIOutputError is
+ * thrown after `options.maxAttempts` attempts; that error and provider
+ * errors carry the tokens spent so far in `usage`.
+ *
+ * @param {{text: string, hashtags: string[], image_prompt?: string|null}} post
+ * @param {{target?: string, instruction?: string|null, prompt?: string|null,
+ *   language?: string, provider?: Object, maxAttempts?: number}} [options]
+ *   `instruction` is shorter, playful, call_to_action or translate (into
+ *   `language`); `prompt` is free-text guidance.  `language` also selects
+ *   the prompt templates.
+ * @returns {Promise<{rewrite: {text?: string, hashtags?: string[], imagePrompt?: string},
+ *   usage: {promptTokens: number, completionTokens: number, totalTokens: number}}>}
+ */
+async function rewritePost(
+  post,
+  {
+    target = 'post',
+    instruction = null,
+    prompt = null,
+    language = DEFAULT_LANGUAGE,
+    provider = createProvider(),
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  } = {},
+) {
+  const templates = getPromptTemplates(language);
+  const messages = [
+    { role: 'system', content: templates.system },
+    { role: 'user', content: templates.rewrite(post, { target, instruction, prompt, language }) },
+  ];
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  let errors = [];
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let reply;
+    try {
+      reply = await provider.chat({
+        messages,
+        temperature: 0.7,
+        maxTokens: 1000,
+        task: {
+          type: 'rewrite',
+          post: { text: post.text, hashtags: post.hashtags || [], imagePrompt: post.image_prompt || null },
+          target,
+          instruction,
+          prompt,
+          language,
+          attempt,
+        },
+      });
+    } catch (err) {
+      // The attempts before the failure still consumed tokens.
+      err.usage = usage;
+      throw err;
+    }
+    addUsage(usage, reply.usage);
+
+    const parsed = parsePlan(reply.content);
+    errors = parsed.error ? [parsed.error] : validateRewrite(parsed.value, target);
+    if (errors.length === 0) {
+      const { text, hashtags, imagePrompt } = parsed.value;
+      if (target === 'image_prompt') return { rewrite: { imagePrompt: imagePrompt.trim() }, usage };
+      if (target === 'hashtags') return { rewrite: { hashtags }, usage };
+      return { rewrite: { text: text.trim(), hashtags }, usage };
+    }
+    messages.push(
+      { role: 'assistant', content: reply.content },
+      { role: 'user', content: templates.rewriteRepair(errors) },
+    );
   }
-  // Normalize posts to ensure consistent structure.
-  return posts.map((p) => ({
-    text: p.text || '',
-    hashtags: Array.isArray(p.hashtags) ? p.hashtags : [],
-    imagePrompt: p.imagePrompt || undefined,
-  }));
+  throw new AIOutputError(errors, maxAttempts, usage);
 }
 
-module.exports = { generatePlan };
\ No newline at end of file
+module.exports = { generatePlan, rewritePost, AIOutputError };
\ No newline at end of file
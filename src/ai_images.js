@@ -1,64 +1,159 @@
 // AI image generation helper for Gunvald backend
 //
-// This module exports a single function generateImages that accepts an
-// array of text prompts and uses the OpenAI Images API (DALL·E) to
-// generate a single image for each prompt.  The returned value is an
-// array of URLs pointing to the generated images.  The OpenAI API key
-// must be provided via the OPENAI_API_KEY environment variable.
+// This module exports generateImages, which accepts an array of text
+// prompts and uses the image generation endpoint of an LLM provider (see
+// src/llm) to generate a single image for each prompt.  The
+// prompts are enriched with the organization's industry and brand colors
+// from its brand profile.  The provider's URLs expire within hours, so
+// every image is copied into the organization's Cloudinary folder and
+// recorded in the assets table (see src/assets).  Channel-sized variants
+// with the organization's logo can be created from each image.  A few
+// prompts are processed at a time.
+
+const { createProvider } = require('./llm');
+const { uploadToOrganization, saveAsset } = require('./assets');
+const { createVariant } = require('./assets/variants');
+const { mapWithConcurrency } = require('./utils/concurrency');
+
+const DEFAULT_IMAGE_CONCURRENCY = 3;
+const MAX_IMAGE_PROMPTS = 10;
+const MAX_IMAGE_PROMPT_LENGTH = 1000;
 
 /**
- * Generate images from an array of prompts using OpenAI's image
- * generation API.  Each prompt results in a separate API call to
- * generate one 1024×1024 image.  If the API returns an error for a
- * specific prompt, that entry in the returned array will be null.
+ * Validate the prompts of an image request: a list of up to 10 non-empty
+ * strings of at most 1000 characters.
+ *
+ * @param {*} prompts
+ * @returns {{error?: string}}
+ */
+function parseImagePrompts(prompts) {
+  if (!Array.isArray(prompts) || prompts.length === 0 || prompts.length > MAX_IMAGE_PROMPTS) {
+    return { error: `prompts must be an array of 1 to ${MAX_IMAGE_PROMPTS} prompts` };
+  }
+  const valid = (prompt) =>
+    typeof prompt === 'string' && prompt.trim() !== '' && prompt.length <= MAX_IMAGE_PROMPT_LENGTH;
+  if (!prompts.every(valid)) {
+    return { error: `prompts must be non-empty strings of at most ${MAX_IMAGE_PROMPT_LENGTH} characters` };
+  }
+  return {};
+}
+
+/**
+ * Load the parts of the organization's brand profile that shape its
+ * images.
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @returns {Promise<{industry: string|null, brandColors: string|null, logoUrl: string|null}>}
+ */
+async function loadImageBrand(db, orgId) {
+  const { rows } = await db.query(
+    'SELECT industry, brand_colors, logo_url FROM brand_profiles WHERE organization_id=$1',
+    [orgId],
+  );
+  const row = rows[0] || {};
+  return {
+    industry: row.industry || null,
+    brandColors: row.brand_colors || null,
+    logoUrl: row.logo_url || null,
+  };
+}
+
+/**
+ * Add the brand's industry and colors to an image prompt.  The logo is
+ * overlaid afterwards, so the model is asked to leave text and logos out.
+ *
+ * @param {string} prompt
+ * @param {{industry?: string|null, brandColors?: string|null}} brand
+ * @returns {string}
+ */
+function brandImagePrompt(prompt, { industry, brandColors } = {}) {
+  const context = [];
+  if (industry) context.push(`The image is for a company in the ${industry} industry.`);
+  if (brandColors) context.push(`Use the brand colors ${brandColors} as the dominant palette.`);
+  if (!context.length) return prompt;
+  return `${prompt}\n\n${context.join(' ')} Do not include any text or logos.`;
+}
+
+/**
+ * Generate and store one image per prompt.  A prompt that fails does not
+ * fail the others; its result carries the reason instead.
  *
  * @param {string[]} prompts - Array of textual prompts to generate images for.
- * @returns {Promise<(string|null)[]>} Array of image URLs (or null if generation failed)
+ * @param {{db: Object, organizationId: number, provider?: Object, concurrency?: number,
+ *   brand?: boolean, variants?: string[], logo?: boolean, onResult?: Function}} options
+ *   `provider` is the organization's provider and defaults to the one
+ *   configured with LLM_PROVIDER; `concurrency` defaults to
+ *   IMAGE_CONCURRENCY (3).  `brand: false` sends the prompts as they are.
+ *   `variants` lists the aspect ratios to crop each image to (see
+ *   assets/variants.js); the brand logo is overlaid on them unless `logo`
+ *   is false.  `onResult(result, index)` is awaited as each prompt finishes.
+ * @returns {Promise<Array<{prompt: string, url: string|null, asset_id: number|null, error: string|null,
+ *   variants: Array<{aspect_ratio: string, url: string|null, asset_id: number|null, error: string|null}>}>>}
  */
-async function generateImages(prompts) {
+async function generateImages(
+  prompts,
+  {
+    db,
+    organizationId,
+    provider = createProvider(),
+    concurrency,
+    brand = true,
+    variants = [],
+    logo = true,
+    onResult,
+  } = {},
+) {
   if (!Array.isArray(prompts) || prompts.length === 0) {
     throw new Error('prompts must be a non-empty array');
   }
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY is not set');
-  }
-  const results = [];
-  for (const prompt of prompts) {
+  const limit = concurrency || Number(process.env.IMAGE_CONCURRENCY) || DEFAULT_IMAGE_CONCURRENCY;
+  const brandProfile = await loadImageBrand(db, organizationId);
+  const failed = (prompt, error) => ({ prompt, url: null, asset_id: null, error, variants: [] });
+
+  // Generate, store and crop the image of one prompt.
+  async function generateOne(prompt) {
+    let generated;
     try {
-      const response = await fetch('https://api.openai.com/v1/images/generations', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          prompt,
-          n: 1,
-          size: '1024x1024',
-          response_format: 'url',
-          // DALL·E 3 is the default model for the images endpoint as of 2025
-        }),
+      generated = await provider.generateImage({
+        prompt: brand ? brandImagePrompt(prompt, brandProfile) : prompt,
+        size: '1024x1024',
       });
-      if (!response.ok) {
-        // If the API returns an error, capture the message for debugging
-        const errText = await response.text();
-        console.error('OpenAI image generation error:', errText);
-        results.push(null);
-        continue;
-      }
-      const json = await response.json();
-      if (json && Array.isArray(json.data) && json.data[0]?.url) {
-        results.push(json.data[0].url);
-      } else {
-        results.push(null);
-      }
     } catch (err) {
-      console.error('Error calling OpenAI image API:', err);
-      results.push(null);
+      console.error('Error generating image:', err);
+      return failed(prompt, `Generation failed: ${err.message}`);
+    }
+    let asset;
+    try {
+      const stored = await uploadToOrganization(organizationId, generated.url);
+      asset = await saveAsset(db, organizationId, { ...stored, source: 'ai', prompt });
+    } catch (err) {
+      console.error('Error storing generated image:', err);
+      return failed(prompt, `Storing the image failed: ${err.message}`);
     }
+    // The original is kept even when a variant cannot be made.
+    const results = [];
+    for (const ratio of variants) {
+      try {
+        const variant = await createVariant(db, organizationId, asset, {
+          ratio,
+          logoUrl: logo ? brandProfile.logoUrl : null,
+        });
+        results.push({ aspect_ratio: ratio, url: variant.url, asset_id: variant.id, error: null });
+      } catch (err) {
+        console.error('Error creating image variant:', err);
+        const error = `Creating the variant failed: ${err.message}`;
+        results.push({ aspect_ratio: ratio, url: null, asset_id: null, error });
+      }
+    }
+    return { prompt, url: asset.url, asset_id: asset.id, error: null, variants: results };
   }
-  return results;
+
+  return mapWithConcurrency(prompts, limit, async (prompt, index) => {
+    const result = await generateOne(prompt);
+    if (onResult) await onResult(result, index);
+    return result;
+  });
 }
 
-module.exports = { generateImages };
\ No newline at end of file
+module.exports = { generateImages, loadImageBrand, brandImagePrompt, parseImagePrompts };
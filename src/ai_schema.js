@@ -0,0 +1,240 @@
+// Validation of AI-generated content plans.
+//
+// The model is asked to return a JSON array of posts.  parsePlan() turns
+// the raw reply into a value and validatePlan() checks it against the
+// schema below, returning a list of human readable problems.  ai.js sends
+// those problems back to the model in a corrective prompt and gives up
+// with an AIOutputError after the configured number of attempts.  When
+// channels are requested, every post must also carry a variant per channel
+// that satisfies the channel's rules (see channel_rules.js).  While a reply
+// is streamed, createPlanItemParser() picks out each post as soon as it is
+// complete so that it can be validated with validatePost() on its own.
+// Rewrites of a single post return a JSON object checked by
+// validateRewrite().
+
+const { validateVariant } = require('./channel_rules');
+
+// Length limits chosen to fit every supported network (Instagram allows
+// 2200 characters and 30 hashtags per caption).
+const LIMITS = {
+  textMax: 2200,
+  hashtagsMax: 30,
+  hashtagLengthMax: 100,
+  imagePromptMax: 1000,
+};
+
+// A hashtag is # followed by letters, digits or underscores (any script).
+const HASHTAG_PATTERN = /^#[\p{L}\p{N}_]+$/u;
+
+/**
+ * Error thrown when the model does not produce valid output within the
+ * allowed number of attempts.  `usage` holds the tokens spent on all
+ * attempts so that the caller can still account for them.
+ */
+class AIOutputError extends Error {
+  constructor(errors, attempts, usage) {
+    super(`AI output failed validation after ${attempts} attempts`);
+    this.name = 'AIOutputError';
+    this.status = 502;
+    this.errors = errors;
+    this.attempts = attempts;
+    this.usage = usage;
+  }
+
+  toJSON() {
+    return { error: this.message, code: 'invalid_ai_output', attempts: this.attempts, details: this.errors };
+  }
+}
+
+/**
+ * Strip Markdown code fences (e.g. ```json ... ```) and parse the reply.
+ *
+ * @param {string} raw - The model's reply.
+ * @returns {{value?: *, error?: string}}
+ */
+function parsePlan(raw) {
+  let text = String(raw || '').trim();
+  if (text.startsWith('```')) {
+    // Remove opening fence with optional "json" label and trailing fence
+    text = text
+      .replace(/^```(?:json)?\s*/i, '')
+      .replace(/```$/i, '')
+      .trim();
+  }
+  try {
+    return { value: JSON.parse(text) };
+  } catch (err) {
+    return { error: 'The response is not valid JSON' };
+  }
+}
+
+function validateHashtags(hashtags, label) {
+  if (!Array.isArray(hashtags)) return [`${label}: "hashtags" must be an array of strings`];
+  const errors = [];
+  if (hashtags.length > LIMITS.hashtagsMax) {
+    errors.push(`${label}: at most ${LIMITS.hashtagsMax} hashtags are allowed`);
+  }
+  hashtags.forEach((tag) => {
+    if (typeof tag !== 'string' || !HASHTAG_PATTERN.test(tag) || tag.length > LIMITS.hashtagLengthMax) {
+      errors.push(`${label}: invalid hashtag ${JSON.stringify(tag)} (use # followed by letters, digits or _)`);
+    }
+  });
+  return errors;
+}
+
+function validateImagePrompt(imagePrompt, label) {
+  if (typeof imagePrompt !== 'string') return [`${label}: "imagePrompt" must be a string`];
+  if (imagePrompt.length > LIMITS.imagePromptMax) {
+    return [`${label}: "imagePrompt" must be at most ${LIMITS.imagePromptMax} characters`];
+  }
+  return [];
+}
+
+/**
+ * Validate one post of a plan.
+ *
+ * @param {*} post - Parsed post.
+ * @param {string} label - Prefix of the problems, e.g. "Post 2".
+ * @param {string[]} [channels] - Channel types that need a variant.
+ * @returns {string[]} Problems found; empty when the post is valid.
+ */
+function validatePost(post, label, channels = []) {
+  if (!post || typeof post !== 'object' || Array.isArray(post)) return [`${label} must be an object`];
+  const errors = [];
+  if (typeof post.text !== 'string' || !post.text.trim()) {
+    errors.push(`${label}: "text" must be a non-empty string`);
+  } else if (post.text.length > LIMITS.textMax) {
+    errors.push(`${label}: "text" must be at most ${LIMITS.textMax} characters`);
+  }
+  errors.push(...validateHashtags(post.hashtags, label));
+  if (post.imagePrompt !== undefined && post.imagePrompt !== null) {
+    errors.push(...validateImagePrompt(post.imagePrompt, label));
+  }
+  if (channels.length) {
+    const variants = post.variants && typeof post.variants === 'object' ? post.variants : {};
+    channels.forEach((type) => {
+      errors.push(...validateVariant(type, variants[type], label));
+      const hashtags = variants[type]?.hashtags;
+      if (Array.isArray(hashtags)) {
+        hashtags
+          .filter((tag) => typeof tag === 'string' && !HASHTAG_PATTERN.test(tag))
+          .forEach((tag) => errors.push(`${label}: invalid ${type} hashtag ${JSON.stringify(tag)}`));
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validate a parsed plan.
+ *
+ * @param {*} value - Parsed model output.
+ * @param {{count: number, channels?: string[]}} options - Number of posts
+ *   requested and the channel types that need a variant.
+ * @returns {string[]} Problems found; empty when the plan is valid.
+ */
+function validatePlan(value, { count, channels = [] }) {
+  if (!Array.isArray(value)) return ['The response must be a JSON array of post objects'];
+  const errors = [];
+  if (value.length !== count) errors.push(`Expected exactly ${count} posts but got ${value.length}`);
+  value.forEach((post, i) => errors.push(...validatePost(post, `Post ${i + 1}`, channels)));
+  return errors;
+}
+
+/**
+ * Validate the reply to a rewrite of one post (see ai.js rewritePost).
+ *
+ * @param {*} value - Parsed model output.
+ * @param {string} target - post (`text` and `hashtags`), hashtags or
+ *   image_prompt (`imagePrompt`).
+ * @returns {string[]} Problems found; empty when the reply is valid.
+ */
+function validateRewrite(value, target) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return ['The response must be a JSON object'];
+  if (target === 'image_prompt') {
+    if (typeof value.imagePrompt === 'string' && !value.imagePrompt.trim()) {
+      return ['Rewrite: "imagePrompt" must be a non-empty string'];
+    }
+    return validateImagePrompt(value.imagePrompt, 'Rewrite');
+  }
+  if (target === 'hashtags') return validateHashtags(value.hashtags, 'Rewrite');
+  return validatePost(value, 'Rewrite');
+}
+
+/**
+ * Incremental parser for a streamed plan.  Text before the opening `[`
+ * (such as a code fence) is skipped; every element of the top-level array
+ * is returned by push() once it is complete.
+ *
+ * @returns {{push: function(string): Array<{value?: *, error?: string}>}}
+ */
+function createPlanItemParser() {
+  let buffer = '';
+  let position = 0;
+  let depth = 0;
+  let started = false;
+  let inString = false;
+  let escaped = false;
+  let itemStart = -1;
+
+  function parseItem(text) {
+    try {
+      return { value: JSON.parse(text) };
+    } catch (err) {
+      return { error: 'The post is not valid JSON' };
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const items = [];
+      for (; position < buffer.length; position++) {
+        const char = buffer[position];
+        if (!started) {
+          if (char === '[') {
+            started = true;
+            depth = 1;
+          }
+          continue;
+        }
+        if (depth === 0) break;
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (char === '\\') escaped = true;
+          else if (char === '"') inString = false;
+          continue;
+        }
+        if (depth === 1 && itemStart < 0 && !/[\s,\]]/.test(char)) itemStart = position;
+        if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          depth += 1;
+        } else if (char === '}' || char === ']') {
+          depth -= 1;
+          if (depth === 1 && itemStart >= 0) {
+            items.push(parseItem(buffer.slice(itemStart, position + 1)));
+            itemStart = -1;
+          }
+        }
+        // Strings, numbers and literals end at the next separator.
+        if (depth <= 1 && itemStart >= 0 && (char === ',' || (char === ']' && depth === 0))) {
+          items.push(parseItem(buffer.slice(itemStart, position).trim()));
+          itemStart = -1;
+        }
+      }
+      return items;
+    },
+  };
+}
+
+module.exports = {
+  LIMITS,
+  HASHTAG_PATTERN,
+  AIOutputError,
+  parsePlan,
+  validatePost,
+  validatePlan,
+  validateRewrite,
+  createPlanItemParser,
+};
@@ -0,0 +1,179 @@
+// Media assets of an organization: images uploaded by users or generated
+// by AI, stored in Cloudinary under the organization's own folder and
+// recorded in the assets table.  Posts reference their image by asset id
+// (see routes.js for the asset library endpoints).
+
+const cloudinary = require('../cloudinary');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Cloudinary folder of an organization's assets.
+ *
+ * @param {number} orgId
+ * @returns {string}
+ */
+function organizationFolder(orgId) {
+  return `gunvald/org_${orgId}`;
+}
+
+// Without credentials (development) remote files are not uploaded; the
+// source URL is recorded as is.
+function isCloudinaryConfigured() {
+  return Boolean(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY);
+}
+
+/**
+ * Copy a file (remote URL or data URL) into the organization's Cloudinary
+ * folder.
+ *
+ * @param {number} orgId
+ * @param {string} file
+ * @returns {Promise<{url: string, publicId: string|null, width: number|null,
+ *   height: number|null, format: string|null, bytes: number|null}>}
+ */
+async function uploadToOrganization(orgId, file) {
+  if (!isCloudinaryConfigured()) {
+    if (!/^https?:\/\//.test(file)) throw new Error('Cloudinary is not configured');
+    console.warn('Cloudinary is not configured; keeping the original image URL');
+    return { url: file, publicId: null, width: null, height: null, format: null, bytes: null };
+  }
+  const uploaded = await cloudinary.uploader.upload(file, {
+    folder: organizationFolder(orgId),
+    resource_type: 'image',
+  });
+  return {
+    url: uploaded.secure_url,
+    publicId: uploaded.public_id,
+    width: uploaded.width || null,
+    height: uploaded.height || null,
+    format: uploaded.format || null,
+    bytes: uploaded.bytes || null,
+  };
+}
+
+/**
+ * Record an asset.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {number} orgId
+ * @param {{url: string, publicId?: string|null, source: string, prompt?: string|null,
+ *   name?: string|null, tags?: string[], width?: number|null, height?: number|null,
+ *   format?: string|null, bytes?: number|null, parentId?: number|null,
+ *   aspectRatio?: string|null}} asset
+ *   `source` is 'upload' or 'ai'; a variant (see variants.js) has the id of
+ *   its original in `parentId`.
+ * @returns {Promise<Object>} The assets row.
+ */
+async function saveAsset(db, orgId, asset) {
+  const { rows } = await db.query(
+    `INSERT INTO assets (organization_id, url, type, public_id, source, prompt, name, tags, width, height, format, bytes,
+                         parent_id, aspect_ratio)
+          VALUES ($1, $2, 'image', $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+          RETURNING *`,
+    [
+      orgId,
+      asset.url,
+      asset.publicId || null,
+      asset.source,
+      asset.prompt || null,
+      asset.name || null,
+      asset.tags || [],
+      asset.width || null,
+      asset.height || null,
+      asset.format || null,
+      asset.bytes || null,
+      asset.parentId || null,
+      asset.aspectRatio || null,
+    ],
+  );
+  return rows[0];
+}
+
+/**
+ * Validate the name and tags of an asset.  Tags are trimmed, lower-cased
+ * and deduplicated.  Fields absent from the input stay undefined.
+ *
+ * @param {{name?: *, tags?: *}} input
+ * @returns {{name?: string|null, tags?: string[], error?: string}}
+ */
+function parseAssetFields({ name, tags }) {
+  const fields = {};
+  if (name !== undefined) {
+    if (name !== null && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+      return { error: `name must be a string of at most ${MAX_NAME_LENGTH} characters` };
+    }
+    fields.name = name ? name.trim() || null : null;
+  }
+  if (tags !== undefined) {
+    if (
+      !Array.isArray(tags) ||
+      tags.some((tag) => typeof tag !== 'string' || !tag.trim() || tag.trim().length > MAX_TAG_LENGTH)
+    ) {
+      return { error: `tags must be an array of non-empty strings of at most ${MAX_TAG_LENGTH} characters` };
+    }
+    fields.tags = [...new Set(tags.map((tag) => tag.trim().toLowerCase()))];
+    if (fields.tags.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags are allowed` };
+  }
+  return fields;
+}
+
+/**
+ * Find an asset of the organization.
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @param {number|string} id
+ * @returns {Promise<Object|undefined>}
+ */
+async function findAsset(db, orgId, id) {
+  const { rows } = await db.query('SELECT * FROM assets WHERE id=$1 AND organization_id=$2', [id, orgId]);
+  return rows[0];
+}
+
+/**
+ * Delete an asset, its variants and their Cloudinary files.  An asset
+ * that posts still reference, directly or through a variant, is kept.
+ *
+ * @param {Object} db
+ * @param {Object} asset - The assets row.
+ * @returns {Promise<{deleted: boolean, postIds: number[]}>} `postIds` lists
+ *   the posts using the asset when it was kept.
+ */
+async function deleteAsset(db, asset) {
+  const { rows: variants } = await db.query('SELECT id, public_id FROM assets WHERE parent_id=$1', [asset.id]);
+  const ids = [asset.id, ...variants.map((variant) => variant.id)];
+  try {
+    // Variants are removed by ON DELETE CASCADE.
+    await db.query('DELETE FROM assets WHERE id=$1', [asset.id]);
+  } catch (err) {
+    // posts.asset_id references the asset or one of its variants.
+    if (err.code !== '23503') throw err;
+    const { rows } = await db.query('SELECT id FROM posts WHERE asset_id = ANY($1) ORDER BY id', [ids]);
+    return { deleted: false, postIds: rows.map((row) => row.id) };
+  }
+  if (isCloudinaryConfigured()) {
+    for (const { public_id: publicId } of [asset, ...variants]) {
+      if (!publicId) continue;
+      try {
+        await cloudinary.uploader.destroy(publicId, { invalidate: true });
+      } catch (err) {
+        // The row is gone already; an orphaned file only costs storage.
+        console.error(`Deleting Cloudinary file ${publicId} failed:`, err);
+      }
+    }
+  }
+  return { deleted: true, postIds: [] };
+}
+
+module.exports = {
+  organizationFolder,
+  isCloudinaryConfigured,
+  uploadToOrganization,
+  saveAsset,
+  parseAssetFields,
+  findAsset,
+  deleteAsset,
+};
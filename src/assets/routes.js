@@ -0,0 +1,187 @@
+/*
+ * Express router for the organization's asset library.  Mounted under
+ * `/api` behind `authenticate`.
+ *
+ *   GET    /assets        – list and search assets
+ *   GET    /assets/tags   – tags in use and how many assets carry each
+ *   GET    /assets/:id    – one asset, its variants and the posts using it
+ *   POST   /assets/:id/variants – crop an image to channel aspect ratios
+ *   PATCH  /assets/:id    – rename or retag an asset
+ *   DELETE /assets/:id    – delete an asset no post uses
+ */
+const express = require('express');
+const { requirePermission: can } = require('../roles');
+const { parseAssetFields, findAsset, deleteAsset } = require('./index');
+const { parseAspectRatios, createVariant } = require('./variants');
+const { requireId } = require('../utils/ids');
+
+const ASSET_SOURCES = ['upload', 'ai', 'legacy'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Escape the LIKE wildcards of a search term.
+function likePattern(term) {
+  return `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+module.exports = function createAssetsRouter(db) {
+  const router = express.Router();
+
+  router.param('id', requireId('Asset not found'));
+
+  // GET /assets – The organization's assets, newest first.  Variants are
+  // listed with their original (GET /assets/:id).
+  // Supported query parameters:
+  //   q      – text to look for in the name, prompt and tags
+  //   tag    – only assets with this tag
+  //   source – upload, ai or legacy (images of posts that predate the library)
+  //   limit, offset – pagination (limit defaults to 50, max 200)
+  // The total number of matching assets is returned in the X-Total-Count
+  // header.
+  router.get('/assets', can('read'), async (req, res) => {
+    const { q, tag, source } = req.query;
+    if (source && !ASSET_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `source must be one of ${ASSET_SOURCES.join(', ')}` });
+    }
+    const limit = Math.min(Number(req.query.limit) > 0 ? Number(req.query.limit) : DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Number(req.query.offset) > 0 ? Number(req.query.offset) : 0;
+    try {
+      const conditions = ['organization_id=$1', 'parent_id IS NULL'];
+      const params = [req.organizationId];
+      if (q && String(q).trim()) {
+        params.push(likePattern(String(q).trim()));
+        conditions.push(
+          `(name ILIKE $${params.length} OR prompt ILIKE $${params.length} OR array_to_string(tags, ' ') ILIKE $${params.length})`,
+        );
+      }
+      if (tag) {
+        params.push(String(tag).trim().toLowerCase());
+        conditions.push(`$${params.length} = ANY(tags)`);
+      }
+      if (source) {
+        params.push(source);
+        conditions.push(`source = $${params.length}`);
+      }
+      const where = conditions.join(' AND ');
+
+      const countRes = await db.query(`SELECT COUNT(*) AS total FROM assets WHERE ${where}`, params);
+      const assetsRes = await db.query(
+        `SELECT * FROM assets
+          WHERE ${where}
+          ORDER BY created_at DESC, id DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset],
+      );
+      res.setHeader('X-Total-Count', countRes.rows[0].total);
+      return res.json(assetsRes.rows);
+    } catch (err) {
+      console.error('Error fetching assets:', err);
+      return res.status(500).json({ error: 'Failed to fetch assets' });
+    }
+  });
+
+  // GET /assets/tags – [{ tag, count }] ordered by tag.
+  router.get('/assets/tags', can('read'), async (req, res) => {
+    try {
+      const { rows } = await db.query(
+        `SELECT tag, COUNT(*)::int AS count
+           FROM assets, unnest(tags) AS tag
+          WHERE organization_id=$1 AND parent_id IS NULL
+          GROUP BY tag
+          ORDER BY tag`,
+        [req.organizationId],
+      );
+      return res.json(rows);
+    } catch (err) {
+      console.error('Error fetching asset tags:', err);
+      return res.status(500).json({ error: 'Failed to fetch asset tags' });
+    }
+  });
+
+  // GET /assets/:id – The asset with its variants and the ids and
+  // statuses of the posts using it.
+  router.get('/assets/:id', can('read'), async (req, res) => {
+    try {
+      const asset = await findAsset(db, req.organizationId, req.params.id);
+      if (!asset) return res.status(404).json({ error: 'Asset not found' });
+      const variantsRes = await db.query('SELECT * FROM assets WHERE parent_id=$1 ORDER BY id', [asset.id]);
+      const postsRes = await db.query('SELECT id, status FROM posts WHERE asset_id=$1 ORDER BY id', [asset.id]);
+      return res.json({ ...asset, variants: variantsRes.rows, posts: postsRes.rows });
+    } catch (err) {
+      console.error('Error fetching asset:', err);
+      return res.status(500).json({ error: 'Failed to fetch asset' });
+    }
+  });
+
+  // POST /assets/:id/variants – Body: { variants?, logo? }.  Crops the
+  // image to the aspect ratios in `variants` (a list of aspect ratios or
+  // channels; all of them by default), overlaying the brand logo unless
+  // `logo` is false.  Responds with the new variants.
+  router.post('/assets/:id/variants', can('posts:write'), async (req, res) => {
+    const { ratios, error } = parseAspectRatios(req.body.variants === undefined ? true : req.body.variants);
+    if (error || !ratios.length) return res.status(400).json({ error: error || 'Provide at least one variant' });
+    try {
+      const orgId = req.organizationId;
+      const asset = await findAsset(db, orgId, req.params.id);
+      if (!asset) return res.status(404).json({ error: 'Asset not found' });
+      if (asset.parent_id) return res.status(400).json({ error: 'Variants are made from the original image' });
+      let logoUrl = null;
+      if (req.body.logo !== false) {
+        const brandRes = await db.query('SELECT logo_url FROM brand_profiles WHERE organization_id=$1', [orgId]);
+        logoUrl = brandRes.rows[0]?.logo_url || null;
+      }
+      const variants = [];
+      for (const ratio of ratios) {
+        variants.push(await createVariant(db, orgId, asset, { ratio, logoUrl }));
+      }
+      return res.status(201).json(variants);
+    } catch (err) {
+      console.error('Error creating asset variants:', err);
+      return res.status(500).json({ error: 'Failed to create variants' });
+    }
+  });
+
+  // PATCH /assets/:id – Body: { name?, tags? }.  tags replaces the
+  // asset's tags.
+  router.patch('/assets/:id', can('posts:write'), async (req, res) => {
+    const fields = parseAssetFields(req.body);
+    if (fields.error) return res.status(400).json({ error: fields.error });
+    const updates = Object.keys(fields);
+    if (updates.length === 0) return res.status(400).json({ error: 'Provide name or tags' });
+    try {
+      const assignments = updates.map((field, i) => `${field}=$${i + 3}`);
+      const { rows } = await db.query(
+        `UPDATE assets
+            SET ${assignments.join(', ')}, updated_at=NOW()
+          WHERE id=$1 AND organization_id=$2
+          RETURNING *`,
+        [req.params.id, req.organizationId, ...updates.map((field) => fields[field])],
+      );
+      if (rows.length === 0) return res.status(404).json({ error: 'Asset not found' });
+      return res.json(rows[0]);
+    } catch (err) {
+      console.error('Error updating asset:', err);
+      return res.status(500).json({ error: 'Failed to update asset' });
+    }
+  });
+
+  // DELETE /assets/:id – Delete the asset, its variants and their
+  // Cloudinary files.  Responds 409 with the ids of the posts still using
+  // any of them.
+  router.delete('/assets/:id', can('posts:write'), async (req, res) => {
+    try {
+      const asset = await findAsset(db, req.organizationId, req.params.id);
+      if (!asset) return res.status(404).json({ error: 'Asset not found' });
+      const { deleted, postIds } = await deleteAsset(db, asset);
+      if (!deleted) {
+        return res.status(409).json({ error: 'The asset is used by posts', code: 'asset_in_use', posts: postIds });
+      }
+      return res.json({ success: true });
+    } catch (err) {
+      console.error('Error deleting asset:', err);
+      return res.status(500).json({ error: 'Failed to delete asset' });
+    }
+  });
+
+  return router;
+};
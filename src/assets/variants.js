@@ -0,0 +1,101 @@
+// Channel-sized variants of an image asset.  Cloudinary crops the image to
+// an aspect ratio, focusing on its most interesting part, and optionally
+// overlays the organization's logo in the bottom right corner.  Each
+// variant is uploaded as its own file and recorded as an asset whose
+// parent_id is the original.
+
+const cloudinary = require('../cloudinary');
+const { normalizeChannel } = require('../channel_rules');
+const { organizationFolder, isCloudinaryConfigured, saveAsset } = require('./index');
+
+// Output width of each aspect ratio.
+const ASPECT_RATIOS = {
+  '1:1': { width: 1080 },
+  '4:5': { width: 1080 },
+  '9:16': { width: 1080 },
+  '1.91:1': { width: 1200 },
+};
+
+// Aspect ratio of a channel's feed image.
+const CHANNEL_ASPECT_RATIOS = {
+  facebook: '1.91:1',
+  instagram: '4:5',
+  linkedin: '1.91:1',
+  tiktok: '9:16',
+  x: '1.91:1',
+};
+
+// Logo width relative to the image, and its margin from the corner.
+const LOGO_WIDTH = 0.18;
+const LOGO_MARGIN = 0.04;
+
+/**
+ * Parse the requested variants: `true` for every aspect ratio, or a list
+ * of aspect ratios and channel names.  Returns the error message for
+ * invalid input.
+ *
+ * @param {*} input
+ * @returns {{ratios?: string[], error?: string}}
+ */
+function parseAspectRatios(input) {
+  if (input === undefined || input === false || input === null) return { ratios: [] };
+  if (input === true) return { ratios: Object.keys(ASPECT_RATIOS) };
+  const ratios = Array.isArray(input)
+    ? input.map((value) => (ASPECT_RATIOS[value] ? value : CHANNEL_ASPECT_RATIOS[normalizeChannel(value)]))
+    : [];
+  if (!ratios.length || ratios.some((ratio) => !ratio)) {
+    return {
+      error: `variants must be true or a list of aspect ratios (${Object.keys(ASPECT_RATIOS).join(', ')}) or channels`,
+    };
+  }
+  return { ratios: [...new Set(ratios)] };
+}
+
+// Cloudinary incoming transformation of one variant.
+function variantTransformation(ratio, logoUrl) {
+  const transformation = [{ aspect_ratio: ratio, crop: 'fill', gravity: 'auto', width: ASPECT_RATIOS[ratio].width }];
+  if (logoUrl) {
+    transformation.push(
+      { overlay: { url: logoUrl }, width: LOGO_WIDTH, flags: 'relative' },
+      { flags: 'layer_apply', gravity: 'south_east', x: LOGO_MARGIN, y: LOGO_MARGIN },
+    );
+  }
+  return transformation;
+}
+
+/**
+ * Create and record a variant of an asset.
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @param {Object} asset - The assets row of the original image.
+ * @param {{ratio: string, logoUrl?: string|null}} options
+ *   `logoUrl` is overlaid on the variant when given.
+ * @returns {Promise<Object>} The assets row of the variant.
+ */
+async function createVariant(db, orgId, asset, { ratio, logoUrl = null }) {
+  if (!isCloudinaryConfigured()) {
+    throw new Error('Cloudinary is not configured');
+  }
+  const uploaded = await cloudinary.uploader.upload(asset.url, {
+    folder: organizationFolder(orgId),
+    resource_type: 'image',
+    transformation: variantTransformation(ratio, logoUrl),
+  });
+  return saveAsset(db, orgId, {
+    url: uploaded.secure_url,
+    publicId: uploaded.public_id,
+    source: asset.source,
+    prompt: asset.prompt,
+    name: asset.name,
+    tags: asset.tags,
+    width: uploaded.width,
+    height: uploaded.height,
+    format: uploaded.format,
+    bytes: uploaded.bytes,
+    parentId: asset.id,
+    aspectRatio: ratio,
+  });
+}
+
+module.exports = { ASPECT_RATIOS, CHANNEL_ASPECT_RATIOS, parseAspectRatios, createVariant };
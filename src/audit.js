@@ -0,0 +1,31 @@
+// Audit log for privileged actions, such as support staff reading or
+// changing another customer's data.  Rows are only ever inserted.
+
+/**
+ * Record an audit event.  Throws if the row cannot be stored, so callers
+ * can refuse a privileged action that would go unrecorded.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {Object} req - The request; provides the actor and request ID.
+ * @param {{action: string, targetType: string, targetId: string|number,
+ *   reason?: string|null, metadata?: Object}} event
+ * @returns {Promise<void>}
+ */
+async function recordAudit(db, req, { action, targetType, targetId, reason = null, metadata = null }) {
+  await db.query(
+    `INSERT INTO audit_log (actor_user_id, actor_clerk_id, action, target_type, target_id, reason, metadata, request_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      req.userId || null,
+      req.clerkUserId || null,
+      action,
+      targetType,
+      String(targetId),
+      reason,
+      metadata ? JSON.stringify(metadata) : null,
+      req.reqId || null,
+    ],
+  );
+}
+
+module.exports = { recordAudit };
@@ -0,0 +1,295 @@
+/*
+ * Content calendar: posts by day and an iCalendar feed of scheduled posts.
+ *
+ * createCalendarRouter() serves the authenticated API:
+ *   GET    /calendar       – posts in a date range grouped by day
+ *   GET    /calendar/feed  – whether the .ics feed is enabled
+ *   POST   /calendar/feed  – enable the feed or replace its URL
+ *   DELETE /calendar/feed  – revoke the feed URL
+ *
+ * createCalendarFeedRouter() serves GET /calendar/:token.ics for calendar
+ * apps (Google Calendar, Outlook), which cannot send a session.  The
+ * secret token in the URL identifies the organization, so the router must
+ * be mounted before `authenticate`.  Only the token's SHA-256 hash is
+ * stored; the URL is shown once when the feed is enabled and replacing it
+ * revokes the old one.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const { requirePermission: can } = require('./roles');
+const { POST_STATUSES } = require('./workflow');
+const { CHANNEL_RULES, normalizeChannel } = require('./channel_rules');
+const { DEFAULT_TIMEZONE, zonedParts, zonedTimeToDate } = require('./slots');
+const { isDate, addDays } = require('./utils/dates');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+// Statuses shown in the feed, and how far back it reaches.
+const FEED_STATUSES = ['scheduled', 'publishing', 'published'];
+const FEED_HISTORY_DAYS = 90;
+const EVENT_DURATION_MINUTES = 30;
+const SUMMARY_LENGTH = 60;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function feedUrl(token) {
+  const base = (process.env.API_BASE_URL || 'http://localhost:8880').replace(/\/$/, '');
+  return `${base}/api/calendar/${token}.ics`;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// YYYY-MM-DD of an instant in a time zone.
+function localDate(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// Every date from `from` to `to` (inclusive), at most `limit` + 1 of them.
+function datesBetween(from, to, limit) {
+  const dates = [];
+  for (let date = from; date <= to && dates.length <= limit; date = addDays(date, 1)) dates.push(date);
+  return dates;
+}
+
+// The instant a local date starts in a time zone.
+function startOfDay(date, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  return zonedTimeToDate({ year, month, day, hour: 0, minute: 0 }, timeZone);
+}
+
+async function loadTimeZone(db, orgId) {
+  const { rows } = await db.query('SELECT timezone FROM organizations WHERE id=$1', [orgId]);
+  return rows[0]?.timezone || DEFAULT_TIMEZONE;
+}
+
+// --- iCalendar (RFC 5545) -------------------------------------------------
+
+function icsText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Fold lines longer than 75 octets, without splitting UTF-8 characters.
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  for (const char of line) {
+    const limit = chunks.length ? 74 : 75;
+    if (Buffer.byteLength(chunk + char) > limit) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+function postSummary(post) {
+  const text = String(post.text || '').split('\n')[0].trim();
+  const short = text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH - 1)}…` : text;
+  return post.channel_type ? `[${post.channel_type}] ${short}` : short;
+}
+
+/**
+ * Render posts as an iCalendar document with one VEVENT per post.
+ *
+ * @param {Array<Object>} posts - Posts with channel_type and channel_name.
+ * @param {{name: string, timezone: string}} calendar
+ * @returns {string}
+ */
+function renderCalendar(posts, { name, timezone }) {
+  const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Gunvald//Content calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(`${name} – Gunvald`)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+  ];
+  for (const post of posts) {
+    const start = new Date(post.scheduled_at);
+    const hashtags = (post.hashtags || []).map((tag) => (tag.startsWith('#') ? tag : `#${tag}`)).join(' ');
+    const description = [
+      post.text,
+      hashtags,
+      `Channel: ${post.channel_name || post.channel_type || 'not selected'}`,
+      `Status: ${post.status}`,
+    ].filter(Boolean).join('\n\n');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:post-${post.id}@gunvald`,
+      `DTSTAMP:${icsDate(post.updated_at || start)}`,
+      `DTSTART:${icsDate(start)}`,
+      `DTEND:${icsDate(start.getTime() + EVENT_DURATION_MINUTES * 60 * 1000)}`,
+      `SUMMARY:${icsText(postSummary(post))}`,
+      `DESCRIPTION:${icsText(description)}`,
+      ...(post.channel_type ? [`CATEGORIES:${icsText(post.channel_type)}`] : []),
+      `STATUS:${post.status === 'scheduled' ? 'TENTATIVE' : 'CONFIRMED'}`,
+      `URL:${appUrl}/posts/${post.id}`,
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// --- Routers ---------------------------------------------------------------
+
+function createCalendarRouter(db) {
+  const router = express.Router();
+
+  // GET /calendar – Posts planned in a date range, grouped by day in the
+  // organization's time zone.  Query parameters:
+  //   from, to – YYYY-MM-DD, inclusive (default: today and 30 days on)
+  //   status   – a single status or a comma separated list
+  //   channel  – channel type
+  // Every day of the range is listed, including days without posts.
+  router.get('/calendar', can('read'), async (req, res) => {
+    const statuses = req.query.status ? String(req.query.status).split(',').map((s) => s.trim()).filter(Boolean) : [];
+    if (statuses.some((s) => !POST_STATUSES.includes(s))) {
+      return res.status(400).json({ error: `status must be one of ${POST_STATUSES.join(', ')}` });
+    }
+    const channel = req.query.channel ? normalizeChannel(req.query.channel) : null;
+    if (req.query.channel && !channel) {
+      return res.status(400).json({ error: `channel must be one of ${Object.keys(CHANNEL_RULES).join(', ')}` });
+    }
+    if ([req.query.from, req.query.to].some((date) => date !== undefined && !isDate(date))) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+    try {
+      const orgId = req.organizationId;
+      const timezone = await loadTimeZone(db, orgId);
+      const from = req.query.from || localDate(new Date(), timezone);
+      const to = req.query.to || addDays(from, DEFAULT_RANGE_DAYS - 1);
+      const dates = datesBetween(from, to, MAX_RANGE_DAYS);
+      if (!dates.length) return res.status(400).json({ error: 'to must not be before from' });
+      if (dates.length > MAX_RANGE_DAYS) {
+        return res.status(400).json({ error: `The range can be at most ${MAX_RANGE_DAYS} days` });
+      }
+
+      const conditions = ['p.organization_id=$1', 'p.scheduled_at >= $2', 'p.scheduled_at < $3'];
+      const params = [orgId, startOfDay(from, timezone), startOfDay(addDays(to, 1), timezone)];
+      if (statuses.length) {
+        params.push(statuses);
+        conditions.push(`p.status = ANY($${params.length})`);
+      }
+      if (channel) {
+        params.push(channel);
+        conditions.push(`c.type = $${params.length}`);
+      }
+      const { rows } = await db.query(
+        `SELECT p.*, c.type AS channel_type, c.name AS channel_name
+           FROM posts p
+           LEFT JOIN channels c ON c.id = p.channel_id
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY p.scheduled_at, p.id`,
+        params,
+      );
+      const byDate = Object.fromEntries(dates.map((date) => [date, []]));
+      for (const post of rows) {
+        byDate[localDate(new Date(post.scheduled_at), timezone)]?.push(post);
+      }
+      return res.json({ timezone, from, to, days: dates.map((date) => ({ date, posts: byDate[date] })) });
+    } catch (err) {
+      console.error('Error fetching calendar:', err);
+      return res.status(500).json({ error: 'Failed to fetch calendar' });
+    }
+  });
+
+  router.get('/calendar/feed', can('read'), async (req, res) => {
+    try {
+      const { rows } = await db.query('SELECT calendar_token_created_at FROM organizations WHERE id=$1', [
+        req.organizationId,
+      ]);
+      const createdAt = rows[0]?.calendar_token_created_at || null;
+      return res.json({ enabled: Boolean(createdAt), created_at: createdAt });
+    } catch (err) {
+      console.error('Error fetching calendar feed:', err);
+      return res.status(500).json({ error: 'Failed to fetch calendar feed' });
+    }
+  });
+
+  // POST /calendar/feed – Responds with the feed URL.  Calling it again
+  // replaces the URL, which stops the old one from working.
+  router.post('/calendar/feed', can('settings:write'), async (req, res) => {
+    try {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const { rows } = await db.query(
+        `UPDATE organizations SET calendar_token_hash=$2, calendar_token_created_at=NOW()
+          WHERE id=$1
+          RETURNING calendar_token_created_at`,
+        [req.organizationId, hashToken(token)],
+      );
+      return res.status(201).json({ url: feedUrl(token), created_at: rows[0]?.calendar_token_created_at || null });
+    } catch (err) {
+      console.error('Error creating calendar feed:', err);
+      return res.status(500).json({ error: 'Failed to create calendar feed' });
+    }
+  });
+
+  router.delete('/calendar/feed', can('settings:write'), async (req, res) => {
+    try {
+      await db.query(
+        'UPDATE organizations SET calendar_token_hash=NULL, calendar_token_created_at=NULL WHERE id=$1',
+        [req.organizationId],
+      );
+      return res.json({ success: true });
+    } catch (err) {
+      console.error('Error revoking calendar feed:', err);
+      return res.status(500).json({ error: 'Failed to revoke calendar feed' });
+    }
+  });
+
+  return router;
+}
+
+function createCalendarFeedRouter(db) {
+  const router = express.Router();
+
+  // GET /calendar/:token.ics – Scheduled and published posts of the last
+  // FEED_HISTORY_DAYS days and the future.
+  router.get('/calendar/:token.ics', async (req, res) => {
+    try {
+      const orgRes = await db.query(
+        'SELECT id, name, timezone FROM organizations WHERE calendar_token_hash=$1',
+        [hashToken(req.params.token)],
+      );
+      const org = orgRes.rows[0];
+      if (!org) return res.status(404).json({ error: 'Calendar not found' });
+      const { rows } = await db.query(
+        `SELECT p.*, c.type AS channel_type, c.name AS channel_name
+           FROM posts p
+           LEFT JOIN channels c ON c.id = p.channel_id
+          WHERE p.organization_id=$1 AND p.status = ANY($2)
+            AND p.scheduled_at >= NOW() - make_interval(days => $3)
+          ORDER BY p.scheduled_at, p.id`,
+        [org.id, FEED_STATUSES, FEED_HISTORY_DAYS],
+      );
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Cache-Control', 'private, max-age=300');
+      return res.send(renderCalendar(rows, { name: org.name, timezone: org.timezone || DEFAULT_TIMEZONE }));
+    } catch (err) {
+      console.error('Error rendering calendar feed:', err);
+      return res.status(500).json({ error: 'Failed to render calendar feed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCalendarRouter, createCalendarFeedRouter, renderCalendar };
@@ -0,0 +1,123 @@
+// Marketing campaigns of an organization: a name, a goal, a date range,
+// target channels, key messages and an optional product or offer.  Posts
+// belong to a campaign through posts.campaign_id; posts.campaign keeps the
+// campaign's name as a label.  Drafts generated for a campaign follow its
+// messaging and are spread over its dates (see generation.js).
+
+const { CHANNEL_RULES, normalizeChannel } = require('../channel_rules');
+const { zonedTimeToDate } = require('../slots');
+const { isDate, addDays, daysBetween } = require('../utils/dates');
+
+const MAX_NAME_LENGTH = 200;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_KEY_MESSAGES = 10;
+const MAX_KEY_MESSAGE_LENGTH = 500;
+const MAX_CAMPAIGN_DAYS = 366;
+
+// Campaign columns with the dates as YYYY-MM-DD.
+const CAMPAIGN_COLUMNS = `id, organization_id, name, goal,
+  to_char(starts_on, 'YYYY-MM-DD') AS starts_on, to_char(ends_on, 'YYYY-MM-DD') AS ends_on,
+  channels, key_messages, offer, created_by, created_at, updated_at`;
+
+// An optional text field: a string of at most `max` characters or null.
+function parseText(value, field, max = MAX_TEXT_LENGTH) {
+  if (value !== null && (typeof value !== 'string' || value.length > max)) {
+    return { error: `${field} must be a string of at most ${max} characters` };
+  }
+  return { value: value ? value.trim() || null : null };
+}
+
+/**
+ * Validate the fields of a campaign in a request body.  Only the fields
+ * present are returned; `required` lists the ones that must be present.
+ * The date range is checked once both dates are known, so pass the
+ * current dates of an existing campaign in `current`.
+ *
+ * @param {Object} body - `{ name?, goal?, starts_on?, ends_on?, channels?, key_messages?, offer? }`
+ * @param {{required?: string[], current?: {starts_on: string, ends_on: string}}} [options]
+ * @returns {Object} The fields to store, or `{ error }`.
+ */
+function parseCampaignFields(body, { required = [], current = null } = {}) {
+  const missing = required.filter((field) => body[field] === undefined || body[field] === null);
+  if (missing.length) return { error: `${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} required` };
+  const { name, goal, starts_on, ends_on, channels, key_messages, offer } = body;
+  const fields = {};
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return { error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` };
+    }
+    fields.name = name.trim();
+  }
+  for (const [field, value] of Object.entries({ goal, offer })) {
+    if (value === undefined) continue;
+    const parsed = parseText(value, field);
+    if (parsed.error) return parsed;
+    fields[field] = parsed.value;
+  }
+  for (const [field, value] of Object.entries({ starts_on, ends_on })) {
+    if (value === undefined) continue;
+    if (!isDate(value)) return { error: `${field} must be a date (YYYY-MM-DD)` };
+    fields[field] = value;
+  }
+  if (channels !== undefined) {
+    if (!Array.isArray(channels) || channels.some((c) => !normalizeChannel(c))) {
+      return { error: `channels must be an array of ${Object.keys(CHANNEL_RULES).join(', ')}` };
+    }
+    fields.channels = [...new Set(channels.map(normalizeChannel))];
+  }
+  if (key_messages !== undefined) {
+    if (
+      !Array.isArray(key_messages) ||
+      key_messages.length > MAX_KEY_MESSAGES ||
+      key_messages.some((m) => typeof m !== 'string' || !m.trim() || m.length > MAX_KEY_MESSAGE_LENGTH)
+    ) {
+      return {
+        error: `key_messages must be an array of at most ${MAX_KEY_MESSAGES} non-empty strings of at most ${MAX_KEY_MESSAGE_LENGTH} characters`,
+      };
+    }
+    fields.key_messages = key_messages.map((m) => m.trim());
+  }
+  const startsOn = fields.starts_on || current?.starts_on;
+  const endsOn = fields.ends_on || current?.ends_on;
+  if ((fields.starts_on || fields.ends_on) && startsOn && endsOn) {
+    if (endsOn < startsOn) return { error: 'ends_on must not be before starts_on' };
+    if (daysBetween(startsOn, endsOn) >= MAX_CAMPAIGN_DAYS) {
+      return { error: `A campaign can last at most ${MAX_CAMPAIGN_DAYS} days` };
+    }
+  }
+  return fields;
+}
+
+/**
+ * Find a campaign of the organization.
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @param {number|string} id
+ * @returns {Promise<Object|undefined>}
+ */
+async function findCampaign(db, orgId, id) {
+  const { rows } = await db.query(`SELECT ${CAMPAIGN_COLUMNS} FROM campaigns WHERE id=$1 AND organization_id=$2`, [
+    id,
+    orgId,
+  ]);
+  return rows[0];
+}
+
+/**
+ * The instants a campaign starts and ends: the start of its first day and
+ * the end of its last day in the organization's time zone.
+ *
+ * @param {{starts_on: string, ends_on: string}} campaign
+ * @param {string} timeZone
+ * @returns {{from: Date, until: Date}}
+ */
+function campaignPeriod({ starts_on, ends_on }, timeZone) {
+  const startOfDay = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return zonedTimeToDate({ year, month, day, hour: 0, minute: 0 }, timeZone);
+  };
+  return { from: startOfDay(starts_on), until: startOfDay(addDays(ends_on, 1)) };
+}
+
+module.exports = { CAMPAIGN_COLUMNS, parseCampaignFields, findCampaign, campaignPeriod };
@@ -0,0 +1,140 @@
+/*
+ * Express router for the organization's marketing campaigns.  Mounted
+ * under `/api` behind `authenticate`.
+ *
+ *   GET    /campaigns      – list campaigns with their number of posts
+ *   POST   /campaigns      – create a campaign
+ *   GET    /campaigns/:id  – one campaign with its posts counted by status
+ *   PATCH  /campaigns/:id  – update a campaign
+ *   DELETE /campaigns/:id  – delete a campaign; its posts are kept
+ *
+ * Drafts are generated for a campaign with POST /api/generate and
+ * `campaign_id` (see generation.js).
+ */
+const express = require('express');
+const { requirePermission: can } = require('../roles');
+const { isDate } = require('../utils/dates');
+const { CAMPAIGN_COLUMNS, parseCampaignFields, findCampaign } = require('./index');
+const { requireId } = require('../utils/ids');
+
+// Fields a campaign is created with.
+const CAMPAIGN_FIELDS = ['name', 'goal', 'starts_on', 'ends_on', 'channels', 'key_messages', 'offer'];
+
+module.exports = function createCampaignsRouter(db) {
+  const router = express.Router();
+
+  router.param('id', requireId('Campaign not found'));
+
+  // GET /campaigns – The organization's campaigns, latest first.  With
+  // `active` (YYYY-MM-DD) only the campaigns running on that day.
+  router.get('/campaigns', can('read'), async (req, res) => {
+    const { active } = req.query;
+    if (active !== undefined && !isDate(active)) {
+      return res.status(400).json({ error: 'active must be a date (YYYY-MM-DD)' });
+    }
+    try {
+      const { rows } = await db.query(
+        `SELECT ${CAMPAIGN_COLUMNS},
+                (SELECT COUNT(*)::int FROM posts p WHERE p.campaign_id = campaigns.id) AS post_count
+           FROM campaigns
+          WHERE organization_id=$1 AND ($2::date IS NULL OR $2::date BETWEEN starts_on AND ends_on)
+          ORDER BY campaigns.starts_on DESC, id DESC`,
+        [req.organizationId, active || null],
+      );
+      return res.json(rows);
+    } catch (err) {
+      console.error('Error fetching campaigns:', err);
+      return res.status(500).json({ error: 'Failed to fetch campaigns' });
+    }
+  });
+
+  // POST /campaigns – Body: { name, starts_on, ends_on, goal?, channels?,
+  // key_messages?, offer? }.  Dates are YYYY-MM-DD; channels are channel
+  // types (see channel_rules.js).  Names are unique per organization.
+  router.post('/campaigns', can('posts:write'), async (req, res) => {
+    const fields = parseCampaignFields(req.body, { required: ['name', 'starts_on', 'ends_on'] });
+    if (fields.error) return res.status(400).json({ error: fields.error });
+    try {
+      const values = CAMPAIGN_FIELDS.map((field) => fields[field] ?? null);
+      const { rows } = await db.query(
+        `INSERT INTO campaigns
+                (organization_id, created_by, name, goal, starts_on, ends_on, channels, key_messages, offer)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, '{}'::text[]), COALESCE($8, '{}'::text[]), $9)
+         RETURNING ${CAMPAIGN_COLUMNS}`,
+        [req.organizationId, String(req.userId), ...values],
+      );
+      return res.status(201).json(rows[0]);
+    } catch (err) {
+      if (err.code === '23505') return res.status(409).json({ error: 'A campaign with this name already exists' });
+      console.error('Error creating campaign:', err);
+      return res.status(500).json({ error: 'Failed to create campaign' });
+    }
+  });
+
+  // GET /campaigns/:id – The campaign with `post_counts` keyed by status.
+  router.get('/campaigns/:id', can('read'), async (req, res) => {
+    try {
+      const campaign = await findCampaign(db, req.organizationId, req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+      const countsRes = await db.query(
+        'SELECT status, COUNT(*)::int AS count FROM posts WHERE campaign_id=$1 GROUP BY status',
+        [campaign.id],
+      );
+      const postCounts = Object.fromEntries(countsRes.rows.map((row) => [row.status, row.count]));
+      return res.json({ ...campaign, post_counts: postCounts });
+    } catch (err) {
+      console.error('Error fetching campaign:', err);
+      return res.status(500).json({ error: 'Failed to fetch campaign' });
+    }
+  });
+
+  // PATCH /campaigns/:id – Update selected fields.  A new name is also
+  // given to the campaign label of its posts.
+  router.patch('/campaigns/:id', can('posts:write'), async (req, res) => {
+    try {
+      const orgId = req.organizationId;
+      const campaign = await findCampaign(db, orgId, req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+      const fields = parseCampaignFields(req.body, { current: campaign });
+      if (fields.error) return res.status(400).json({ error: fields.error });
+      const updates = Object.keys(fields);
+      if (updates.length === 0) {
+        return res.status(400).json({ error: `Provide at least one of ${CAMPAIGN_FIELDS.join(', ')}` });
+      }
+      const assignments = updates.map((field, i) => `${field}=$${i + 3}`);
+      const { rows } = await db.query(
+        `UPDATE campaigns
+            SET ${assignments.join(', ')}, updated_at=NOW()
+          WHERE id=$1 AND organization_id=$2
+          RETURNING ${CAMPAIGN_COLUMNS}`,
+        [campaign.id, orgId, ...updates.map((field) => fields[field])],
+      );
+      if (fields.name && fields.name !== campaign.name) {
+        await db.query('UPDATE posts SET campaign=$2 WHERE campaign_id=$1', [campaign.id, fields.name]);
+      }
+      return res.json(rows[0]);
+    } catch (err) {
+      if (err.code === '23505') return res.status(409).json({ error: 'A campaign with this name already exists' });
+      console.error('Error updating campaign:', err);
+      return res.status(500).json({ error: 'Failed to update campaign' });
+    }
+  });
+
+  // DELETE /campaigns/:id – The campaign's posts stay, without a campaign
+  // but with its name as their label.
+  router.delete('/campaigns/:id', can('posts:write'), async (req, res) => {
+    try {
+      const result = await db.query('DELETE FROM campaigns WHERE id=$1 AND organization_id=$2', [
+        req.params.id,
+        req.organizationId,
+      ]);
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Campaign not found' });
+      return res.json({ success: true });
+    } catch (err) {
+      console.error('Error deleting campaign:', err);
+      return res.status(500).json({ error: 'Failed to delete campaign' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,110 @@
+// Writing rules of each social network.  Generated posts get one variant
+// per selected channel; the rules are given to the model as guidance and
+// every variant is validated against them before it is stored.
+//
+// maxLength applies to the published caption (text plus hashtags, see
+// publishers/caption.js).  guidance is included in the prompt in the
+// generation language.
+
+const { composeCaption } = require('./publishers/caption');
+
+const CHANNEL_RULES = {
+  facebook: {
+    maxLength: 2000,
+    minHashtags: 0,
+    maxHashtags: 5,
+    guidance: {
+      fi: 'keskusteleva ja yhteisöllinen sävy, korkeintaan muutama hashtag',
+      sv: 'samtalande och gemenskapsinriktad ton, högst några hashtaggar',
+      en: 'conversational, community-oriented tone with at most a few hashtags',
+    },
+  },
+  instagram: {
+    maxLength: 2200,
+    minHashtags: 5,
+    maxHashtags: 30,
+    guidance: {
+      fi: 'visuaalinen ja tunnelmallinen kuvateksti, runsaasti osuvia hashtageja',
+      sv: 'visuell och stämningsfull bildtext med många relevanta hashtaggar',
+      en: 'visual, atmospheric caption with plenty of relevant hashtags',
+    },
+  },
+  linkedin: {
+    maxLength: 3000,
+    minHashtags: 0,
+    maxHashtags: 5,
+    guidance: {
+      fi: 'asiantunteva ja ammatillinen sävy, selkeä hyöty lukijalle',
+      sv: 'sakkunnig och professionell ton med tydlig nytta för läsaren',
+      en: 'professional, expert tone with a clear takeaway for the reader',
+    },
+  },
+  tiktok: {
+    maxLength: 300,
+    minHashtags: 1,
+    maxHashtags: 6,
+    guidance: {
+      fi: 'lyhyt ja iskevä koukku heti alussa, rento sävy',
+      sv: 'kort och slagkraftig krok direkt i början, avslappnad ton',
+      en: 'short, punchy hook right at the start, casual tone',
+    },
+  },
+  x: {
+    maxLength: 280,
+    minHashtags: 0,
+    maxHashtags: 3,
+    guidance: {
+      fi: 'tiivis, korkeintaan 280 merkkiä hashtagit mukaan lukien',
+      sv: 'koncis, högst 280 tecken inklusive hashtaggar',
+      en: 'concise, at most 280 characters including hashtags',
+    },
+  },
+};
+
+// Alternative names used in profiles.social_channels.
+const ALIASES = { twitter: 'x', fb: 'facebook', ig: 'instagram' };
+
+/**
+ * Normalize a channel name to a key of CHANNEL_RULES.
+ *
+ * @param {string} name
+ * @returns {string|null} The channel type, or null if it is not supported.
+ */
+function normalizeChannel(name) {
+  const key = String(name || '').trim().toLowerCase();
+  const type = ALIASES[key] || key;
+  return CHANNEL_RULES[type] ? type : null;
+}
+
+/**
+ * Validate one channel variant.
+ *
+ * @param {string} type - Channel type.
+ * @param {*} variant - `{ text, hashtags }`.
+ * @param {string} label - Prefix for error messages.
+ * @returns {string[]} Problems found.
+ */
+function validateVariant(type, variant, label) {
+  const rules = CHANNEL_RULES[type];
+  if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+    return [`${label}: a ${type} variant object is required`];
+  }
+  const errors = [];
+  if (typeof variant.text !== 'string' || !variant.text.trim()) {
+    errors.push(`${label}: ${type} "text" must be a non-empty string`);
+  }
+  const hashtags = variant.hashtags;
+  if (!Array.isArray(hashtags) || hashtags.some((tag) => typeof tag !== 'string')) {
+    errors.push(`${label}: ${type} "hashtags" must be an array of strings`);
+    return errors;
+  }
+  if (hashtags.length < rules.minHashtags || hashtags.length > rules.maxHashtags) {
+    errors.push(`${label}: ${type} needs ${rules.minHashtags}–${rules.maxHashtags} hashtags, got ${hashtags.length}`);
+  }
+  if (errors.length === 0 && composeCaption(variant).length > rules.maxLength) {
+    errors.push(`${label}: ${type} text and hashtags must be at most ${rules.maxLength} characters together`);
+  }
+  return errors;
+}
+
+module.exports = { CHANNEL_RULES, normalizeChannel, validateVariant };
@@ -0,0 +1,208 @@
+/*
+ * Express routers for connecting an organization's social media channels.
+ *
+ * createChannelsRouter() serves the authenticated API:
+ *   GET    /channels                 – list channels (tokens are never returned)
+ *   GET    /channels/:type/authorize – URL that starts the OAuth handshake
+ *   POST   /channels/:type/connect   – finish the handshake and store the accounts
+ *   POST   /channels/:id/refresh     – refresh the access token now
+ *   GET    /channels/:id/health      – verify the token against the network
+ *   DELETE /channels/:id             – disconnect the channel
+ *
+ * createChannelsCallbackRouter() serves GET /channels/:type/callback, where
+ * the network redirects the user's browser.  That request carries no
+ * session, so the router must be mounted before `authenticate` and does not
+ * connect anything itself: it passes the code and the signed `state` on to
+ * the app, which completes the connection through POST
+ * /channels/:type/connect.  The state names the user who started the
+ * handshake, so a code obtained with someone else's authorization URL is
+ * rejected instead of attaching the account to that person's organization.
+ */
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { requirePermission: can } = require('./roles');
+const { requireId } = require('./utils/ids');
+const {
+  getProvider,
+  decryptChannel,
+  getRedirectUri,
+  saveConnections,
+  refreshChannel,
+  checkChannelHealth,
+  disconnectChannel,
+} = require('./oauth');
+
+// Columns safe to return to clients.  Tokens stay on the server.
+const CHANNEL_COLUMNS = `id, type, name, external_id, status, scopes, token_expires_at,
+  last_checked_at, last_error, created_at, updated_at`;
+
+// Where the user's browser is sent after the OAuth callback.
+function appRedirect(params) {
+  const base = process.env.APP_URL || 'http://localhost:3000';
+  return `${base.replace(/\/$/, '')}/channels?${new URLSearchParams(params)}`;
+}
+
+// Audience of OAuth state tokens.  They are signed with the same secret as
+// legacy login tokens and travel in redirect URLs, so authenticate()
+// refuses tokens with an audience and the state is only accepted with it.
+const STATE_AUDIENCE = 'channel-oauth-state';
+
+function createChannelsRouter(db, { stateSecret }) {
+  const router = express.Router();
+
+  router.param('id', requireId('Channel not found'));
+
+  // Load a channel of the caller's organization or respond with an error.
+  async function loadChannel(req, res) {
+    const { rows } = await db.query('SELECT * FROM channels WHERE id=$1 AND organization_id=$2', [
+      req.params.id,
+      req.organizationId,
+    ]);
+    if (rows.length === 0) {
+      res.status(404).json({ error: 'Channel not found' });
+      return null;
+    }
+    return decryptChannel(rows[0]);
+  }
+
+  router.get('/channels', can('read'), async (req, res) => {
+    try {
+      const orgId = req.organizationId;
+      const { rows } = await db.query(
+        `SELECT ${CHANNEL_COLUMNS} FROM channels WHERE organization_id=$1 ORDER BY type, name`,
+        [orgId],
+      );
+      return res.json(rows);
+    } catch (err) {
+      console.error('Error fetching channels:', err);
+      return res.status(500).json({ error: 'Failed to fetch channels' });
+    }
+  });
+
+  // GET /channels/:type/authorize – Returns `{ url }`; the frontend sends
+  // the user there.  The state parameter is a short-lived signed token that
+  // identifies the organization and the user when the network redirects back.
+  router.get('/channels/:type/authorize', can('settings:write'), async (req, res) => {
+    const { type } = req.params;
+    const provider = getProvider(type);
+    if (!provider) return res.status(400).json({ error: `Unsupported channel type ${type}` });
+    try {
+      const orgId = req.organizationId;
+      const state = jwt.sign({ organizationId: orgId, userId: req.userId, type }, stateSecret, {
+        expiresIn: '10m',
+        audience: STATE_AUDIENCE,
+      });
+      return res.json({ url: provider.authorizeUrl({ state, redirectUri: getRedirectUri(type) }) });
+    } catch (err) {
+      console.error('Error starting channel authorization:', err);
+      return res.status(500).json({ error: 'Failed to start channel authorization' });
+    }
+  });
+
+  // POST /channels/:type/connect – Body: { code, state } as passed to the
+  // app by the callback.  The state must have been issued to the caller in
+  // the caller's organization.  Exchanges the code for tokens, stores the
+  // connected accounts and returns them.
+  router.post('/channels/:type/connect', can('settings:write'), async (req, res) => {
+    const { type } = req.params;
+    const { code, state } = req.body;
+    const provider = getProvider(type);
+    if (!provider) return res.status(400).json({ error: `Unsupported channel type ${type}` });
+    if (!code || typeof code !== 'string') return res.status(400).json({ error: 'code is required' });
+    let payload;
+    try {
+      payload = jwt.verify(String(state || ''), stateSecret, { audience: STATE_AUDIENCE });
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid or expired state' });
+    }
+    if (
+      payload.type !== type ||
+      String(payload.organizationId) !== String(req.organizationId) ||
+      String(payload.userId) !== String(req.userId)
+    ) {
+      return res.status(403).json({ error: 'The authorization was not started by this user' });
+    }
+    try {
+      const accounts = await provider.exchangeCode({ code, redirectUri: getRedirectUri(type) });
+      if (accounts.length === 0) return res.status(400).json({ error: 'No accounts were authorized' });
+      const saved = await saveConnections(db, req.organizationId, type, accounts);
+      const { rows } = await db.query(`SELECT ${CHANNEL_COLUMNS} FROM channels WHERE id = ANY($1) ORDER BY name`, [
+        saved.map((channel) => channel.id),
+      ]);
+      return res.json(rows);
+    } catch (err) {
+      console.error('Error completing channel authorization:', err);
+      return res.status(502).json({ error: 'Failed to complete channel authorization' });
+    }
+  });
+
+  router.post('/channels/:id/refresh', can('settings:write'), async (req, res) => {
+    try {
+      const channel = await loadChannel(req, res);
+      if (!channel) return undefined;
+      const provider = getProvider(channel.type);
+      if (!provider || !provider.refresh || !channel.refresh_token) {
+        return res.status(400).json({ error: 'Channel does not support token refresh' });
+      }
+      await refreshChannel(db, channel);
+      const { rows } = await db.query(`SELECT ${CHANNEL_COLUMNS} FROM channels WHERE id=$1`, [channel.id]);
+      return res.json(rows[0]);
+    } catch (err) {
+      console.error('Error refreshing channel:', err);
+      return res.status(502).json({ error: 'Failed to refresh channel token' });
+    }
+  });
+
+  router.get('/channels/:id/health', can('read'), async (req, res) => {
+    try {
+      const channel = await loadChannel(req, res);
+      if (!channel) return undefined;
+      const result = await checkChannelHealth(db, channel);
+      return res.json({ id: channel.id, ...result });
+    } catch (err) {
+      console.error('Error checking channel health:', err);
+      return res.status(500).json({ error: 'Failed to check channel health' });
+    }
+  });
+
+  router.delete('/channels/:id', can('settings:write'), async (req, res) => {
+    try {
+      const channel = await loadChannel(req, res);
+      if (!channel) return undefined;
+      await disconnectChannel(db, channel);
+      return res.json({ success: true });
+    } catch (err) {
+      console.error('Error disconnecting channel:', err);
+      return res.status(500).json({ error: 'Failed to disconnect channel' });
+    }
+  });
+
+  return router;
+}
+
+function createChannelsCallbackRouter(db, { stateSecret }) {
+  const router = express.Router();
+
+  // GET /channels/:type/callback – Send the browser back to the app with
+  // `connect=<type>`, `code` and `state`, which the app posts to
+  // /channels/:type/connect, or with `error=<reason>`.
+  router.get('/channels/:type/callback', (req, res) => {
+    const { type } = req.params;
+    const { code, state, error } = req.query;
+    if (error) return res.redirect(appRedirect({ error: String(error) }));
+    let payload;
+    try {
+      payload = jwt.verify(String(state || ''), stateSecret, { audience: STATE_AUDIENCE });
+    } catch (err) {
+      return res.redirect(appRedirect({ error: 'invalid_state' }));
+    }
+    if (!getProvider(type) || payload.type !== type || !code) {
+      return res.redirect(appRedirect({ error: 'invalid_request' }));
+    }
+    return res.redirect(appRedirect({ connect: type, code: String(code), state: String(state) }));
+  });
+
+  return router;
+}
+
+module.exports = { createChannelsRouter, createChannelsCallbackRouter };
@@ -0,0 +1,274 @@
+// Draft generation behind POST /api/generate.  The organization's profile
+// is turned into a content plan (see ai.js) and every post is saved as a
+// draft with its channel variants, checked by the moderation pipeline and
+// given the next free posting slot.  When the caller follows the drafts
+// as they come, posts are saved one by one as the model finishes them, so
+// a streaming caller can show each draft right away and a generate_posts
+// job (see jobs/handlers.js) can report them as partial results.
+// Otherwise nothing is saved until the whole plan is valid.  Drafts
+// generated for a campaign (see campaigns/) follow its messaging and are
+// spread over its dates.
+
+const { generatePlan } = require('./ai');
+const { resolveProvider } = require('./llm');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage } = require('./prompts');
+const { CHANNEL_RULES, normalizeChannel } = require('./channel_rules');
+const { loadModerationConfig, moderateTexts, recordModeration } = require('./moderation');
+const { findFreeSlots, loadSlotConfig } = require('./slots');
+const { findCampaign, campaignPeriod } = require('./campaigns');
+const { assertWithinQuota, recordUsage } = require('./usage');
+
+const DEFAULT_POST_COUNT = 5;
+const MAX_POST_COUNT = 10;
+
+/**
+ * Error for a generation request that cannot be served, e.g. because the
+ * organization has no profile yet.
+ */
+class GenerationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GenerationError';
+    this.status = status;
+  }
+
+  toJSON() {
+    return { error: this.message };
+  }
+}
+
+/**
+ * Validate the body of a generation request.  The free-text `campaign`
+ * label of earlier versions is refused: drafts belong to a campaign through
+ * `campaign_id` and are labelled with its name.
+ *
+ * @param {Object} body - `{ count?, campaign_id?, language?, channels? }`
+ * @returns {{params?: {count: number, campaignId: number|null,
+ *   language?: string, channels?: string[]}, error?: string}}
+ */
+function parseGenerateRequest({ count, campaign, campaign_id, language, channels } = {}) {
+  if (campaign !== undefined) {
+    return { error: 'campaign is no longer supported, use campaign_id' };
+  }
+  if (language !== undefined && !isSupportedLanguage(language)) {
+    return { error: `language must be one of ${SUPPORTED_LANGUAGES.join(', ')}` };
+  }
+  if (channels !== undefined && (!Array.isArray(channels) || channels.some((c) => !normalizeChannel(c)))) {
+    return { error: `channels must be an array of ${Object.keys(CHANNEL_RULES).join(', ')}` };
+  }
+  const campaignId = campaign_id === undefined || campaign_id === null ? null : Number(campaign_id);
+  if (campaignId !== null && !(Number.isInteger(campaignId) && campaignId > 0)) {
+    return { error: 'campaign_id must be the id of a campaign' };
+  }
+  return {
+    params: {
+      // Clamp the count between 1 and 10 to avoid excessive generation.
+      count: count && Number(count) > 0 ? Math.min(Number(count), MAX_POST_COUNT) : DEFAULT_POST_COUNT,
+      campaignId,
+      language,
+      channels,
+    },
+  };
+}
+
+/**
+ * Check the quota and load everything a generation needs.  Fails before
+ * the model is called, with a QuotaExceededError or a GenerationError.
+ *
+ * @param {Object} db
+ * @param {{organizationId: number, clerkUserId?: string|null}} caller
+ * @param {Object} params - From parseGenerateRequest().
+ * @returns {Promise<{run: Function}>} `run(hooks)` generates and saves the
+ *   drafts; see runGeneration().
+ */
+async function prepareGeneration(db, { organizationId: orgId, clerkUserId = null }, params) {
+  await assertWithinQuota(db, orgId, { tokens: true });
+
+  // Fetch the organization's profile, preferring the caller's own when
+  // several members have one.  Only select
+  // columns that are guaranteed to exist in the current schema.  The
+  // content_preferences column is aliased to content_themes for
+  // backwards‑compatibility.  Additional fields such as
+  // marketing_goals may not be present on all deployments, so they
+  // are populated with empty strings below.
+  const profRes = await db.query(
+    `SELECT company_name,
+            company_description AS description,
+            target_audience,
+            tone_of_voice,
+            social_channels,
+            content_preferences AS content_themes,
+            language
+       FROM profiles
+      WHERE organization_id = $1
+      ORDER BY (clerk_id IS NOT DISTINCT FROM $2) DESC, updated_at DESC
+      LIMIT 1`,
+    [orgId, clerkUserId],
+  );
+  const row = profRes.rows[0];
+  if (!row) throw new GenerationError('Profile not found');
+
+  // Construct a profile object expected by the AI helper.  Since the
+  // profiles table may not include marketing_goals, default to an
+  // empty string.  This ensures generatePlan can safely access
+  // undefined properties without triggering database errors.
+  const profile = {
+    company_name: row.company_name,
+    description: row.description,
+    target_audience: row.target_audience,
+    tone_of_voice: row.tone_of_voice || '',
+    marketing_goals: '',
+    content_themes: row.content_themes || '',
+    social_channels: row.social_channels || [],
+  };
+  // The drafts of a campaign are planned for what is left of its dates.
+  let campaign = null;
+  let period = null;
+  if (params.campaignId) {
+    campaign = await findCampaign(db, orgId, params.campaignId);
+    if (!campaign) throw new GenerationError('Campaign not found');
+    const { timezone } = await loadSlotConfig(db, orgId);
+    const { from, until } = campaignPeriod(campaign, timezone);
+    const now = new Date();
+    if (until <= now) throw new GenerationError('The campaign has already ended');
+    period = { from: from > now ? from : now, until };
+  }
+  const provider = await resolveProvider(db, orgId);
+  // Unknown names in the profile's social_channels are skipped.
+  const targetChannels = params.channels || (campaign?.channels.length ? campaign.channels : profile.social_channels);
+  const channels = [...new Set(targetChannels.map(normalizeChannel).filter(Boolean))];
+
+  const generation = {
+    ...params,
+    profile,
+    provider,
+    channels,
+    language: params.language || row.language || DEFAULT_LANGUAGE,
+    campaign,
+    period,
+    // Drafts of a campaign are labelled with its name.
+    label: campaign ? campaign.name : null,
+  };
+  return { run: (hooks) => runGeneration(db, orgId, generation, hooks) };
+}
+
+/**
+ * Generate the plan and save its posts as drafts.  With an `onPost` hook
+ * each post is saved as soon as the model has finished it, and drafts
+ * saved before a failure or a cancellation are kept.  Without one the
+ * posts are saved once the whole plan is valid, so a failed generation
+ * leaves no drafts behind that a retry would duplicate.  The tokens spent
+ * are recorded against the quota, also when the output stays invalid or
+ * the generation is cancelled.
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @param {Object} generation
+ * @param {{signal?: AbortSignal, onProgress?: Function, onPost?: Function}} [hooks]
+ *   `onProgress({ stage, attempt, completed, total })` reports the stage
+ *   ('generating', or 'repairing' after invalid output) and how many
+ *   drafts are saved; `onPost(post, index)` receives each saved draft with
+ *   its variants and moderation result.
+ * @returns {Promise<Object[]>} The saved drafts.
+ */
+async function runGeneration(db, orgId, generation, { signal, onProgress, onPost } = {}) {
+  const { profile, provider, channels, language, count, campaign, period, label } = generation;
+  const moderationConfig = await loadModerationConfig(db, orgId);
+  // Drafts take the organization's next free posting slots, or free slots
+  // spread over the campaign; without slots they are planned one a day
+  // from now, or each in the middle of its share of the campaign.
+  const slots = await findFreeSlots(db, orgId, {
+    count,
+    channels: channels.length ? channels : null,
+    ...(period ? { after: period.from, until: period.until, spread: true } : {}),
+  });
+  const plannedAt = (index) => {
+    if (slots[index]) return slots[index].at;
+    if (period) return new Date(period.from.getTime() + ((period.until - period.from) * (index + 0.5)) / count);
+    const date = new Date();
+    date.setDate(date.getDate() + index);
+    return date;
+  };
+  const posts = [];
+  let stage = 'generating';
+  let attempt = 1;
+  const progress = async () => {
+    if (onProgress) await onProgress({ stage, attempt, completed: posts.length, total: count });
+  };
+
+  // Save a generated post as a draft with its scheduling suggestion, then
+  // run it through the moderation pipeline.  Flagged drafts land in the
+  // review queue.
+  async function savePost({ text, hashtags, imagePrompt, variants }, index) {
+    const insertRes = await db.query(
+      `INSERT INTO posts
+              (organization_id, text, hashtags, image_prompt, scheduled_at, channel_id, status, campaign, campaign_id)
+            VALUES ($1, $2, $3, $4, $5, $6, 'draft', $7, $8)
+            RETURNING *`,
+      [
+        orgId,
+        text,
+        hashtags,
+        imagePrompt || null,
+        plannedAt(index),
+        slots[index]?.channelId || null,
+        label,
+        campaign?.id || null,
+      ],
+    );
+    const post = insertRes.rows[0];
+    for (const [channelType, variant] of Object.entries(variants)) {
+      await db.query('INSERT INTO post_variants (post_id, channel_type, text, hashtags) VALUES ($1, $2, $3, $4)', [
+        post.id,
+        channelType,
+        variant.text,
+        variant.hashtags,
+      ]);
+    }
+    const flags = await moderateTexts([text, ...Object.values(variants).map((v) => v.text)], moderationConfig, {
+      provider,
+    });
+    const moderationFlags = await recordModeration(db, post.id, flags);
+    const saved = {
+      ...post,
+      flagged: flags.length > 0,
+      moderation_status: flags.length > 0 ? 'pending' : null,
+      variants,
+      moderation_flags: moderationFlags,
+    };
+    posts.push(saved);
+    if (onPost) await onPost(saved, index);
+    await progress();
+  }
+
+  try {
+    const { posts: plan, usage } = await generatePlan(profile, count, {
+      provider,
+      language,
+      channels,
+      campaign,
+      signal,
+      onPost: onPost ? savePost : undefined,
+      onAttempt: (n) => {
+        attempt = n;
+        stage = n === 1 ? 'generating' : 'repairing';
+        return progress();
+      },
+    });
+    await recordUsage(db, orgId, { tokens: usage.totalTokens });
+    if (!onPost) {
+      for (const [index, post] of plan.entries()) await savePost(post, index);
+    }
+    return posts;
+  } catch (err) {
+    // Failed and cancelled attempts still consumed tokens.
+    if (err.usage?.totalTokens) {
+      await recordUsage(db, orgId, { tokens: err.usage.totalTokens }).catch((usageErr) =>
+        console.error('Error recording usage:', usageErr),
+      );
+    }
+    throw err;
+  }
+}
+
+module.exports = { GenerationError, parseGenerateRequest, prepareGeneration };
@@ -0,0 +1,237 @@
+// Identity layer: maps the authenticated caller to an internal user and
+// organization.
+//
+// Requests are authenticated either by a Clerk session (req.auth.userId,
+// a string such as "user_2abc") or by a legacy JWT issued by /login, which
+// carries the internal users.id.  authenticate() resolves both to the same
+// shape and sets on the request:
+//
+//   req.userId          – internal users.id
+//   req.clerkUserId     – Clerk user ID, or null for legacy JWT users
+//   req.organizationId  – the user's current organization; for a Clerk
+//                         session with an active organization, that one
+//   req.role            – the user's role in that organization
+//
+// A Clerk user seen for the first time is linked to the legacy user with
+// the same verified email if there is one, otherwise a user is created.  Users
+// without an organization get their own, with themselves as owner.  A
+// user who leaves or is removed from the current organization continues
+// in another organization the user belongs to.
+
+const jwt = require('jsonwebtoken');
+const { clerkClient } = require('@clerk/clerk-sdk-node');
+
+/**
+ * Create an organization for a user that has none and make the user its
+ * owner.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {number} userId - Internal users.id.
+ * @param {string} [name] - Organization name.
+ * @returns {Promise<number>} The user's organization ID.
+ */
+async function ensureOrganization(db, userId, name) {
+  const userRes = await db.query('SELECT organization_id FROM users WHERE id=$1', [userId]);
+  let orgId = userRes.rows[0]?.organization_id;
+  if (!orgId) {
+    const createOrg = await db.query('INSERT INTO organizations (name, created_at) VALUES ($1, NOW()) RETURNING id', [
+      name || 'Unnamed',
+    ]);
+    orgId = createOrg.rows[0].id;
+    await db.query('UPDATE users SET organization_id=$1 WHERE id=$2', [orgId, userId]);
+    await db.query(
+      `INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, 'owner')
+       ON CONFLICT (organization_id, user_id) DO NOTHING`,
+      [orgId, userId],
+    );
+  }
+  return orgId;
+}
+
+/**
+ * Keep the user's current organization one the user is a member of: it
+ * stays while the membership exists, otherwise the user's oldest
+ * remaining membership takes its place, or none.
+ *
+ * @param {Object} db
+ * @param {number} userId
+ * @returns {Promise<number|null>} The current organization ID.
+ */
+async function resolveCurrentOrganization(db, userId) {
+  const { rows } = await db.query(
+    `UPDATE users u
+        SET organization_id = (SELECT m.organization_id FROM organization_members m
+                                WHERE m.user_id = u.id
+                                ORDER BY m.created_at, m.organization_id
+                                LIMIT 1)
+      WHERE u.id = $1
+        AND NOT EXISTS (SELECT 1 FROM organization_members m
+                         WHERE m.user_id = u.id AND m.organization_id = u.organization_id)
+      RETURNING organization_id`,
+    [userId],
+  );
+  if (rows[0]) return rows[0].organization_id;
+  const userRes = await db.query('SELECT organization_id FROM users WHERE id=$1', [userId]);
+  return userRes.rows[0]?.organization_id ?? null;
+}
+
+// Fetch the verified primary email address and display name of a Clerk
+// user.  Anyone can add an address to a Clerk account, so an unverified
+// one is left out.  Failures are logged and leave the user without an
+// email.
+async function fetchClerkUser(clerkUserId) {
+  try {
+    const user = await clerkClient.users.getUser(clerkUserId);
+    const primary =
+      user.emailAddresses.find((address) => address.id === user.primaryEmailAddressId) || user.emailAddresses[0];
+    const verified = primary?.verification?.status === 'verified';
+    const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+    return { email: verified ? primary.emailAddress : null, name: name || null };
+  } catch (err) {
+    console.error(`Error fetching Clerk user ${clerkUserId}:`, err);
+    return { email: null, name: null };
+  }
+}
+
+/**
+ * Find or create the internal user of a Clerk user.  The email claims the
+ * legacy user with that address, so it must be verified.  A new user only
+ * gets an address that no other user has.
+ *
+ * @param {Object} db
+ * @param {string} clerkUserId
+ * @param {{email?: string|null, name?: string|null}} [details] - Known
+ *   details of the Clerk user, with a verified email or none; fetched from
+ *   Clerk when omitted.
+ * @returns {Promise<number>} Internal users.id.
+ */
+async function linkClerkUser(db, clerkUserId, details) {
+  const existing = await db.query('SELECT id FROM users WHERE clerk_id=$1', [clerkUserId]);
+  if (existing.rows[0]) return existing.rows[0].id;
+  const { email, name } = details || (await fetchClerkUser(clerkUserId));
+  let userId;
+  if (email) {
+    // Migrate a legacy JWT user with the same email to Clerk.
+    const legacy = await db.query(
+      'UPDATE users SET clerk_id=$1 WHERE LOWER(email)=LOWER($2) AND clerk_id IS NULL RETURNING id',
+      [clerkUserId, email],
+    );
+    userId = legacy.rows[0]?.id;
+  }
+  if (!userId) {
+    const created = await db.query(
+      `INSERT INTO users (clerk_id, email, created_at)
+       VALUES ($1, CASE WHEN EXISTS (SELECT 1 FROM users WHERE LOWER(email)=LOWER($2)) THEN NULL ELSE $2 END, NOW())
+       ON CONFLICT (clerk_id) DO UPDATE SET clerk_id = EXCLUDED.clerk_id
+       RETURNING id`,
+      [clerkUserId, email],
+    );
+    userId = created.rows[0].id;
+  }
+  const orgId = await ensureOrganization(db, userId, name || (email ? email.split('@')[0] : null));
+  // Profiles created through /api/profiles before the user was linked.
+  await db.query('UPDATE profiles SET organization_id=$2 WHERE clerk_id=$1 AND organization_id IS NULL', [
+    clerkUserId,
+    orgId,
+  ]);
+  return userId;
+}
+
+/**
+ * Resolve an internal user to the identity set on requests.  The Clerk
+ * organization given in `clerkOrgId` becomes the current organization if
+ * the user is a member of it.  A current organization the user no longer
+ * belongs to is replaced (see resolveCurrentOrganization()).
+ *
+ * @param {Object} db
+ * @param {number} userId
+ * @param {{clerkOrgId?: string|null}} [options] - The active organization
+ *   of the Clerk session.
+ * @returns {Promise<{userId: number, clerkUserId: string|null,
+ *   organizationId: number|null, role: string|null}|null>}
+ */
+async function loadIdentity(db, userId, { clerkOrgId = null } = {}) {
+  if (clerkOrgId) {
+    await db.query(
+      `UPDATE users u SET organization_id = o.id
+         FROM organizations o
+         JOIN organization_members m ON m.organization_id = o.id
+        WHERE u.id = $1 AND o.clerk_org_id = $2 AND m.user_id = u.id
+          AND u.organization_id IS DISTINCT FROM o.id`,
+      [userId, clerkOrgId],
+    );
+  }
+  const load = async () => {
+    const { rows } = await db.query(
+      `SELECT u.id, u.clerk_id, u.organization_id, m.role
+         FROM users u
+         LEFT JOIN organization_members m ON m.organization_id = u.organization_id AND m.user_id = u.id
+        WHERE u.id=$1`,
+      [userId],
+    );
+    return rows[0];
+  };
+  let user = await load();
+  if (!user) return null;
+  // The membership of the current organization is gone.
+  if (!user.role && (await resolveCurrentOrganization(db, user.id))) user = await load();
+  return {
+    userId: user.id,
+    clerkUserId: user.clerk_id,
+    organizationId: user.role ? user.organization_id : null,
+    role: user.role || null,
+  };
+}
+
+/**
+ * Express middleware factory replacing the per-route user lookups: accepts
+ * a Clerk session or a legacy JWT and sets req.userId, req.clerkUserId,
+ * req.organizationId and req.role.  Responds 401 otherwise.  Resolving is
+ * done once per request even when the middleware is mounted repeatedly.
+ *
+ * @param {Object} db
+ * @param {{jwtSecret: string}} options
+ * @returns {Function}
+ */
+function createAuthenticate(db, { jwtSecret }) {
+  return async function authenticate(req, res, next) {
+    if (req.identity) return next();
+    let userId;
+    if (req.auth && req.auth.userId) {
+      try {
+        userId = await linkClerkUser(db, req.auth.userId);
+      } catch (err) {
+        console.error('Error resolving Clerk user:', err);
+        return res.status(500).json({ error: 'Failed to resolve user' });
+      }
+    } else {
+      // Fallback to JWT authentication for legacy clients
+      const authHeader = req.headers.authorization;
+      if (!authHeader) return res.status(401).json({ error: 'Missing token' });
+      try {
+        const payload = jwt.verify(authHeader.split(' ')[1], jwtSecret);
+        // Tokens with an audience, such as OAuth states (see channels.js),
+        // are not login tokens.
+        if (payload.aud) return res.status(401).json({ error: 'Invalid token' });
+        userId = payload.userId;
+      } catch (err) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+    }
+    try {
+      const identity = await loadIdentity(db, userId, { clerkOrgId: req.auth?.orgId || null });
+      if (!identity) return res.status(401).json({ error: 'Unknown user' });
+      req.identity = identity;
+      req.userId = identity.userId;
+      req.clerkUserId = identity.clerkUserId;
+      req.organizationId = identity.organizationId;
+      req.role = identity.role;
+      return next();
+    } catch (err) {
+      console.error('Error resolving identity:', err);
+      return res.status(500).json({ error: 'Failed to resolve user' });
+    }
+  };
+}
+
+module.exports = { ensureOrganization, resolveCurrentOrganization, linkClerkUser, loadIdentity, createAuthenticate };
@@ -0,0 +1,57 @@
+// Invitation emails.  POST /api/invitations (see members.js) stores the
+// invitation and queues a send_invitation job with only its id.  The job
+// mints the token when it sends the email, so the token exists in the
+// email alone: the invitation keeps its SHA-256 hash and neither the job
+// payload nor the log ever holds it.  Sending again replaces the token.
+
+const crypto = require('crypto');
+const { sendEmail } = require('./mailer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A random token and its hash.
+function createToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+}
+
+function invitationUrl(token) {
+  const base = process.env.APP_URL || 'http://localhost:3000';
+  return `${base.replace(/\/$/, '')}/invitations/accept?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Email a pending invitation with a new link.  Invitations that were
+ * revoked, accepted or have expired in the meantime are skipped.
+ *
+ * @param {Object} db
+ * @param {number} invitationId
+ * @returns {Promise<{sent: boolean}>}
+ */
+async function sendInvitation(db, invitationId) {
+  const { rows } = await db.query(
+    `SELECT i.id, i.email, i.role, i.expires_at, o.name AS organization_name
+       FROM organization_invitations i
+       JOIN organizations o ON o.id = i.organization_id
+      WHERE i.id=$1 AND i.accepted_at IS NULL AND i.expires_at > NOW()`,
+    [invitationId],
+  );
+  const invitation = rows[0];
+  if (!invitation) return { sent: false };
+  const { token, tokenHash } = createToken();
+  await db.query('UPDATE organization_invitations SET token_hash=$2 WHERE id=$1', [invitation.id, tokenHash]);
+  const days = Math.max(1, Math.round((new Date(invitation.expires_at).getTime() - Date.now()) / DAY_MS));
+  await sendEmail({
+    to: invitation.email,
+    subject: `Invitation to ${invitation.organization_name || 'Gunvald'}`,
+    text: `You have been invited to join ${invitation.organization_name || 'an organization'} on Gunvald as ${invitation.role}.\n\n`
+      + `Accept the invitation: ${invitationUrl(token)}\n\nThe link expires in ${days} ${days === 1 ? 'day' : 'days'}.`,
+  });
+  return { sent: true };
+}
+
+module.exports = { hashToken, createToken, sendInvitation };
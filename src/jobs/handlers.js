@@ -0,0 +1,204 @@
+// Built-in job types and the worker that runs them.
+//
+//   publish_due_posts       recurring; enqueues publish_post for due posts
+//   publish_post            sends one post to its channel
+//   refresh_channel_tokens  recurring; refreshes expiring OAuth tokens
+//   generate_posts          generates drafts for POST /api/generate with async
+//   generate_images         generates images and records the usage
+//   send_email              sends a notification email
+//   send_invitation         emails an invitation with a new link
+//   cleanup_jobs            recurring; deletes old completed jobs
+//
+// Generation jobs report their progress and partial results (see
+// routes.js for GET /api/jobs/:id) and their results are kept longer
+// than those of other jobs.
+//
+// The worker runs inside the API server unless RUN_WORKER=false, and
+// src/worker.js runs it as a separate process.
+
+const { registerJobHandler, enqueueJob, createWorker } = require('./index');
+const { findDuePosts, claimPost, sendPost, markPublishFailed } = require('../publishers');
+const { refreshExpiringChannels } = require('../oauth');
+const { generateImages } = require('../ai_images');
+const { resolveProvider } = require('../llm');
+const { assertWithinQuota, recordUsage, QuotaExceededError } = require('../usage');
+const { sendEmail } = require('../mailer');
+const { sendInvitation } = require('../invitations');
+const { GenerationError, prepareGeneration } = require('../generation');
+
+const DEFAULT_JOB_RETENTION_DAYS = 7;
+const DEFAULT_GENERATION_JOB_RETENTION_DAYS = 30;
+
+// Job types whose results users fetch through /api/jobs.
+const GENERATION_JOB_TYPES = ['generate_posts', 'generate_images'];
+
+/**
+ * Enqueue a publish job for each due post.  A post that already has a
+ * pending publish job is skipped.
+ *
+ * @param {Object} db
+ * @param {{organizationId?: number}} [options]
+ * @returns {Promise<{queued: number}>}
+ */
+async function enqueueDuePosts(db, { organizationId } = {}) {
+  const posts = await findDuePosts(db, { organizationId });
+  let queued = 0;
+  for (const post of posts) {
+    const job = await enqueueJob(
+      db,
+      'publish_post',
+      { postId: post.id },
+      { organizationId: post.organization_id, uniqueKey: `publish_post:${post.id}` },
+    );
+    if (job) queued += 1;
+  }
+  return { queued };
+}
+
+// Tell the organization's admins that a post could not be published.
+async function notifyPublishFailure(db, postId, reason) {
+  const { rows } = await db.query(
+    `SELECT u.email, p.organization_id FROM posts p
+       JOIN organization_members m ON m.organization_id = p.organization_id AND m.role IN ('owner', 'admin')
+       JOIN users u ON u.id = m.user_id
+      WHERE p.id=$1 AND u.email IS NOT NULL`,
+    [postId],
+  );
+  for (const row of rows) {
+    await enqueueJob(
+      db,
+      'send_email',
+      {
+        to: row.email,
+        subject: 'A scheduled post could not be published',
+        text: `Post ${postId} could not be published: ${reason}\n\nReschedule it once the problem is fixed.`,
+      },
+      { organizationId: row.organization_id },
+    );
+  }
+}
+
+registerJobHandler('publish_due_posts', {
+  maxAttempts: 1,
+  run: (payload, { db }) => enqueueDuePosts(db),
+});
+
+registerJobHandler('publish_post', {
+  maxAttempts: 3,
+  run: async ({ postId }, { db }) => {
+    const post = await claimPost(db, postId);
+    if (!post) return { skipped: true };
+    await sendPost(db, post);
+    return { published: true };
+  },
+  // Out of attempts: the post is recorded as failed and can be rescheduled.
+  onDead: async ({ postId }, { db, error }) => {
+    const { rowCount } = await db.query(`SELECT 1 FROM posts WHERE id=$1 AND status='publishing'`, [postId]);
+    if (!rowCount) return;
+    await markPublishFailed(db, postId, error.message);
+    await notifyPublishFailure(db, postId, error.message);
+  },
+});
+
+registerJobHandler('refresh_channel_tokens', {
+  maxAttempts: 1,
+  run: (payload, { db }) => refreshExpiringChannels(db),
+});
+
+// Drafts are saved as the model writes them, so a failed generation is
+// not retried.
+registerJobHandler('generate_posts', {
+  maxAttempts: 1,
+  run: async ({ organizationId, clerkUserId, params }, { db, reportProgress }) => {
+    let generation;
+    try {
+      generation = await prepareGeneration(db, { organizationId, clerkUserId }, params);
+    } catch (err) {
+      if (err instanceof QuotaExceededError || err instanceof GenerationError) err.retryable = false;
+      throw err;
+    }
+    const saved = [];
+    const posts = await generation.run({
+      onPost: (post) => {
+        saved.push(post);
+      },
+      onProgress: (progress) => reportProgress({ ...progress, posts: saved }),
+    });
+    return { posts };
+  },
+});
+
+// Images are stored as they are generated, so a retry would store them
+// again and count them twice; a failed job is not retried.
+registerJobHandler('generate_images', {
+  maxAttempts: 1,
+  run: async ({ organizationId, prompts, brand, variants, logo }, { db, reportProgress }) => {
+    try {
+      await assertWithinQuota(db, organizationId, { images: prompts.length });
+    } catch (err) {
+      if (err instanceof QuotaExceededError) err.retryable = false;
+      throw err;
+    }
+    const provider = await resolveProvider(db, organizationId);
+    // Finished images by prompt index; null while a prompt is pending.
+    const partial = prompts.map(() => null);
+    let completed = 0;
+    const images = await generateImages(prompts, {
+      db,
+      organizationId,
+      provider,
+      brand,
+      variants,
+      logo,
+      onResult: (image, index) => {
+        partial[index] = image;
+        completed += 1;
+        return reportProgress({ completed, total: prompts.length, images: partial });
+      },
+    });
+    await recordUsage(db, organizationId, { images: images.filter((image) => image.url).length });
+    return { images };
+  },
+});
+
+registerJobHandler('send_email', {
+  run: (message) => sendEmail(message),
+});
+
+registerJobHandler('send_invitation', {
+  run: ({ invitationId }, { db }) => sendInvitation(db, invitationId),
+});
+
+registerJobHandler('cleanup_jobs', {
+  maxAttempts: 1,
+  run: async (payload, { db }) => {
+    const days = Number(process.env.JOB_RETENTION_DAYS) || DEFAULT_JOB_RETENTION_DAYS;
+    const generationDays = Number(process.env.GENERATION_JOB_RETENTION_DAYS) || DEFAULT_GENERATION_JOB_RETENTION_DAYS;
+    const { rowCount } = await db.query(
+      `DELETE FROM jobs
+        WHERE (status='completed' AND type <> ALL($3) AND completed_at < NOW() - make_interval(days => $1))
+           OR (status IN ('completed', 'dead') AND type = ANY($3) AND updated_at < NOW() - make_interval(days => $2))`,
+      [days, generationDays, GENERATION_JOB_TYPES],
+    );
+    return { deleted: rowCount };
+  },
+});
+
+const RECURRING_JOBS = [
+  { type: 'publish_due_posts', intervalMs: 60 * 1000 },
+  { type: 'refresh_channel_tokens', intervalMs: 60 * 60 * 1000 },
+  { type: 'cleanup_jobs', intervalMs: 24 * 60 * 60 * 1000 },
+];
+
+/**
+ * Create a worker for the built-in job types and their recurring jobs.
+ *
+ * @param {Object} db - PostgreSQL pool.
+ * @param {Object} [options] - Passed on to createWorker().
+ * @returns {{start: Function, stop: Function, workerId: string}}
+ */
+function createJobWorker(db, options = {}) {
+  return createWorker(db, { recurring: RECURRING_JOBS, ...options });
+}
+
+module.exports = { GENERATION_JOB_TYPES, createJobWorker, enqueueDuePosts };
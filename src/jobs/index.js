@@ -0,0 +1,317 @@
+// Postgres-backed job queue.
+//
+// Jobs are rows in the jobs table with a type, a JSON payload and a status:
+//
+//   queued → running → completed
+//              ↘ queued again (retry with exponential backoff)
+//              ↘ dead (out of attempts; kept for inspection)
+//
+// Workers claim due jobs with FOR UPDATE SKIP LOCKED, so any number of
+// worker processes or server instances can share the queue and each job
+// runs once at a time.  While a job runs, its worker refreshes locked_at
+// as a heartbeat; a job whose worker died is put back in the queue once
+// no heartbeat has arrived for longer than the job timeout.  A worker
+// only writes to a job while it still holds the claim, so one that missed
+// its heartbeats cannot overwrite the attempt that took the job over.
+//
+// Handlers are registered per type with registerJobHandler(); handlers.js
+// registers the built-in ones.  A handler resolves with the job's result
+// (stored in jobs.result) or throws to fail the attempt.  An error with
+// `retryable: false` skips the remaining attempts.  While it runs, a
+// handler can store its progress and partial results in jobs.progress with
+// `reportProgress`.
+//
+// A job enqueued with a `uniqueKey` is skipped while another job with the
+// same key is still queued or running.
+
+const os = require('os');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const DEFAULT_JOB_TIMEOUT_MS = 10 * 60 * 1000;
+
+const handlers = {};
+
+/**
+ * Register the handler of a job type.
+ *
+ * @param {string} type
+ * @param {Object} definition
+ * @param {Function} definition.run - `run(payload, { db, job, reportProgress })`,
+ *   resolves with the result.  `reportProgress(progress)` stores a JSON
+ *   value in jobs.progress.
+ * @param {Function} [definition.onDead] - `onDead(payload, { db, job, error })`,
+ *   called once the job has used up its attempts.
+ * @param {number} [definition.maxAttempts] - Default attempts for new jobs.
+ */
+function registerJobHandler(type, definition) {
+  if (!definition || typeof definition.run !== 'function') throw new Error('Job handler must implement run()');
+  handlers[type] = definition;
+}
+
+/**
+ * Add a job to the queue.  With `uniqueKey`, nothing is enqueued while a
+ * job with the same key is pending; the call then resolves with null.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {string} type
+ * @param {Object} [payload]
+ * @param {{runAt?: Date, delayMs?: number, maxAttempts?: number,
+ *   organizationId?: number, uniqueKey?: string}} [options]
+ * @returns {Promise<Object|null>} The job row.
+ */
+async function enqueueJob(db, type, payload = {}, options = {}) {
+  const maxAttempts = options.maxAttempts || handlers[type]?.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const { rows } = await db.query(
+    `INSERT INTO jobs (type, payload, run_at, max_attempts, organization_id, unique_key)
+          VALUES ($1, $2, COALESCE($3, NOW() + make_interval(secs => $4)), $5, $6, $7)
+          ON CONFLICT (unique_key) WHERE status IN ('queued', 'running') DO NOTHING
+          RETURNING *`,
+    [
+      type,
+      JSON.stringify(payload),
+      options.runAt || null,
+      (options.delayMs || 0) / 1000,
+      maxAttempts,
+      options.organizationId || null,
+      options.uniqueKey || null,
+    ],
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Claim due jobs for a worker and mark them running.
+ *
+ * @param {Object} db
+ * @param {{workerId: string, limit?: number}} options
+ * @returns {Promise<Object[]>} The claimed job rows.
+ */
+async function claimJobs(db, { workerId, limit = 1 }) {
+  const { rows } = await db.query(
+    `UPDATE jobs
+        SET status='running', attempts=attempts + 1, locked_at=NOW(), locked_by=$1, updated_at=NOW()
+      WHERE id IN (
+        SELECT id FROM jobs
+         WHERE status='queued' AND run_at <= NOW()
+         ORDER BY run_at, id
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`,
+    [workerId, limit],
+  );
+  return rows;
+}
+
+/**
+ * Delay before the next attempt: exponential from 30 seconds up to an
+ * hour, with some jitter so that failed jobs do not retry in lockstep.
+ *
+ * @param {number} attempts - Attempts made so far.
+ * @returns {number} Milliseconds.
+ */
+function backoffDelay(attempts) {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// SQL condition that holds while the attempt in `job` still owns the job:
+// the job is running under the claim of the same worker and attempt.
+// Parameters $1 to $3 are those of claimArgs().
+const CLAIM_HELD_SQL = "id=$1 AND status='running' AND locked_by=$2 AND attempts=$3";
+
+function claimArgs(job) {
+  return [job.id, job.locked_by, job.attempts];
+}
+
+// Resolves with false when the claim was lost and nothing was written.
+async function completeJob(db, job, result) {
+  const { rowCount } = await db.query(
+    `UPDATE jobs
+        SET status='completed', result=$4, last_error=NULL, locked_at=NULL, locked_by=NULL,
+            completed_at=NOW(), updated_at=NOW()
+      WHERE ${CLAIM_HELD_SQL}`,
+    [...claimArgs(job), result === undefined ? null : JSON.stringify(result)],
+  );
+  return rowCount > 0;
+}
+
+async function notifyDead(db, job, error) {
+  if (!handlers[job.type]?.onDead) return;
+  try {
+    await handlers[job.type].onDead(job.payload, { db, job, error });
+  } catch (err) {
+    console.error(`Error in dead-letter handler of job ${job.id}:`, err);
+  }
+}
+
+// Record a failed attempt: retry later, or move the job to the dead letter
+// status once it is out of attempts.  Resolves with the outcome, or 'lost'
+// when the claim was lost and nothing was written.
+async function failJob(db, job, error) {
+  const dead = job.attempts >= job.max_attempts || error.retryable === false;
+  const { rowCount } = await db.query(
+    `UPDATE jobs
+        SET status=$4, last_error=$5, run_at=NOW() + make_interval(secs => $6),
+            locked_at=NULL, locked_by=NULL, updated_at=NOW()
+      WHERE ${CLAIM_HELD_SQL}`,
+    [...claimArgs(job), dead ? 'dead' : 'queued', error.message, dead ? 0 : backoffDelay(job.attempts) / 1000],
+  );
+  if (rowCount === 0) return 'lost';
+  if (dead) await notifyDead(db, job, error);
+  return dead ? 'dead' : 'retry';
+}
+
+/**
+ * Run a claimed job with its handler and record the outcome.  Every
+ * `heartbeatMs`, and whenever the handler reports progress, locked_at is
+ * refreshed so that recoverStaleJobs() leaves the job alone.  If the job
+ * was recovered and claimed again in the meantime, the outcome is dropped
+ * and 'lost' returned.
+ *
+ * @param {Object} db
+ * @param {Object} job - Claimed job row.
+ * @param {{heartbeatMs?: number}} [options]
+ * @returns {Promise<'completed'|'retry'|'dead'|'lost'>}
+ */
+async function runJob(db, job, { heartbeatMs = DEFAULT_JOB_TIMEOUT_MS / 3 } = {}) {
+  const heartbeat = setInterval(() => {
+    db.query(`UPDATE jobs SET locked_at=NOW() WHERE ${CLAIM_HELD_SQL}`, claimArgs(job)).catch((err) =>
+      console.error(`Error refreshing the lock of job ${job.id}:`, err),
+    );
+  }, heartbeatMs);
+  heartbeat.unref();
+  try {
+    const handler = handlers[job.type];
+    if (!handler) throw new Error(`No handler for job type ${job.type}`);
+    const reportProgress = (progress) =>
+      db.query(`UPDATE jobs SET progress=$4, locked_at=NOW(), updated_at=NOW() WHERE ${CLAIM_HELD_SQL}`, [
+        ...claimArgs(job),
+        progress,
+      ]);
+    const result = await handler.run(job.payload, { db, job, reportProgress });
+    if (await completeJob(db, job, result)) return 'completed';
+  } catch (err) {
+    console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, err);
+    const outcome = await failJob(db, job, err);
+    if (outcome !== 'lost') return outcome;
+  } finally {
+    clearInterval(heartbeat);
+  }
+  console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} lost its claim; its outcome is dropped`);
+  return 'lost';
+}
+
+/**
+ * Put jobs whose worker stopped sending heartbeats back in the queue (or
+ * to dead once they are out of attempts).
+ *
+ * @param {Object} db
+ * @param {number} [timeoutMs]
+ * @returns {Promise<number>} Number of recovered jobs.
+ */
+async function recoverStaleJobs(db, timeoutMs = DEFAULT_JOB_TIMEOUT_MS) {
+  const error = new Error('Worker stopped before the job finished');
+  const { rows } = await db.query(
+    `UPDATE jobs
+        SET status=CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+            last_error=$2, run_at=NOW(), locked_at=NULL, locked_by=NULL, updated_at=NOW()
+      WHERE status='running' AND locked_at < NOW() - make_interval(secs => $1)
+      RETURNING *`,
+    [timeoutMs / 1000, error.message],
+  );
+  for (const job of rows) {
+    if (job.status === 'dead') await notifyDead(db, job, error);
+  }
+  return rows.length;
+}
+
+/**
+ * Create a worker that polls the queue and runs up to `concurrency` jobs
+ * at a time.  Each entry of `recurring` is enqueued every `intervalMs`;
+ * its unique key keeps several workers from piling up copies of it.
+ *
+ * @param {Object} db
+ * @param {{concurrency?: number, pollIntervalMs?: number, jobTimeoutMs?: number,
+ *   recurring?: Array<{type: string, intervalMs: number}>}} [options]
+ * @returns {{start: Function, stop: Function, workerId: string}}
+ */
+function createWorker(db, options = {}) {
+  const concurrency = options.concurrency || Number(process.env.JOB_CONCURRENCY) || 2;
+  const pollIntervalMs = options.pollIntervalMs || Number(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+  const jobTimeoutMs = options.jobTimeoutMs || Number(process.env.JOB_TIMEOUT_MS) || DEFAULT_JOB_TIMEOUT_MS;
+  const recurring = (options.recurring || []).map((entry) => ({ ...entry, nextRunAt: 0 }));
+  const workerId = `${os.hostname()}:${process.pid}`;
+  const running = new Set();
+  let timer = null;
+  let polling = false;
+  let stopped = true;
+
+  async function enqueueRecurring() {
+    const now = Date.now();
+    for (const entry of recurring) {
+      if (entry.nextRunAt > now) continue;
+      await enqueueJob(db, entry.type, {}, { uniqueKey: `recurring:${entry.type}` });
+      entry.nextRunAt = now + entry.intervalMs;
+    }
+  }
+
+  function schedule(delayMs) {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(poll, delayMs);
+  }
+
+  async function poll() {
+    timer = null;
+    if (stopped || polling) return;
+    polling = true;
+    try {
+      await enqueueRecurring();
+      await recoverStaleJobs(db, jobTimeoutMs);
+      const free = concurrency - running.size;
+      const jobs = free > 0 ? await claimJobs(db, { workerId, limit: free }) : [];
+      for (const job of jobs) {
+        const promise = runJob(db, job, { heartbeatMs: jobTimeoutMs / 3 }).finally(() => {
+          running.delete(promise);
+          // A slot became free; look for more work right away.
+          if (!polling) schedule(0);
+        });
+        running.add(promise);
+      }
+    } catch (err) {
+      console.error('Job worker poll failed:', err);
+    } finally {
+      polling = false;
+    }
+    if (!timer) schedule(pollIntervalMs);
+  }
+
+  return {
+    workerId,
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      schedule(0);
+    },
+    // Stop polling and wait for the running jobs to finish.
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      await Promise.allSettled([...running]);
+    },
+  };
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  claimJobs,
+  runJob,
+  recoverStaleJobs,
+  backoffDelay,
+  createWorker,
+};
@@ -0,0 +1,87 @@
+/*
+ * Express router for the organization's generation jobs: POST
+ * /api/generate and /api/generate-images with `async: true` respond with a
+ * job id right away and the client polls these endpoints.  Mounted under
+ * `/api` behind `authenticate`.
+ *
+ *   GET /jobs      – recent generation jobs, newest first
+ *   GET /jobs/:id  – status, progress, partial results and result of a job
+ */
+const express = require('express');
+const { requirePermission: can } = require('../roles');
+const { GENERATION_JOB_TYPES } = require('./handlers');
+const { requireId } = require('../utils/ids');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// The job as clients see it.  `status` is queued, running, completed or
+// dead (failed for good); `error` is the reason of the last failure.
+function toJobView(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    progress: job.progress,
+    result: job.result,
+    error: job.last_error,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    completed_at: job.completed_at,
+  };
+}
+
+module.exports = function createJobsRouter(db) {
+  const router = express.Router();
+
+  router.param('id', requireId('Job not found'));
+
+  // GET /jobs – The organization's generation jobs.  `type` and `status`
+  // filter the list; `limit` defaults to 20 (max 100).  Results are left
+  // out; fetch a job to get its result.
+  router.get('/jobs', can('read'), async (req, res) => {
+    const { type, status } = req.query;
+    if (type && !GENERATION_JOB_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${GENERATION_JOB_TYPES.join(', ')}` });
+    }
+    const limit = Math.min(Number(req.query.limit) > 0 ? Number(req.query.limit) : DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    try {
+      const { rows } = await db.query(
+        `SELECT * FROM jobs
+          WHERE organization_id=$1 AND type = ANY($2) AND ($3::text IS NULL OR status=$3)
+          ORDER BY created_at DESC, id DESC
+          LIMIT $4`,
+        [req.organizationId, type ? [type] : GENERATION_JOB_TYPES, status || null, limit],
+      );
+      return res.json(
+        rows.map((job) => {
+          const { result, ...summary } = toJobView(job);
+          return summary;
+        }),
+      );
+    } catch (err) {
+      console.error('Error fetching jobs:', err);
+      return res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+  });
+
+  // GET /jobs/:id – One generation job of the organization.
+  router.get('/jobs/:id', can('read'), async (req, res) => {
+    try {
+      const { rows } = await db.query('SELECT * FROM jobs WHERE id=$1 AND organization_id=$2 AND type = ANY($3)', [
+        req.params.id,
+        req.organizationId,
+        GENERATION_JOB_TYPES,
+      ]);
+      if (rows.length === 0) return res.status(404).json({ error: 'Job not found' });
+      return res.json(toJobView(rows[0]));
+    } catch (err) {
+      console.error('Error fetching job:', err);
+      return res.status(500).json({ error: 'Failed to fetch job' });
+    }
+  });
+
+  return router;
+};
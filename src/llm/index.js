@@ -0,0 +1,105 @@
+// LLM provider layer used for content and image generation.
+//
+// A provider exposes:
+//   chat({ messages, temperature, maxTokens, task, signal }) -> { content, usage }
+//   chatStream({ ...same, onDelta })                 -> { content, usage }
+//   generateImage({ prompt, size })                  -> { url }
+//   moderate({ text }) (optional)                    -> { flagged, categories }
+// `task` describes the request in structured form; real providers ignore
+// it, the offline provider uses it to build a deterministic reply.
+//
+// LLM_PROVIDER selects the default provider:
+//   openai             – api.openai.com (OPENAI_API_KEY, OPENAI_MODEL, OPENAI_IMAGE_MODEL)
+//   azure              – Azure OpenAI (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY,
+//                        AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_IMAGE_DEPLOYMENT,
+//                        AZURE_OPENAI_API_VERSION)
+//   openai-compatible  – Ollama, vLLM and other servers with the OpenAI API
+//                        (LLM_BASE_URL, LLM_API_KEY, LLM_MODEL)
+//   offline            – deterministic, no network
+// Organizations can override the provider and model with
+// organizations.llm_provider and organizations.llm_model.
+
+const { createOpenAIProvider } = require('./openai');
+const { createOfflineProvider } = require('./offline');
+
+const PROVIDERS = ['openai', 'azure', 'openai-compatible', 'offline'];
+
+/**
+ * Create a provider by name.
+ *
+ * @param {string} [name] - One of PROVIDERS; defaults to LLM_PROVIDER or openai.
+ * @param {{model?: string}} [overrides] - Model to use instead of the
+ *   configured default (for Azure this is the deployment name).
+ * @returns {Object} The provider.
+ */
+function createProvider(name = process.env.LLM_PROVIDER || 'openai', overrides = {}) {
+  switch (name) {
+    case 'openai': {
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY not configured');
+      }
+      const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+      return createOpenAIProvider({
+        name: 'OpenAI',
+        chatUrl: `${baseUrl}/chat/completions`,
+        imagesUrl: `${baseUrl}/images/generations`,
+        headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+        model: overrides.model || process.env.OPENAI_MODEL || 'gpt-4o',
+        imageModel: process.env.OPENAI_IMAGE_MODEL,
+        moderationUrl: `${baseUrl}/moderations`,
+      });
+    }
+    case 'azure': {
+      const endpoint = (process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/$/, '');
+      if (!endpoint || !process.env.AZURE_OPENAI_API_KEY) {
+        throw new Error('AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY not configured');
+      }
+      const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+      const deployment = overrides.model || process.env.AZURE_OPENAI_DEPLOYMENT;
+      if (!deployment) throw new Error('AZURE_OPENAI_DEPLOYMENT not configured');
+      const imageDeployment = process.env.AZURE_OPENAI_IMAGE_DEPLOYMENT;
+      return createOpenAIProvider({
+        name: 'Azure OpenAI',
+        chatUrl: `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+        imagesUrl: imageDeployment
+          ? `${endpoint}/openai/deployments/${imageDeployment}/images/generations?api-version=${apiVersion}`
+          : null,
+        headers: { 'api-key': process.env.AZURE_OPENAI_API_KEY },
+        model: deployment,
+        // stream_options needs a newer API version than the default.
+        streamUsage: apiVersion >= '2024-09-01',
+      });
+    }
+    case 'openai-compatible': {
+      if (!process.env.LLM_BASE_URL) throw new Error('LLM_BASE_URL not configured');
+      const baseUrl = process.env.LLM_BASE_URL.replace(/\/$/, '');
+      return createOpenAIProvider({
+        name: 'LLM server',
+        chatUrl: `${baseUrl}/chat/completions`,
+        imagesUrl: process.env.LLM_IMAGES ? `${baseUrl}/images/generations` : null,
+        headers: process.env.LLM_API_KEY ? { Authorization: `Bearer ${process.env.LLM_API_KEY}` } : {},
+        model: overrides.model || process.env.LLM_MODEL || 'llama3.1',
+      });
+    }
+    case 'offline':
+      return createOfflineProvider();
+    default:
+      throw new Error(`Unknown LLM provider ${name}`);
+  }
+}
+
+/**
+ * Create the provider configured for an organization, falling back to
+ * the environment default.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {number} orgId
+ * @returns {Promise<Object>} The provider.
+ */
+async function resolveProvider(db, orgId) {
+  const { rows } = await db.query('SELECT llm_provider, llm_model FROM organizations WHERE id=$1', [orgId]);
+  const org = rows[0] || {};
+  return createProvider(org.llm_provider || undefined, { model: org.llm_model || undefined });
+}
+
+module.exports = { PROVIDERS, createProvider, resolveProvider };
@@ -0,0 +1,164 @@
+// Deterministic offline provider.  It never touches the network and needs
+// no API key, so /api/generate can be developed and tested locally with
+// LLM_PROVIDER=offline.  The same input always produces the same output.
+//
+// Callers describe what they are asking for in `task` (see ai.js); the
+// offline provider builds its reply from that instead of from the prompt.
+
+const crypto = require('crypto');
+const { CHANNEL_RULES } = require('../channel_rules');
+const { estimateUsage } = require('./tokens');
+
+// Size of the pieces chatStream() delivers the reply in.
+const STREAM_CHUNK_LENGTH = 40;
+
+// Letters and digits of any script, so that names such as Äänekoski keep
+// them in hashtags.
+function slug(value) {
+  return String(value || 'gunvald')
+    .toLowerCase()
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Fixed phrases per language so that offline output follows the requested
+// language like a real model would.
+const PHRASES = {
+  fi: {
+    company: 'Yritys',
+    themes: 'arki, asiakkaat, tuotteet',
+    post: 'postaus',
+    about: 'teemasta',
+    image: 'kuva',
+    cta: 'Tule käymään!',
+  },
+  sv: {
+    company: 'Företaget',
+    themes: 'vardag, kunder, produkter',
+    post: 'inlägg',
+    about: 'om temat',
+    image: 'bild',
+    cta: 'Kom och hälsa på!',
+  },
+  en: {
+    company: 'Company',
+    themes: 'everyday, customers, products',
+    post: 'post',
+    about: 'about',
+    image: 'image',
+    cta: 'Visit us today!',
+  },
+};
+
+// One variant per requested channel, padded with hashtags up to the
+// channel's minimum.
+function buildVariants(text, hashtags, channels) {
+  return Object.fromEntries(
+    channels.map((type) => {
+      const { minHashtags, maxHashtags } = CHANNEL_RULES[type];
+      const tags = [...hashtags];
+      while (tags.length < minHashtags) tags.push(`${hashtags[0]}${tags.length + 1}`);
+      return [type, { text: `[${type}] ${text}`, hashtags: tags.slice(0, maxHashtags) }];
+    }),
+  );
+}
+
+// Posts of a campaign are about its key messages.
+function buildPlan({ count = 5, profile = {}, language = 'fi', channels = [], campaign = null }) {
+  const phrases = PHRASES[language] || PHRASES.fi;
+  const company = profile.company_name || phrases.company;
+  const themes = campaign?.key_messages?.length
+    ? campaign.key_messages
+    : String(profile.content_themes || phrases.themes)
+        .split(',')
+        .map((t) => t.trim())
+        .filter(Boolean);
+  return Array.from({ length: count }, (_, i) => {
+    const theme = themes[i % themes.length];
+    const text = `${company}: ${phrases.post} ${i + 1}/${count} ${phrases.about} "${theme}".`;
+    const hashtags = [`#${slug(company) || 'gunvald'}`, `#${Array.from(slug(theme)).slice(0, 50).join('')}`].filter(
+      (tag) => tag.length > 1,
+    );
+    return {
+      text,
+      hashtags,
+      imagePrompt: `${company}, ${theme}, ${phrases.image} ${i + 1}`,
+      ...(channels.length ? { variants: buildVariants(text, hashtags, channels) } : {}),
+    };
+  });
+}
+
+// Rewrites follow the instruction in a recognizable way: shorter keeps
+// the first half of the words, a translation is marked with the language.
+function rewriteText(text, { instruction, prompt, language = 'fi' }) {
+  const phrases = PHRASES[language] || PHRASES.fi;
+  const words = text.split(/\s+/).filter(Boolean);
+  let result = text;
+  if (instruction === 'shorter') result = words.slice(0, Math.max(1, Math.ceil(words.length / 2))).join(' ');
+  if (instruction === 'playful') result = `${text} :)`;
+  if (instruction === 'call_to_action') result = `${text} ${phrases.cta}`;
+  if (instruction === 'translate') result = `[${language}] ${text}`;
+  return prompt ? `${result} (${prompt})` : result;
+}
+
+function buildRewrite({ post = {}, target = 'post', language = 'fi', ...request }) {
+  const text = post.text || '';
+  if (target === 'image_prompt') {
+    const phrases = PHRASES[language] || PHRASES.fi;
+    return { imagePrompt: rewriteText(`${phrases.image}: ${text.slice(0, 100)}`, { ...request, language }) };
+  }
+  if (target === 'hashtags') {
+    const words = text.split(/\s+/).map(slug).filter((word) => word.length > 3);
+    return { hashtags: [...new Set(words)].slice(0, 5).map((word) => `#${word}`) };
+  }
+  return { text: rewriteText(text, { ...request, language }), hashtags: post.hashtags || [] };
+}
+
+function buildReply(messages, task) {
+  if (task.type === 'plan') return JSON.stringify(buildPlan(task));
+  if (task.type === 'rewrite') return JSON.stringify(buildRewrite(task));
+  return `[offline] ${messages[messages.length - 1]?.content || ''}`;
+}
+
+function createOfflineProvider() {
+  return {
+    name: 'offline',
+    model: 'offline',
+
+    async chat({ messages, task = {} }) {
+      const content = buildReply(messages, task);
+      return { content, usage: estimateUsage(messages, content) };
+    },
+
+    // Delivers the same reply as chat() in small pieces, yielding to the
+    // event loop in between like a network stream would.
+    async chatStream({ messages, task = {}, signal, onDelta }) {
+      const content = buildReply(messages, task);
+      for (let i = 0; i < content.length; i += STREAM_CHUNK_LENGTH) {
+        await new Promise((resolve) => setImmediate(resolve));
+        if (signal?.aborted) {
+          const err = new Error('The completion was cancelled');
+          err.name = 'AbortError';
+          err.usage = estimateUsage(messages, content.slice(0, i));
+          throw err;
+        }
+        await onDelta(content.slice(i, i + STREAM_CHUNK_LENGTH));
+      }
+      return { content, usage: estimateUsage(messages, content) };
+    },
+
+    // Flags text containing the marker [flag] so that the review queue can
+    // be exercised offline.
+    async moderate({ text }) {
+      const flagged = String(text).toLowerCase().includes('[flag]');
+      return { flagged, categories: flagged ? ['test'] : [] };
+    },
+
+    async generateImage({ prompt, size = '1024x1024' }) {
+      const hash = crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 12);
+      return { url: `https://placehold.co/${size}?text=${hash}` };
+    },
+  };
+}
+
+module.exports = { createOfflineProvider };
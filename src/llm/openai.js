@@ -0,0 +1,186 @@
+// Provider for the OpenAI REST API and everything that speaks the same
+// protocol: Azure OpenAI deployments and OpenAI-compatible local servers
+// such as Ollama or vLLM.  The endpoints and auth headers are supplied by
+// the caller (see llm/index.js); the request and response formats are the
+// same for all of them.
+
+// Dynamically import a fetch implementation. Node.js 18+ has a global
+// fetch function; if not available, fall back to the `node-fetch` package.
+let fetchFn;
+try {
+  fetchFn = global.fetch || require('node-fetch');
+} catch (_) {
+  fetchFn = global.fetch;
+}
+
+const { estimateUsage } = require('./tokens');
+
+function toUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0,
+  };
+}
+
+/**
+ * @param {Object} config
+ * @param {string} config.name - Provider name used in error messages.
+ * @param {string} config.chatUrl - Chat completions endpoint.
+ * @param {string|null} config.imagesUrl - Image generation endpoint, or null
+ *   if the server cannot generate images.
+ * @param {Object} config.headers - Auth headers sent with every request.
+ * @param {string} config.model - Chat model name.
+ * @param {string} [config.imageModel] - Image model name.
+ * @param {string|null} [config.moderationUrl] - Moderation endpoint, or null
+ *   if the server has none.
+ * @param {boolean} [config.streamUsage] - Whether the server reports usage at
+ *   the end of a stream (`stream_options.include_usage`); otherwise the
+ *   usage of streamed completions is estimated.
+ * @returns {{name: string, chat: Function, chatStream: Function, generateImage: Function,
+ *   moderate?: Function}}
+ */
+function createOpenAIProvider({
+  name,
+  chatUrl,
+  imagesUrl,
+  headers,
+  model,
+  imageModel,
+  moderationUrl = null,
+  streamUsage = true,
+}) {
+  async function request(url, body, signal) {
+    const res = await fetchFn(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!res.ok) {
+      const errText = await res.text();
+      throw new Error(`${name} API error: ${res.status} ${errText}`);
+    }
+    return res;
+  }
+
+  async function post(url, body, signal) {
+    return (await request(url, body, signal)).json();
+  }
+
+  return {
+    name,
+    model,
+
+    /**
+     * Run a chat completion.
+     *
+     * @param {{messages: Array<{role: string, content: string}>,
+     *   temperature?: number, maxTokens?: number, signal?: AbortSignal}} request
+     * @returns {Promise<{content: string, usage: {promptTokens: number,
+     *   completionTokens: number, totalTokens: number}}>}
+     */
+    async chat({ messages, temperature = 0.7, maxTokens = 1500, signal }) {
+      const data = await post(chatUrl, { model, messages, temperature, max_tokens: maxTokens }, signal);
+      return {
+        content: data.choices?.[0]?.message?.content?.trim() || '',
+        usage: toUsage(data.usage),
+      };
+    },
+
+    /**
+     * Run a chat completion as a stream.  `onDelta` is called with each
+     * piece of the reply as it arrives and awaited before the next one.
+     * When `signal` aborts, the request is cancelled and the AbortError
+     * carries the estimated usage of the reply so far.
+     *
+     * @param {{messages: Array<{role: string, content: string}>,
+     *   temperature?: number, maxTokens?: number, signal?: AbortSignal,
+     *   onDelta: function(string): (void|Promise<void>)}} request
+     * @returns {Promise<{content: string, usage: {promptTokens: number,
+     *   completionTokens: number, totalTokens: number}}>} Same as chat().
+     */
+    async chatStream({ messages, temperature = 0.7, maxTokens = 1500, signal, onDelta }) {
+      let content = '';
+      let usage = null;
+      try {
+        const res = await request(
+          chatUrl,
+          {
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            stream: true,
+            ...(streamUsage ? { stream_options: { include_usage: true } } : {}),
+          },
+          signal,
+        );
+        // Server-sent events: one `data: {...}` line per chunk, then `data: [DONE]`.
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const bytes of res.body) {
+          buffer += decoder.decode(bytes, { stream: true });
+          let newline;
+          while ((newline = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') continue;
+            const chunk = JSON.parse(data);
+            if (chunk.usage) usage = toUsage(chunk.usage);
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+              content += delta;
+              await onDelta(delta);
+            }
+          }
+        }
+      } catch (err) {
+        if (err.name === 'AbortError') err.usage = estimateUsage(messages, content);
+        throw err;
+      }
+      return { content: content.trim(), usage: usage || estimateUsage(messages, content) };
+    },
+
+    /**
+     * Generate one image.
+     *
+     * @param {{prompt: string, size?: string}} request
+     * @returns {Promise<{url: string}>}
+     */
+    async generateImage({ prompt, size = '1024x1024' }) {
+      if (!imagesUrl) throw new Error(`${name} provider does not support image generation`);
+      const json = await post(imagesUrl, {
+        ...(imageModel ? { model: imageModel } : {}),
+        prompt,
+        n: 1,
+        size,
+        response_format: 'url',
+      });
+      const url = json && Array.isArray(json.data) ? json.data[0]?.url : null;
+      if (!url) throw new Error(`${name} API returned no image`);
+      return { url };
+    },
+
+    /**
+     * Classify text with the moderation endpoint.
+     *
+     * @param {{text: string}} request
+     * @returns {Promise<{flagged: boolean, categories: string[]}>}
+     */
+    moderate: moderationUrl
+      ? async ({ text }) => {
+          const json = await post(moderationUrl, { model: 'omni-moderation-latest', input: text });
+          const result = json.results?.[0] || {};
+          const categories = Object.entries(result.categories || {})
+            .filter(([, value]) => value)
+            .map(([category]) => category);
+          return { flagged: Boolean(result.flagged), categories };
+        }
+      : undefined,
+  };
+}
+
+module.exports = { createOpenAIProvider };
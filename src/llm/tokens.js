@@ -0,0 +1,26 @@
+// Rough token estimate (~4 characters per token) for replies whose
+// provider does not report usage, so that usage accounting and quotas
+// still apply.
+
+/**
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Estimated usage of a completion.
+ *
+ * @param {Array<{content: string}>} messages - The prompt.
+ * @param {string} content - The reply.
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number}}
+ */
+function estimateUsage(messages, content) {
+  const promptTokens = estimateTokens(messages.map((m) => m.content).join('\n'));
+  const completionTokens = estimateTokens(content);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+module.exports = { estimateTokens, estimateUsage };
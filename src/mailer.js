@@ -0,0 +1,30 @@
+// Transactional email.
+//
+// Messages are sent through the Resend HTTP API when RESEND_API_KEY is
+// set.  Without a key (development, tests) nothing is sent and only the
+// recipient and subject are logged: bodies can hold secrets such as
+// invitation links and never go to the log.
+
+const { requestJson } = require('./utils/http');
+
+/**
+ * Send a plain-text email.
+ *
+ * @param {{to: string, subject: string, text: string}} message
+ * @returns {Promise<{id: string|null}>}
+ */
+async function sendEmail({ to, subject, text }) {
+  const apiKey = process.env.RESEND_API_KEY;
+  if (!apiKey) {
+    console.log(`[mail] Not sent (RESEND_API_KEY is not set). To: ${to}, Subject: ${subject}`);
+    return { id: null };
+  }
+  const { data } = await requestJson('Resend', 'https://api.resend.com/emails', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    body: { from: process.env.EMAIL_FROM || 'Gunvald <no-reply@gunvald.fi>', to, subject, text },
+  });
+  return { id: data.id || null };
+}
+
+module.exports = { sendEmail };
@@ -0,0 +1,232 @@
+/*
+ * Express router for organization membership.  Mounted under `/api`
+ * behind `authenticate`.
+ *
+ *   GET    /members                – members of the caller's organization
+ *   PATCH  /members/:userId        – change a member's role
+ *   DELETE /members/:userId        – remove a member (or leave the organization)
+ *   GET    /invitations            – pending invitations
+ *   POST   /invitations            – invite someone by email
+ *   DELETE /invitations/:id        – revoke an invitation
+ *   POST   /invitations/accept     – join an organization with an invitation token
+ *
+ * Only owners can grant, change or remove the owner role, and every
+ * organization keeps at least one owner.  Invitation tokens are sent by
+ * email and only their SHA-256 hash is stored (see invitations.js).
+ */
+const express = require('express');
+const { ROLES, hasPermission, requirePermission: can } = require('./roles');
+const { enqueueJob } = require('./jobs');
+const { resolveCurrentOrganization } = require('./identity');
+const { hashToken, createToken } = require('./invitations');
+const { requireId } = require('./utils/ids');
+
+const DEFAULT_INVITATION_TTL_DAYS = 7;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+module.exports = function createMembersRouter(db) {
+  const router = express.Router();
+
+  router.param('userId', requireId('Member not found'));
+  router.param('id', requireId('Invitation not found'));
+
+  async function countOwners(orgId) {
+    const { rows } = await db.query(
+      "SELECT COUNT(*) AS count FROM organization_members WHERE organization_id=$1 AND role='owner'",
+      [orgId],
+    );
+    return Number(rows[0].count);
+  }
+
+  async function findMember(orgId, userId) {
+    const { rows } = await db.query('SELECT * FROM organization_members WHERE organization_id=$1 AND user_id=$2', [
+      orgId,
+      userId,
+    ]);
+    return rows[0];
+  }
+
+  router.get('/members', can('read'), async (req, res) => {
+    try {
+      const { rows } = await db.query(
+        `SELECT m.user_id, u.email, m.role, m.created_at
+           FROM organization_members m
+           JOIN users u ON u.id = m.user_id
+          WHERE m.organization_id=$1
+          ORDER BY m.created_at, m.user_id`,
+        [req.organizationId],
+      );
+      return res.json(rows);
+    } catch (err) {
+      console.error('Error fetching members:', err);
+      return res.status(500).json({ error: 'Failed to fetch members' });
+    }
+  });
+
+  // PATCH /members/:userId – Body: { role }
+  router.patch('/members/:userId', can('members:manage'), async (req, res) => {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    try {
+      const orgId = req.organizationId;
+      const member = await findMember(orgId, req.params.userId);
+      if (!member) return res.status(404).json({ error: 'Member not found' });
+      if ((role === 'owner' || member.role === 'owner') && req.role !== 'owner') {
+        return res.status(403).json({ error: 'Only owners can grant or change the owner role' });
+      }
+      if (member.role === 'owner' && role !== 'owner' && (await countOwners(orgId)) === 1) {
+        return res.status(409).json({ error: 'The organization must keep at least one owner' });
+      }
+      const { rows } = await db.query(
+        `UPDATE organization_members SET role=$3
+          WHERE organization_id=$1 AND user_id=$2
+          RETURNING user_id, role, created_at`,
+        [orgId, member.user_id, role],
+      );
+      return res.json(rows[0]);
+    } catch (err) {
+      console.error('Error changing member role:', err);
+      return res.status(500).json({ error: 'Failed to change member role' });
+    }
+  });
+
+  // DELETE /members/:userId – Admins remove members; anyone can remove
+  // themselves.  The removed user continues in another organization the
+  // user belongs to, if any.
+  router.delete('/members/:userId', can('read'), async (req, res) => {
+    try {
+      const orgId = req.organizationId;
+      const member = await findMember(orgId, req.params.userId);
+      if (!member) return res.status(404).json({ error: 'Member not found' });
+      const self = String(member.user_id) === String(req.userId);
+      if (!self && !hasPermission(req.role, 'members:manage')) {
+        return res.status(403).json({ error: 'Insufficient permissions', permission: 'members:manage' });
+      }
+      if (member.role === 'owner' && !self && req.role !== 'owner') {
+        return res.status(403).json({ error: 'Only owners can remove an owner' });
+      }
+      if (member.role === 'owner' && (await countOwners(orgId)) === 1) {
+        return res.status(409).json({ error: 'The organization must keep at least one owner' });
+      }
+      await db.query('DELETE FROM organization_members WHERE organization_id=$1 AND user_id=$2', [
+        orgId,
+        member.user_id,
+      ]);
+      await resolveCurrentOrganization(db, member.user_id);
+      return res.json({ success: true });
+    } catch (err) {
+      console.error('Error removing member:', err);
+      return res.status(500).json({ error: 'Failed to remove member' });
+    }
+  });
+
+  router.get('/invitations', can('members:manage'), async (req, res) => {
+    try {
+      const { rows } = await db.query(
+        `SELECT id, email, role, invited_by, expires_at, created_at
+           FROM organization_invitations
+          WHERE organization_id=$1 AND accepted_at IS NULL AND expires_at > NOW()
+          ORDER BY created_at DESC`,
+        [req.organizationId],
+      );
+      return res.json(rows);
+    } catch (err) {
+      console.error('Error fetching invitations:', err);
+      return res.status(500).json({ error: 'Failed to fetch invitations' });
+    }
+  });
+
+  // POST /invitations – Body: { email, role }.  Replaces any pending
+  // invitation for the same address and emails the link.
+  router.post('/invitations', can('members:manage'), async (req, res) => {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const role = req.body.role || 'editor';
+    if (!EMAIL_PATTERN.test(email)) return res.status(400).json({ error: 'A valid email is required' });
+    if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    if (role === 'owner' && req.role !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can invite owners' });
+    }
+    try {
+      const orgId = req.organizationId;
+      const memberRes = await db.query(
+        `SELECT 1 FROM organization_members m JOIN users u ON u.id = m.user_id
+          WHERE m.organization_id=$1 AND LOWER(u.email)=$2`,
+        [orgId, email],
+      );
+      if (memberRes.rows.length) return res.status(409).json({ error: 'User is already a member' });
+      await db.query(
+        'DELETE FROM organization_invitations WHERE organization_id=$1 AND email=$2 AND accepted_at IS NULL',
+        [orgId, email],
+      );
+      const ttlDays = Number(process.env.INVITATION_TTL_DAYS) || DEFAULT_INVITATION_TTL_DAYS;
+      // The emailed token is minted by the send_invitation job; until then
+      // the invitation holds the hash of a token nobody knows.
+      const { rows } = await db.query(
+        `INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, expires_at)
+              VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+              RETURNING id, email, role, invited_by, expires_at, created_at`,
+        [orgId, email, role, createToken().tokenHash, String(req.userId), ttlDays],
+      );
+      await enqueueJob(db, 'send_invitation', { invitationId: rows[0].id }, { organizationId: orgId });
+      return res.status(201).json(rows[0]);
+    } catch (err) {
+      console.error('Error creating invitation:', err);
+      return res.status(500).json({ error: 'Failed to create invitation' });
+    }
+  });
+
+  router.delete('/invitations/:id', can('members:manage'), async (req, res) => {
+    try {
+      const result = await db.query(
+        'DELETE FROM organization_invitations WHERE id=$1 AND organization_id=$2 AND accepted_at IS NULL',
+        [req.params.id, req.organizationId],
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Invitation not found' });
+      return res.json({ success: true });
+    } catch (err) {
+      console.error('Error revoking invitation:', err);
+      return res.status(500).json({ error: 'Failed to revoke invitation' });
+    }
+  });
+
+  // POST /invitations/accept – Body: { token }.  The caller's email must
+  // match the invitation.  The invited organization becomes the caller's
+  // current organization.  A caller who is already a member keeps the
+  // current role unless the invitation's is higher.
+  router.post('/invitations/accept', async (req, res) => {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ error: 'token is required' });
+    try {
+      const inviteRes = await db.query(
+        `SELECT * FROM organization_invitations
+          WHERE token_hash=$1 AND accepted_at IS NULL AND expires_at > NOW()`,
+        [hashToken(String(token))],
+      );
+      const invitation = inviteRes.rows[0];
+      if (!invitation) return res.status(404).json({ error: 'Invitation not found or expired' });
+      const userRes = await db.query('SELECT id, email FROM users WHERE id=$1', [req.userId]);
+      const user = userRes.rows[0];
+      if (!user || String(user.email).toLowerCase() !== invitation.email) {
+        return res.status(403).json({ error: 'This invitation was sent to a different email address' });
+      }
+      // An existing member only gains a higher role.  ROLES runs from the
+      // highest role down, so an owner is never changed.
+      await db.query(
+        `INSERT INTO organization_members (organization_id, user_id, role)
+              VALUES ($1, $2, $3)
+              ON CONFLICT (organization_id, user_id) DO UPDATE SET role = EXCLUDED.role
+              WHERE array_position($4::text[], EXCLUDED.role) < array_position($4::text[], organization_members.role)`,
+        [invitation.organization_id, user.id, invitation.role, ROLES],
+      );
+      const member = await findMember(invitation.organization_id, user.id);
+      await db.query('UPDATE users SET organization_id=$1 WHERE id=$2', [invitation.organization_id, user.id]);
+      await db.query('UPDATE organization_invitations SET accepted_at=NOW() WHERE id=$1', [invitation.id]);
+      return res.json({ organization_id: invitation.organization_id, role: member.role });
+    } catch (err) {
+      console.error('Error accepting invitation:', err);
+      return res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,153 @@
+// Moderation pipeline for generated and edited posts.
+//
+// A check is an object `{ name, check({ text, config, provider }) }` that
+// resolves with a list of flags `{ source, reason }`.  The built-in checks
+// are the word list, the organization's regex rules and the model-based
+// moderation of the LLM provider; registerModerationCheck() adds more.
+//
+// Per-organization configuration lives in moderation_rules (kind 'block',
+// 'allow' or 'regex') and organizations.moderation_model_enabled.
+// Allowlisted phrases are removed from the text before the checks run, so
+// e.g. an allowed product name containing a blocked word is not flagged.
+//
+// Flagged posts get a moderation_flags row per reason and
+// moderation_status 'pending'; they cannot be scheduled until a reviewer
+// approves them (see routes.js).
+
+const checks = [require('./wordlist'), require('./regex'), require('./model')];
+
+/**
+ * Add a check to the pipeline.
+ *
+ * @param {{name: string, check: Function}} check
+ */
+function registerModerationCheck(check) {
+  if (!check || typeof check.check !== 'function') throw new Error('Moderation check must implement check()');
+  checks.push(check);
+}
+
+/**
+ * Load an organization's moderation configuration.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {number} orgId
+ * @returns {Promise<{blocklist: string[], allowlist: string[],
+ *   regexes: Array<{pattern: string, reason: string|null}>, modelEnabled: boolean}>}
+ */
+async function loadModerationConfig(db, orgId) {
+  const rulesRes = await db.query('SELECT kind, pattern, reason FROM moderation_rules WHERE organization_id=$1', [
+    orgId,
+  ]);
+  const orgRes = await db.query('SELECT moderation_model_enabled FROM organizations WHERE id=$1', [orgId]);
+  const rules = rulesRes.rows;
+  return {
+    blocklist: rules.filter((r) => r.kind === 'block').map((r) => r.pattern),
+    allowlist: rules.filter((r) => r.kind === 'allow').map((r) => r.pattern),
+    regexes: rules.filter((r) => r.kind === 'regex'),
+    modelEnabled: Boolean(orgRes.rows[0]?.moderation_model_enabled),
+  };
+}
+
+// Remove allowlisted phrases (case-insensitive) from the text.
+function stripAllowed(text, allowlist) {
+  return allowlist.reduce((acc, phrase) => {
+    if (!phrase) return acc;
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return acc.replace(new RegExp(escaped, 'giu'), ' ');
+  }, text);
+}
+
+/**
+ * Run every check on the given texts (e.g. a post and its channel
+ * variants).  A check that throws is reported as a flag itself so that a
+ * moderation outage never lets content through unreviewed.
+ *
+ * @param {string[]} texts
+ * @param {Object} config - Result of loadModerationConfig().
+ * @param {{provider?: Object}} [options] - LLM provider for the model check.
+ * @returns {Promise<Array<{source: string, reason: string}>>} Unique flags.
+ */
+async function moderateTexts(texts, config, { provider } = {}) {
+  const flags = [];
+  for (const raw of texts.filter(Boolean)) {
+    const text = stripAllowed(raw, config.allowlist);
+    for (const check of checks) {
+      try {
+        flags.push(...(await check.check({ text, config, provider })));
+      } catch (err) {
+        console.error(`Moderation check ${check.name} failed:`, err);
+        flags.push({ source: check.name, reason: `Moderation check ${check.name} failed` });
+      }
+    }
+  }
+  const seen = new Set();
+  return flags.filter((flag) => {
+    const key = `${flag.source}:${flag.reason}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Store the moderation result of a post: replace its open flags, set
+ * posts.flagged and put flagged posts in the review queue.
+ *
+ * @param {Object} db
+ * @param {number} postId
+ * @param {Array<{source: string, reason: string}>} flags
+ * @returns {Promise<Object[]>} The stored moderation_flags rows.
+ */
+async function recordModeration(db, postId, flags) {
+  await db.query('DELETE FROM moderation_flags WHERE post_id=$1 AND resolved_at IS NULL', [postId]);
+  await db.query(
+    `UPDATE posts SET flagged=$2, moderation_status=$3, updated_at=NOW() WHERE id=$1`,
+    [postId, flags.length > 0, flags.length > 0 ? 'pending' : null],
+  );
+  const rows = [];
+  for (const flag of flags) {
+    const { rows: inserted } = await db.query(
+      'INSERT INTO moderation_flags (post_id, source, reason) VALUES ($1, $2, $3) RETURNING *',
+      [postId, flag.source, flag.reason],
+    );
+    rows.push(inserted[0]);
+  }
+  return rows;
+}
+
+/**
+ * Moderate a stored post with its channel variants and record the result.
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @param {number} postId
+ * @param {{provider?: Object}} [options]
+ * @returns {Promise<Object[]>} The stored moderation_flags rows.
+ */
+async function moderatePost(db, orgId, postId, options = {}) {
+  const postRes = await db.query('SELECT text FROM posts WHERE id=$1 AND organization_id=$2', [postId, orgId]);
+  if (postRes.rows.length === 0) return [];
+  const variantsRes = await db.query('SELECT text FROM post_variants WHERE post_id=$1', [postId]);
+  const config = await loadModerationConfig(db, orgId);
+  const flags = await moderateTexts(
+    [postRes.rows[0].text, ...variantsRes.rows.map((v) => v.text)],
+    config,
+    options,
+  );
+  return recordModeration(db, postId, flags);
+}
+
+/**
+ * SQL condition that is true for posts that may be scheduled or published:
+ * not flagged, or approved by a reviewer.
+ */
+const MODERATION_CLEAR_SQL = "(flagged IS NOT TRUE OR moderation_status = 'approved')";
+
+module.exports = {
+  registerModerationCheck,
+  loadModerationConfig,
+  moderateTexts,
+  recordModeration,
+  moderatePost,
+  MODERATION_CLEAR_SQL,
+};
@@ -0,0 +1,15 @@
+// Model-based check: asks the organization's LLM provider to classify the
+// text.  Only runs when the organization has enabled it and the provider
+// implements moderate() (OpenAI and the offline provider do).
+
+module.exports = {
+  name: 'model',
+
+  async check({ text, config, provider }) {
+    if (!config.modelEnabled || !provider || typeof provider.moderate !== 'function') return [];
+    const { flagged, categories } = await provider.moderate({ text });
+    if (!flagged) return [];
+    const label = categories.length ? categories.join(', ') : 'unspecified';
+    return [{ source: 'model', reason: `Flagged by moderation model: ${label}` }];
+  },
+};
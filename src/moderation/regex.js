@@ -0,0 +1,203 @@
+// Regex check: flags text matching one of the organization's regular
+// expression rules.  Patterns are validated when the rule is created (see
+// routes.js), so a pattern that fails to compile here is skipped, and so
+// is a pattern isSafePattern() rejects, which rules created before that
+// check may still hold.  The check is a heuristic, so every match also
+// runs with a time limit: a rule that exceeds it is skipped and logged
+// instead of blocking the event loop.
+
+const vm = require('vm');
+
+// Time one rule may take on one text.
+const RULE_TIMEOUT_MS = 50;
+
+// A quantifier allowing more repetitions than this counts as unbounded.
+const MAX_BOUNDED_REPEAT = 10;
+
+// Characters tried when deciding whether two atoms can match the same
+// character, next to the characters of the atoms themselves.
+const SAMPLE_CHARS = [
+  ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)),
+  '\t',
+  '\n',
+  '\r',
+  '\u00a0',
+  '\u2028',
+  'äöåéüÄÖÅ',
+  'жЖ中😀',
+].join('');
+
+const matchScript = new vm.Script('pattern.test(text)');
+
+// Whether two single-character atoms, given as regex sources, match a
+// common character.  A null atom (a group) may match anything.
+function overlaps(a, b) {
+  if (a === null || b === null) return true;
+  try {
+    const matchA = new RegExp(`^(?:${a})$`, 'iu');
+    const matchB = new RegExp(`^(?:${b})$`, 'iu');
+    return [...`${SAMPLE_CHARS}${a}${b}`].some((char) => matchA.test(char) && matchB.test(char));
+  } catch (_) {
+    return true;
+  }
+}
+
+// The quantifier at `i`, if any: its repetition bounds and its end.
+function readQuantifier(source, i) {
+  let min = 1;
+  let max = 1;
+  let end = i;
+  const char = source[i];
+  if (char === '*' || char === '+' || char === '?') {
+    min = char === '+' ? 1 : 0;
+    max = char === '?' ? 1 : Infinity;
+    end = i + 1;
+  } else if (char === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+    if (match) {
+      min = Number(match[1]);
+      max = match[2] ? (match[3] ? Number(match[3]) : Infinity) : min;
+      end = i + match[0].length;
+    }
+  }
+  // A trailing `?` makes the quantifier lazy.
+  if (end > i && source[end] === '?') end += 1;
+  return { min, max, end };
+}
+
+/**
+ * Whether a pattern is free of the constructs that make backtracking take
+ * exponential or high polynomial time: a repeated group that itself
+ * contains a quantifier or an alternation, such as (a+)+ or (a|aa)*,
+ * unbounded quantifiers over atoms that match the same characters with
+ * nothing required in between, such as .*.*x or \s*\s+x, and
+ * backreferences.  Rules run on every generated and edited text, so the
+ * check errs on the side of rejecting.
+ *
+ * @param {string} source
+ * @returns {boolean}
+ */
+function isSafePattern(source) {
+  // Open groups.  `varying` is set once a group contains a quantifier or
+  // an alternation; `pending` holds the unbounded atoms that can still
+  // meet the next one, `start` those before the group and `ends` those at
+  // the end of its alternatives; `first` is the group's first atom.
+  const root = { varying: false, pending: [], start: [], ends: [], first: undefined };
+  const groups = [root];
+  let i = 0;
+  while (i < source.length) {
+    const group = groups[groups.length - 1];
+    const char = source[i];
+    let atom;
+    let closed = null;
+    let end;
+    if (char === '\\') {
+      const next = source[i + 1] || '';
+      if (/[1-9k]/.test(next)) return false;
+      if (/[pPu]/.test(next) && source[i + 2] === '{') {
+        const close = source.indexOf('}', i + 2);
+        end = close < 0 ? source.length : close + 1;
+      } else if (next === 'x') {
+        end = i + 4;
+      } else if (next === 'u') {
+        end = i + 6;
+      } else if (next === 'c') {
+        end = i + 3;
+      } else {
+        end = i + 2;
+      }
+      // Word boundaries match no character.
+      if (next === 'b' || next === 'B') {
+        i = end;
+        continue;
+      }
+      atom = source.slice(i, end);
+    } else if (char === '[') {
+      end = i + 1;
+      if (source[end] === '^') end += 1;
+      while (end < source.length && source[end] !== ']') end += source[end] === '\\' ? 2 : 1;
+      end += 1;
+      atom = source.slice(i, end);
+    } else if (char === '(') {
+      const prefix = /^\((\?(:|=|!|<=|<!|<[^>]*>))?/.exec(source.slice(i))[0];
+      groups.push({ varying: false, pending: [...group.pending], start: group.pending, ends: [], first: undefined });
+      i += prefix.length;
+      continue;
+    } else if (char === '|') {
+      group.varying = true;
+      group.ends.push(...group.pending);
+      group.pending = [...group.start];
+      i += 1;
+      continue;
+    } else if (char === ')') {
+      if (groups.length === 1) return false;
+      closed = groups.pop();
+      closed.ends.push(...closed.pending);
+      atom = closed.first === undefined ? null : closed.first;
+      end = i + 1;
+    } else if (char === '^' || char === '$') {
+      i += 1;
+      continue;
+    } else {
+      end = i + String.fromCodePoint(source.codePointAt(i)).length;
+      atom = source.slice(i, end);
+    }
+
+    const quantifier = readQuantifier(source, end);
+    const parent = groups[groups.length - 1];
+    if (parent.first === undefined) parent.first = atom;
+    const quantified = quantifier.end > end;
+    const unbounded = quantifier.max > MAX_BOUNDED_REPEAT;
+    if (closed) {
+      if (closed.varying && quantifier.max > 1) return false;
+      if (closed.varying || quantified) parent.varying = true;
+      if (!quantified) {
+        // The group's own atoms have been checked; what ends it carries on.
+        parent.pending = [...new Set(closed.ends)];
+        i = end;
+        continue;
+      }
+    } else if (quantified) {
+      groups.forEach((open) => {
+        open.varying = true;
+      });
+    }
+    if (unbounded) {
+      if (parent.pending.some((other) => overlaps(other, atom))) return false;
+      parent.pending = quantifier.min > 0 ? [atom] : [...parent.pending, atom];
+    } else if (quantifier.min > 0) {
+      parent.pending = [];
+    }
+    i = quantifier.end;
+  }
+  return groups.length === 1;
+}
+
+module.exports = {
+  name: 'regex',
+  isSafePattern,
+
+  async check({ text, config }) {
+    const flags = [];
+    const context = vm.createContext({ pattern: null, text });
+    for (const rule of config.regexes) {
+      if (!isSafePattern(rule.pattern)) continue;
+      try {
+        context.pattern = new RegExp(rule.pattern, 'iu');
+      } catch (_) {
+        continue;
+      }
+      let matched;
+      try {
+        matched = matchScript.runInContext(context, { timeout: RULE_TIMEOUT_MS });
+      } catch (err) {
+        console.error(`Moderation regex /${rule.pattern}/ skipped:`, err.message);
+        continue;
+      }
+      if (matched) {
+        flags.push({ source: 'regex', reason: rule.reason || `Matches rule /${rule.pattern}/` });
+      }
+    }
+    return flags;
+  },
+};
@@ -0,0 +1,188 @@
+/*
+ * Express router for the moderation review queue and per-organization
+ * moderation settings.  Mounted under `/api` behind `authenticate`.
+ *
+ *   GET    /moderation/queue             – flagged posts with their open flags
+ *   POST   /moderation/posts/:id/approve – allow a flagged post to be scheduled
+ *   POST   /moderation/posts/:id/reject  – keep a flagged post from publishing
+ *   GET    /moderation/rules             – blocklist, allowlist and regex rules
+ *   POST   /moderation/rules             – add a rule
+ *   DELETE /moderation/rules/:ruleId     – remove a rule
+ *   GET    /moderation/settings          – model-based moderation toggle
+ *   PUT    /moderation/settings
+ */
+const express = require('express');
+const { requirePermission: can } = require('../roles');
+const { APPROVED_STATUSES, WorkflowError, changePostStatus } = require('../workflow');
+const { isSafePattern } = require('./regex');
+const { requireId } = require('../utils/ids');
+
+const RULE_KINDS = ['block', 'allow', 'regex'];
+const MAX_PATTERN_LENGTH = 200;
+const QUEUE_STATUSES = ['pending', 'approved', 'rejected'];
+
+module.exports = function createModerationRouter(db) {
+  const router = express.Router();
+
+  router.param('id', requireId('Flagged post not found'));
+  router.param('ruleId', requireId('Rule not found'));
+
+  // GET /moderation/queue – Posts in the given moderation status (default
+  // pending), oldest first, each with its flags.
+  router.get('/moderation/queue', can('read'), async (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!QUEUE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${QUEUE_STATUSES.join(', ')}` });
+    }
+    try {
+      const orgId = req.organizationId;
+      const postsRes = await db.query(
+        `SELECT * FROM posts WHERE organization_id=$1 AND moderation_status=$2 ORDER BY created_at, id`,
+        [orgId, status],
+      );
+      const ids = postsRes.rows.map((p) => p.id);
+      const flagsRes = ids.length
+        ? await db.query('SELECT * FROM moderation_flags WHERE post_id = ANY($1) ORDER BY created_at, id', [ids])
+        : { rows: [] };
+      return res.json(
+        postsRes.rows.map((post) => ({
+          ...post,
+          moderation_flags: flagsRes.rows.filter((flag) => flag.post_id === post.id),
+        })),
+      );
+    } catch (err) {
+      console.error('Error fetching moderation queue:', err);
+      return res.status(500).json({ error: 'Failed to fetch moderation queue' });
+    }
+  });
+
+  // Resolve the open flags of a post with the reviewer's decision.
+  async function review(req, res, decision) {
+    try {
+      const orgId = req.organizationId;
+      const { rows } = await db.query(
+        `UPDATE posts SET moderation_status=$3, updated_at=NOW()
+          WHERE id=$1 AND organization_id=$2 AND flagged IS TRUE
+          RETURNING *`,
+        [req.params.id, orgId, decision],
+      );
+      if (rows.length === 0) return res.status(404).json({ error: 'Flagged post not found' });
+      await db.query(
+        `UPDATE moderation_flags
+            SET resolved_at=NOW(), resolution=$2, resolved_by=$3, note=$4
+          WHERE post_id=$1 AND resolved_at IS NULL`,
+        [rows[0].id, decision, String(req.userId), req.body.note || null],
+      );
+      // A rejected post loses its editorial approval and goes back to draft.
+      if (decision === 'rejected' && APPROVED_STATUSES.includes(rows[0].status)) {
+        const post = await changePostStatus(db, rows[0], 'draft', {
+          userId: req.userId,
+          note: req.body.note || 'Rejected in moderation',
+        });
+        return res.json(post);
+      }
+      return res.json(rows[0]);
+    } catch (err) {
+      if (err instanceof WorkflowError) return res.status(err.status).json(err);
+      console.error('Error reviewing post:', err);
+      return res.status(500).json({ error: 'Failed to review post' });
+    }
+  }
+
+  router.post('/moderation/posts/:id/approve', can('posts:approve'), (req, res) => review(req, res, 'approved'));
+  router.post('/moderation/posts/:id/reject', can('posts:approve'), (req, res) => review(req, res, 'rejected'));
+
+  router.get('/moderation/rules', can('read'), async (req, res) => {
+    try {
+      const orgId = req.organizationId;
+      const { rows } = await db.query(
+        'SELECT id, kind, pattern, reason, created_at FROM moderation_rules WHERE organization_id=$1 ORDER BY kind, id',
+        [orgId],
+      );
+      return res.json(rows);
+    } catch (err) {
+      console.error('Error fetching moderation rules:', err);
+      return res.status(500).json({ error: 'Failed to fetch moderation rules' });
+    }
+  });
+
+  // POST /moderation/rules – Body: { kind: 'block'|'allow'|'regex', pattern, reason? }
+  // Regex rules must pass isSafePattern() (see regex.js).
+  router.post('/moderation/rules', can('settings:write'), async (req, res) => {
+    const { kind, pattern, reason } = req.body;
+    if (!RULE_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of ${RULE_KINDS.join(', ')}` });
+    }
+    if (typeof pattern !== 'string' || !pattern.trim() || pattern.length > MAX_PATTERN_LENGTH) {
+      return res.status(400).json({ error: `pattern must be a non-empty string of at most ${MAX_PATTERN_LENGTH} characters` });
+    }
+    if (kind === 'regex') {
+      try {
+        new RegExp(pattern, 'iu');
+      } catch (err) {
+        return res.status(400).json({ error: `Invalid regular expression: ${err.message}` });
+      }
+      if (!isSafePattern(pattern)) {
+        return res.status(400).json({
+          error:
+            'Repeated groups containing quantifiers or alternatives, consecutive unbounded quantifiers over the same characters and backreferences are not allowed',
+        });
+      }
+    }
+    try {
+      const orgId = req.organizationId;
+      const { rows } = await db.query(
+        `INSERT INTO moderation_rules (organization_id, kind, pattern, reason)
+              VALUES ($1, $2, $3, $4)
+              RETURNING id, kind, pattern, reason, created_at`,
+        [orgId, kind, kind === 'regex' ? pattern : pattern.trim(), reason || null],
+      );
+      return res.status(201).json(rows[0]);
+    } catch (err) {
+      console.error('Error creating moderation rule:', err);
+      return res.status(500).json({ error: 'Failed to create moderation rule' });
+    }
+  });
+
+  router.delete('/moderation/rules/:ruleId', can('settings:write'), async (req, res) => {
+    try {
+      const orgId = req.organizationId;
+      const result = await db.query('DELETE FROM moderation_rules WHERE id=$1 AND organization_id=$2', [
+        req.params.ruleId,
+        orgId,
+      ]);
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Rule not found' });
+      return res.json({ success: true });
+    } catch (err) {
+      console.error('Error deleting moderation rule:', err);
+      return res.status(500).json({ error: 'Failed to delete moderation rule' });
+    }
+  });
+
+  router.get('/moderation/settings', can('read'), async (req, res) => {
+    try {
+      const orgId = req.organizationId;
+      const { rows } = await db.query('SELECT moderation_model_enabled FROM organizations WHERE id=$1', [orgId]);
+      return res.json({ model_enabled: Boolean(rows[0]?.moderation_model_enabled) });
+    } catch (err) {
+      console.error('Error fetching moderation settings:', err);
+      return res.status(500).json({ error: 'Failed to fetch moderation settings' });
+    }
+  });
+
+  // PUT /moderation/settings – Body: { model_enabled: boolean }
+  router.put('/moderation/settings', can('settings:write'), async (req, res) => {
+    const { model_enabled } = req.body;
+    if (typeof model_enabled !== 'boolean') return res.status(400).json({ error: 'model_enabled must be a boolean' });
+    try {
+      const orgId = req.organizationId;
+      await db.query('UPDATE organizations SET moderation_model_enabled=$2 WHERE id=$1', [orgId, model_enabled]);
+      return res.json({ model_enabled });
+    } catch (err) {
+      console.error('Error saving moderation settings:', err);
+      return res.status(500).json({ error: 'Failed to save moderation settings' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,26 @@
+// Word list check: flags text containing a blocked word or phrase.  The
+// organization's blocklist is combined with DEFAULT_BLOCKLIST.  Matching is
+// case-insensitive and works on substrings so that inflected Finnish word
+// forms are caught too.
+
+// Words that flag content for every organization.
+const DEFAULT_BLOCKLIST = ['kielletty', 'väkivalta', 'rasismi'];
+
+module.exports = {
+  name: 'wordlist',
+
+  /**
+   * @param {{text: string, config: Object}} input - `text` has the
+   *   allowlisted phrases removed already.
+   * @returns {Promise<Array<{source: string, reason: string}>>}
+   */
+  async check({ text, config }) {
+    const lower = text.toLowerCase();
+    const words = [...new Set([...DEFAULT_BLOCKLIST, ...config.blocklist].map((w) => w.toLowerCase()))];
+    return words
+      .filter((word) => word && lower.includes(word))
+      .map((word) => ({ source: 'wordlist', reason: `Contains blocked word "${word}"` }));
+  },
+
+  DEFAULT_BLOCKLIST,
+};
@@ -0,0 +1,110 @@
+// OAuth provider for Facebook Pages and Instagram business accounts.  Both
+// use Facebook Login: the user token from the code exchange is swapped for
+// a long-lived token, and /me/accounts returns the pages the user manages
+// together with their page tokens.  Page tokens derived from a long-lived
+// user token do not expire, so these channels are never refreshed.
+
+const { requestJson } = require('../utils/http');
+
+const GRAPH_VERSION = process.env.FACEBOOK_GRAPH_VERSION || 'v19.0';
+const GRAPH_URL = `https://graph.facebook.com/${GRAPH_VERSION}`;
+
+function credentials() {
+  const clientId = process.env.FACEBOOK_APP_ID;
+  const clientSecret = process.env.FACEBOOK_APP_SECRET;
+  if (!clientId || !clientSecret) throw new Error('FACEBOOK_APP_ID and FACEBOOK_APP_SECRET must be set');
+  return { clientId, clientSecret };
+}
+
+// Exchange an authorization code for a long-lived user access token.
+async function exchangeUserToken(code, redirectUri) {
+  const { clientId, clientSecret } = credentials();
+  const { data: shortLived } = await requestJson(
+    'Facebook',
+    `${GRAPH_URL}/oauth/access_token?${new URLSearchParams({
+      client_id: clientId,
+      client_secret: clientSecret,
+      redirect_uri: redirectUri,
+      code,
+    })}`,
+  );
+  const { data: longLived } = await requestJson(
+    'Facebook',
+    `${GRAPH_URL}/oauth/access_token?${new URLSearchParams({
+      grant_type: 'fb_exchange_token',
+      client_id: clientId,
+      client_secret: clientSecret,
+      fb_exchange_token: shortLived.access_token,
+    })}`,
+  );
+  return longLived.access_token;
+}
+
+/**
+ * Build a provider for either Facebook pages or Instagram accounts.
+ *
+ * @param {'facebook'|'instagram'} type
+ */
+function createFacebookProvider(type) {
+  const scopes =
+    type === 'instagram'
+      ? ['pages_show_list', 'pages_read_engagement', 'instagram_basic', 'instagram_content_publish']
+      : ['pages_show_list', 'pages_read_engagement', 'pages_manage_posts'];
+
+  return {
+    authorizeUrl({ state, redirectUri }) {
+      const { clientId } = credentials();
+      return `https://www.facebook.com/${GRAPH_VERSION}/dialog/oauth?${new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        state,
+        scope: scopes.join(','),
+        response_type: 'code',
+      })}`;
+    },
+
+    async exchangeCode({ code, redirectUri }) {
+      const userToken = await exchangeUserToken(code, redirectUri);
+      const { data } = await requestJson(
+        'Facebook',
+        `${GRAPH_URL}/me/accounts?${new URLSearchParams({
+          fields: 'id,name,access_token,instagram_business_account{id,username}',
+          access_token: userToken,
+        })}`,
+      );
+      const pages = Array.isArray(data.data) ? data.data : [];
+      if (type === 'instagram') {
+        return pages
+          .filter((page) => page.instagram_business_account)
+          .map((page) => ({
+            externalId: page.instagram_business_account.id,
+            name: page.instagram_business_account.username || page.name,
+            accessToken: page.access_token,
+            refreshToken: null,
+            expiresAt: null,
+            scopes,
+          }));
+      }
+      return pages.map((page) => ({
+        externalId: page.id,
+        name: page.name,
+        accessToken: page.access_token,
+        refreshToken: null,
+        expiresAt: null,
+        scopes,
+      }));
+    },
+
+    async verify(channel) {
+      await requestJson(
+        'Facebook',
+        `${GRAPH_URL}/${channel.external_id}?${new URLSearchParams({
+          fields: 'id',
+          access_token: channel.access_token,
+        })}`,
+      );
+    },
+  };
+}
+
+module.exports = { createFacebookProvider };
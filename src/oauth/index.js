@@ -0,0 +1,248 @@
+// OAuth connection management for social channels.
+//
+// Each channel type has a provider module implementing:
+//   authorizeUrl({ state, redirectUri }) – URL the user is sent to
+//   exchangeCode({ code, redirectUri })  – resolves with the connected
+//     accounts: [{ externalId, name, accessToken, refreshToken, expiresAt, scopes }]
+//   verify(channel)                      – throws if the token no longer works
+//   refresh(channel)  (optional)         – resolves with new tokens
+//   revoke(channel)   (optional)         – revokes the token remotely
+// The helpers below store the results on the channels table.  Tokens are
+// encrypted at rest (see utils/secrets.js); channel rows passed to providers
+// must be decrypted with decryptChannel() first.
+
+const { createFacebookProvider } = require('./facebook');
+const { encryptSecret, decryptSecret } = require('../utils/secrets');
+
+const providers = {
+  facebook: createFacebookProvider('facebook'),
+  instagram: createFacebookProvider('instagram'),
+  linkedin: require('./linkedin'),
+  tiktok: require('./tiktok'),
+};
+
+// Refresh tokens that expire within this window.
+const REFRESH_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} type - Channel type.
+ * @returns {Object|undefined} The OAuth provider for the type.
+ */
+function getProvider(type) {
+  return providers[String(type || '').toLowerCase()];
+}
+
+/**
+ * Return a copy of a channel row with its tokens decrypted.
+ *
+ * @param {Object} channel - Row from the channels table.
+ * @returns {Object}
+ */
+function decryptChannel(channel) {
+  if (!channel) return channel;
+  return {
+    ...channel,
+    access_token: decryptSecret(channel.access_token),
+    refresh_token: decryptSecret(channel.refresh_token),
+  };
+}
+
+/**
+ * URL the provider redirects back to after authorization.  API_BASE_URL is
+ * the public URL of this backend (e.g. https://api.gunvald.fi).
+ *
+ * @param {string} type
+ * @returns {string}
+ */
+function getRedirectUri(type) {
+  const base = (process.env.API_BASE_URL || 'http://localhost:8880').replace(/\/$/, '');
+  return `${base}/api/channels/${type}/callback`;
+}
+
+/**
+ * Store the accounts returned by a provider for an organization.  A channel
+ * is identified by (organization_id, type, external_id), so reconnecting an
+ * account updates its tokens instead of creating a duplicate.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {number} orgId
+ * @param {string} type
+ * @param {Array<Object>} accounts - Result of provider.exchangeCode().
+ * @returns {Promise<Object[]>} The saved channel rows.
+ */
+async function saveConnections(db, orgId, type, accounts) {
+  const saved = [];
+  for (const account of accounts) {
+    const { rows } = await db.query(
+      `INSERT INTO channels
+         (organization_id, type, name, external_id, access_token, refresh_token, token_expires_at, scopes, status, last_error, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'connected', NULL, NOW())
+       ON CONFLICT (organization_id, type, external_id) DO UPDATE
+         SET name = EXCLUDED.name,
+             access_token = EXCLUDED.access_token,
+             refresh_token = COALESCE(EXCLUDED.refresh_token, channels.refresh_token),
+             token_expires_at = EXCLUDED.token_expires_at,
+             scopes = EXCLUDED.scopes,
+             status = 'connected',
+             last_error = NULL,
+             updated_at = NOW()
+       RETURNING id`,
+      [
+        orgId,
+        type,
+        account.name || null,
+        account.externalId,
+        encryptSecret(account.accessToken),
+        encryptSecret(account.refreshToken),
+        account.expiresAt || null,
+        account.scopes || [],
+      ],
+    );
+    saved.push(rows[0]);
+  }
+  return saved;
+}
+
+/**
+ * Refresh a channel's access token with its refresh token.  On failure the
+ * channel is marked `expired` and the error is rethrown.
+ *
+ * @param {Object} db
+ * @param {Object} channel - Decrypted row from the channels table.
+ * @returns {Promise<Object>} The decrypted channel with the new tokens applied.
+ */
+async function refreshChannel(db, channel) {
+  const provider = getProvider(channel.type);
+  if (!provider || !provider.refresh || !channel.refresh_token) {
+    throw new Error(`Channel ${channel.id} cannot be refreshed`);
+  }
+  try {
+    const tokens = await provider.refresh(channel);
+    const { rows } = await db.query(
+      `UPDATE channels
+          SET access_token=$2, refresh_token=COALESCE($3, refresh_token), token_expires_at=$4,
+              status='connected', last_error=NULL, updated_at=NOW()
+        WHERE id=$1
+        RETURNING *`,
+      [channel.id, encryptSecret(tokens.accessToken), encryptSecret(tokens.refreshToken), tokens.expiresAt || null],
+    );
+    return decryptChannel(rows[0]);
+  } catch (err) {
+    await db.query(`UPDATE channels SET status='expired', last_error=$2, updated_at=NOW() WHERE id=$1`, [
+      channel.id,
+      err.message,
+    ]);
+    throw err;
+  }
+}
+
+/**
+ * Refresh the channel's token if it expires within REFRESH_MARGIN_MS.
+ * Channels without an expiry or a refresh token are returned unchanged.
+ *
+ * @param {Object} db
+ * @param {Object} channel - Decrypted channel row.
+ * @returns {Promise<Object>}
+ */
+async function ensureFreshToken(db, channel) {
+  if (!channel.token_expires_at || !channel.refresh_token) return channel;
+  const expiresAt = new Date(channel.token_expires_at).getTime();
+  if (expiresAt - Date.now() > REFRESH_MARGIN_MS) return channel;
+  return refreshChannel(db, channel);
+}
+
+/**
+ * Refresh every connected channel whose token is about to expire.  Run
+ * hourly by the refresh_channel_tokens job.
+ *
+ * @param {Object} db
+ * @returns {Promise<{refreshed: number, failed: number}>}
+ */
+async function refreshExpiringChannels(db) {
+  const { rows } = await db.query(
+    `SELECT * FROM channels
+      WHERE status='connected' AND refresh_token IS NOT NULL
+        AND token_expires_at IS NOT NULL AND token_expires_at < $1`,
+    [new Date(Date.now() + REFRESH_MARGIN_MS)],
+  );
+  const summary = { refreshed: 0, failed: 0 };
+  for (const channel of rows) {
+    try {
+      await refreshChannel(db, decryptChannel(channel));
+      summary.refreshed += 1;
+    } catch (err) {
+      console.error(`Error refreshing channel ${channel.id}:`, err);
+      summary.failed += 1;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Check that a channel's token still works and record the result.  A
+ * failed check marks the channel `error`, except that a channel that is
+ * `disconnected` or `expired` keeps that status, as only connecting it
+ * again helps.
+ *
+ * @param {Object} db
+ * @param {Object} channel - Decrypted channel row.
+ * @returns {Promise<{healthy: boolean, error: string|null}>}
+ */
+async function checkChannelHealth(db, channel) {
+  const provider = getProvider(channel.type);
+  let error = null;
+  try {
+    if (!provider) throw new Error(`Unsupported channel type ${channel.type}`);
+    if (!channel.access_token) throw new Error('Channel has no access token');
+    const fresh = await ensureFreshToken(db, channel);
+    await provider.verify(fresh);
+  } catch (err) {
+    error = err.message;
+  }
+  await db.query(
+    `UPDATE channels
+        SET status = CASE WHEN $2 = 'error' AND status IN ('disconnected', 'expired') THEN status ELSE $2 END,
+            last_error=$3, last_checked_at=NOW(), updated_at=NOW()
+      WHERE id=$1`,
+    [channel.id, error ? 'error' : 'connected', error],
+  );
+  return { healthy: !error, error };
+}
+
+/**
+ * Disconnect a channel: revoke the token where the provider supports it
+ * and clear the stored tokens.  The row is kept so that published posts
+ * still reference it.
+ *
+ * @param {Object} db
+ * @param {Object} channel - Decrypted channel row.
+ */
+async function disconnectChannel(db, channel) {
+  const provider = getProvider(channel.type);
+  if (provider && provider.revoke && channel.access_token) {
+    try {
+      await provider.revoke(channel);
+    } catch (err) {
+      // Revocation is best effort; the tokens are removed locally anyway.
+      console.error(`Error revoking token of channel ${channel.id}:`, err);
+    }
+  }
+  await db.query(
+    `UPDATE channels
+        SET status='disconnected', access_token=NULL, refresh_token=NULL, token_expires_at=NULL, updated_at=NOW()
+      WHERE id=$1`,
+    [channel.id],
+  );
+}
+
+module.exports = {
+  getProvider,
+  decryptChannel,
+  getRedirectUri,
+  saveConnections,
+  refreshChannel,
+  ensureFreshToken,
+  refreshExpiringChannels,
+  checkChannelHealth,
+  disconnectChannel,
+};
@@ -0,0 +1,87 @@
+// OAuth provider for LinkedIn members.  The member's OpenID userinfo gives
+// the ID used for the urn:li:person author URN.  Access tokens live for 60
+// days; refresh tokens are only issued to apps with programmatic refresh
+// enabled.
+
+const { requestJson } = require('../utils/http');
+
+function credentials() {
+  const clientId = process.env.LINKEDIN_CLIENT_ID;
+  const clientSecret = process.env.LINKEDIN_CLIENT_SECRET;
+  if (!clientId || !clientSecret) throw new Error('LINKEDIN_CLIENT_ID and LINKEDIN_CLIENT_SECRET must be set');
+  return { clientId, clientSecret };
+}
+
+const SCOPES = ['openid', 'profile', 'w_member_social'];
+
+// Convert a LinkedIn token response to the shape stored on channels.
+function toTokens(data) {
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || null,
+    expiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000) : null,
+  };
+}
+
+async function fetchUserInfo(accessToken) {
+  const { data } = await requestJson('LinkedIn', 'https://api.linkedin.com/v2/userinfo', {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  return data;
+}
+
+module.exports = {
+  authorizeUrl({ state, redirectUri }) {
+    const { clientId } = credentials();
+    return `https://www.linkedin.com/oauth/v2/authorization?${new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      state,
+      scope: SCOPES.join(' '),
+    })}`;
+  },
+
+  async exchangeCode({ code, redirectUri }) {
+    const { clientId, clientSecret } = credentials();
+    const { data } = await requestJson('LinkedIn', 'https://www.linkedin.com/oauth/v2/accessToken', {
+      method: 'POST',
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        client_secret: clientSecret,
+      }),
+    });
+    const tokens = toTokens(data);
+    const user = await fetchUserInfo(tokens.accessToken);
+    return [{ externalId: `urn:li:person:${user.sub}`, name: user.name, scopes: SCOPES, ...tokens }];
+  },
+
+  async refresh(channel) {
+    const { clientId, clientSecret } = credentials();
+    const { data } = await requestJson('LinkedIn', 'https://www.linkedin.com/oauth/v2/accessToken', {
+      method: 'POST',
+      body: new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: channel.refresh_token,
+        client_id: clientId,
+        client_secret: clientSecret,
+      }),
+    });
+    return toTokens(data);
+  },
+
+  async verify(channel) {
+    await fetchUserInfo(channel.access_token);
+  },
+
+  async revoke(channel) {
+    const { clientId, clientSecret } = credentials();
+    await requestJson('LinkedIn', 'https://www.linkedin.com/oauth/v2/revoke', {
+      method: 'POST',
+      body: new URLSearchParams({ token: channel.access_token, client_id: clientId, client_secret: clientSecret }),
+    });
+  },
+};
@@ -0,0 +1,89 @@
+// OAuth provider for TikTok (Login Kit v2).  Access tokens expire after 24
+// hours and are refreshed with the refresh token, which is valid for a year.
+
+const { requestJson } = require('../utils/http');
+
+function credentials() {
+  const clientKey = process.env.TIKTOK_CLIENT_KEY;
+  const clientSecret = process.env.TIKTOK_CLIENT_SECRET;
+  if (!clientKey || !clientSecret) throw new Error('TIKTOK_CLIENT_KEY and TIKTOK_CLIENT_SECRET must be set');
+  return { clientKey, clientSecret };
+}
+
+const SCOPES = ['user.info.basic', 'video.publish'];
+
+// TikTok reports some failures with HTTP 200 and an `error` field.
+function toTokens(data) {
+  if (data.error) throw new Error(`TikTok API error: ${data.error} ${data.error_description || ''}`.trim());
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || null,
+    expiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000) : null,
+  };
+}
+
+async function fetchUser(accessToken) {
+  const { data } = await requestJson('TikTok', 'https://open.tiktokapis.com/v2/user/info/?fields=open_id,display_name', {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (data.error && data.error.code && data.error.code !== 'ok') {
+    throw new Error(`TikTok API error: ${data.error.code} ${data.error.message || ''}`.trim());
+  }
+  return data.data?.user || {};
+}
+
+module.exports = {
+  authorizeUrl({ state, redirectUri }) {
+    const { clientKey } = credentials();
+    return `https://www.tiktok.com/v2/auth/authorize/?${new URLSearchParams({
+      client_key: clientKey,
+      response_type: 'code',
+      scope: SCOPES.join(','),
+      redirect_uri: redirectUri,
+      state,
+    })}`;
+  },
+
+  async exchangeCode({ code, redirectUri }) {
+    const { clientKey, clientSecret } = credentials();
+    const { data } = await requestJson('TikTok', 'https://open.tiktokapis.com/v2/oauth/token/', {
+      method: 'POST',
+      body: new URLSearchParams({
+        client_key: clientKey,
+        client_secret: clientSecret,
+        code,
+        grant_type: 'authorization_code',
+        redirect_uri: redirectUri,
+      }),
+    });
+    const tokens = toTokens(data);
+    const user = await fetchUser(tokens.accessToken);
+    return [{ externalId: user.open_id || data.open_id, name: user.display_name || null, scopes: SCOPES, ...tokens }];
+  },
+
+  async refresh(channel) {
+    const { clientKey, clientSecret } = credentials();
+    const { data } = await requestJson('TikTok', 'https://open.tiktokapis.com/v2/oauth/token/', {
+      method: 'POST',
+      body: new URLSearchParams({
+        client_key: clientKey,
+        client_secret: clientSecret,
+        grant_type: 'refresh_token',
+        refresh_token: channel.refresh_token,
+      }),
+    });
+    return toTokens(data);
+  },
+
+  async verify(channel) {
+    await fetchUser(channel.access_token);
+  },
+
+  async revoke(channel) {
+    const { clientKey, clientSecret } = credentials();
+    await requestJson('TikTok', 'https://open.tiktokapis.com/v2/oauth/revoke/', {
+      method: 'POST',
+      body: new URLSearchParams({ client_key: clientKey, client_secret: clientSecret, token: channel.access_token }),
+    });
+  },
+};
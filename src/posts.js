@@ -0,0 +1,570 @@
+/*
+ * Express router for managing the posts of an organization.  This module
+ * exposes list, read, update and delete endpoints for posts together with
+ * the editorial workflow: status changes, their history and review
+ * comments (see workflow.js), AI rewrites and content revisions (see
+ * rewrite.js and revisions.js).  Approved posts are moved to the
+ * organization's next free posting slot when their time has passed or
+ * collides with another post (see slots/).  Drafts are created by POST
+ * /api/generate in server.js; everything after that goes through these
+ * routes.  It expects a PostgreSQL client exposed via `db.query` and should
+ * be mounted under `/api` behind `authenticate`.
+ */
+const express = require('express');
+const { requirePermission: can, hasPermission } = require('./roles');
+const { CHANNEL_RULES, normalizeChannel, validateVariant } = require('./channel_rules');
+const { moderatePost } = require('./moderation');
+const { resolveProvider } = require('./llm');
+const { assignSlot } = require('./slots');
+const { findAsset } = require('./assets');
+const { findCampaign } = require('./campaigns');
+const { AIOutputError } = require('./ai');
+const { QuotaExceededError } = require('./usage');
+const { parseRewriteRequest, runRewrite } = require('./rewrite');
+const {
+  REVISION_FIELDS,
+  replaceVariants,
+  recordRevision,
+  snapshotPost,
+  diffRevisions,
+  listRevisions,
+  findRevision,
+} = require('./revisions');
+const {
+  POST_STATUSES,
+  APPROVED_STATUSES,
+  WorkflowError,
+  assertTransition,
+  changePostStatus,
+} = require('./workflow');
+const { requireId } = require('./utils/ids');
+
+// Columns that may be changed through PATCH /posts/:id.  A status change
+// is applied through the workflow after the other fields.  The image is
+// set through asset_id; image_url follows the asset.  Likewise the campaign
+// label follows the campaign set through campaign_id.
+const EDITABLE_FIELDS = [
+  'text',
+  'hashtags',
+  'asset_id',
+  'image_prompt',
+  'scheduled_at',
+  'status',
+  'campaign_id',
+  'channel_id',
+];
+
+// Statuses that need more than posts:write to move a post into.
+const STATUS_PERMISSIONS = {
+  approved: 'posts:approve',
+  changes_requested: 'posts:approve',
+  scheduled: 'posts:publish',
+};
+
+// Fields whose change withdraws the approval of a post.
+const CONTENT_FIELDS = ['text', 'hashtags', 'asset_id', 'image_prompt'];
+
+const MAX_PAGE_SIZE = 200;
+const MAX_COMMENT_LENGTH = 5000;
+
+// Whether the caller's role may move a post into the given status.
+function canMoveTo(role, status) {
+  return hasPermission(role, STATUS_PERMISSIONS[status] || 'posts:write');
+}
+
+// Parse a date query/body value.  Returns undefined when the value is
+// absent and null when it cannot be parsed.
+function parseDate(value) {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = function createPostsRouter(db) {
+  const router = express.Router();
+
+  // A post, revision or comment id that is not a number matches nothing.
+  router.param('id', requireId('Post not found'));
+  router.param('revisionId', requireId('Revision not found'));
+  router.param('commentId', requireId('Comment not found'));
+
+  async function findPost(orgId, id) {
+    const { rows } = await db.query('SELECT * FROM posts WHERE id=$1 AND organization_id=$2', [id, orgId]);
+    return rows[0];
+  }
+
+  // The content of a post changed: moderate it again when the text changed
+  // and send an approved post back to review.
+  async function afterContentChange(orgId, post, { userId, moderate }) {
+    let flags;
+    if (moderate) {
+      const provider = await resolveProvider(db, orgId).catch(() => undefined);
+      flags = await moderatePost(db, orgId, post.id, { provider });
+    }
+    let current = await findPost(orgId, post.id);
+    if (APPROVED_STATUSES.includes(current.status)) {
+      current = await changePostStatus(db, current, 'in_review', { userId, note: 'Content changed after approval' });
+    }
+    return flags ? { ...current, moderation_flags: flags } : current;
+  }
+
+  // Replace the content of a post and save it as a new revision, after
+  // saving the current content if no revision holds it yet.  `variants`
+  // in the changes replaces the channel variants; otherwise they stay,
+  // unless the text changes: variants written for the old text would be
+  // published instead of the new one, so they are removed.  Returns the
+  // updated post and the revision with its diff.
+  async function saveRevision(orgId, post, { variants, ...changes }, details) {
+    const previous = await snapshotPost(db, post);
+    const textChanged = changes.text !== undefined && changes.text !== post.text;
+    const fields = Object.keys(changes);
+    const assignments = fields.map((field, i) => `${field}=$${i + 3}`);
+    const { rows } = await db.query(
+      `UPDATE posts
+          SET ${assignments.join(', ')}, updated_at=NOW()
+        WHERE id=$1 AND organization_id=$2
+        RETURNING *`,
+      [post.id, orgId, ...fields.map((field) => changes[field])],
+    );
+    if (variants || textChanged) await replaceVariants(db, post.id, variants || {});
+    const revision = await recordRevision(db, rows[0], details);
+    const updated = await afterContentChange(orgId, rows[0], {
+      userId: details.userId,
+      moderate: textChanged || Boolean(variants),
+    });
+    return { post: updated, revision: { ...revision, diff: diffRevisions(previous, revision) } };
+  }
+
+  // GET /posts – List the organization's posts ordered by scheduled_at.
+  // Supported query parameters:
+  //   status   – a single status or a comma separated list
+  //   from, to – inclusive scheduled_at range (ISO dates)
+  //   campaign_id – posts of a campaign
+  //   campaign – exact campaign label
+  //   limit, offset – pagination (max limit 200); without `limit` all
+  //                   matching posts are returned
+  // The response body is an array of posts; the total number of matching
+  // posts is returned in the X-Total-Count header.
+  router.get('/posts', can('read'), async (req, res) => {
+    const { status, campaign, campaign_id: campaignId } = req.query;
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    const statuses = status ? String(status).split(',').map((s) => s.trim()).filter(Boolean) : [];
+    if (statuses.some((s) => !POST_STATUSES.includes(s))) {
+      return res.status(400).json({ error: `status must be one of ${POST_STATUSES.join(', ')}` });
+    }
+    if (campaignId !== undefined && !/^\d+$/.test(campaignId)) {
+      return res.status(400).json({ error: 'campaign_id must be the id of a campaign' });
+    }
+    const limit = Number(req.query.limit) > 0 ? Math.min(Number(req.query.limit), MAX_PAGE_SIZE) : null;
+    const offset = Number(req.query.offset) > 0 ? Number(req.query.offset) : 0;
+    try {
+      const orgId = req.organizationId;
+
+      const conditions = ['organization_id=$1'];
+      const params = [orgId];
+      if (statuses.length) {
+        params.push(statuses);
+        conditions.push(`status = ANY($${params.length})`);
+      }
+      if (from) {
+        params.push(from);
+        conditions.push(`scheduled_at >= $${params.length}`);
+      }
+      if (to) {
+        params.push(to);
+        conditions.push(`scheduled_at <= $${params.length}`);
+      }
+      if (campaignId) {
+        params.push(campaignId);
+        conditions.push(`campaign_id = $${params.length}`);
+      }
+      if (campaign) {
+        params.push(campaign);
+        conditions.push(`campaign = $${params.length}`);
+      }
+      const where = conditions.join(' AND ');
+
+      const countRes = await db.query(`SELECT COUNT(*) AS total FROM posts WHERE ${where}`, params);
+      const postsRes = await db.query(
+        `SELECT * FROM posts
+          WHERE ${where}
+          ORDER BY scheduled_at NULLS LAST, id
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset],
+      );
+      res.setHeader('X-Total-Count', countRes.rows[0].total);
+      return res.json(postsRes.rows);
+    } catch (err) {
+      console.error('Error fetching posts:', err);
+      return res.status(500).json({ error: 'Failed to fetch posts' });
+    }
+  });
+
+  // GET /posts/:id – Retrieve a single post of the organization together
+  // with its channel variants, keyed by channel type.
+  router.get('/posts/:id', can('read'), async (req, res) => {
+    try {
+      const orgId = req.organizationId;
+      const { rows } = await db.query('SELECT * FROM posts WHERE id=$1 AND organization_id=$2', [
+        req.params.id,
+        orgId,
+      ]);
+      if (rows.length === 0) return res.status(404).json({ error: 'Post not found' });
+      const variantsRes = await db.query(
+        'SELECT channel_type, text, hashtags, updated_at FROM post_variants WHERE post_id=$1 ORDER BY channel_type',
+        [rows[0].id],
+      );
+      const variants = Object.fromEntries(
+        variantsRes.rows.map(({ channel_type, ...variant }) => [channel_type, variant]),
+      );
+      return res.json({ ...rows[0], variants });
+    } catch (err) {
+      console.error('Error fetching post:', err);
+      return res.status(500).json({ error: 'Failed to fetch post' });
+    }
+  });
+
+  // PATCH /posts/:id – Update selected fields of a post.  Only the fields
+  // listed in EDITABLE_FIELDS are applied; anything else in the body is
+  // ignored.  Changed content is moderated again, sends an approved post
+  // back to review and is saved as a revision; a new text removes the
+  // channel variants, like a rewrite does.  `asset_id` must be an asset of the organization, or
+  // null to remove the image; `campaign_id` a campaign of the organization,
+  // or null.  `status` (with an optional `note`) must be a
+  // valid workflow transition.  Returns the updated post.
+  router.patch('/posts/:id', can('posts:write'), async (req, res) => {
+    const updates = EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined);
+    if (updates.length === 0) {
+      return res.status(400).json({ error: `Provide at least one of ${EDITABLE_FIELDS.join(', ')}` });
+    }
+    const { status } = req.body;
+    if (status !== undefined && !POST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${POST_STATUSES.join(', ')}` });
+    }
+    if (status !== undefined && !canMoveTo(req.role, status)) {
+      return res.status(403).json({ error: 'Insufficient permissions', permission: STATUS_PERMISSIONS[status] });
+    }
+    if (req.body.hashtags !== undefined && !Array.isArray(req.body.hashtags)) {
+      return res.status(400).json({ error: 'hashtags must be an array' });
+    }
+    const fields = updates.filter((field) => field !== 'status');
+    const values = fields.map((field) => req.body[field]);
+    if (req.body.scheduled_at !== undefined && req.body.scheduled_at !== null) {
+      const scheduledAt = parseDate(req.body.scheduled_at);
+      if (!scheduledAt) return res.status(400).json({ error: 'scheduled_at must be a valid date' });
+      values[fields.indexOf('scheduled_at')] = scheduledAt;
+    }
+    try {
+      const orgId = req.organizationId;
+      if (req.body.channel_id) {
+        const channelRes = await db.query('SELECT id FROM channels WHERE id=$1 AND organization_id=$2', [
+          req.body.channel_id,
+          orgId,
+        ]);
+        if (channelRes.rows.length === 0) return res.status(400).json({ error: 'Channel not found' });
+      }
+      if (req.body.asset_id !== undefined) {
+        let imageUrl = null;
+        if (req.body.asset_id !== null) {
+          const asset = await findAsset(db, orgId, req.body.asset_id);
+          if (!asset) return res.status(400).json({ error: 'Asset not found' });
+          imageUrl = asset.url;
+        }
+        fields.push('image_url');
+        values.push(imageUrl);
+      }
+      if (req.body.campaign_id !== undefined) {
+        let label = null;
+        if (req.body.campaign_id !== null) {
+          const campaign = await findCampaign(db, orgId, req.body.campaign_id);
+          if (!campaign) return res.status(400).json({ error: 'Campaign not found' });
+          label = campaign.name;
+        }
+        fields.push('campaign');
+        values.push(label);
+      }
+      const post = await findPost(orgId, req.params.id);
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+      const contentChanged = CONTENT_FIELDS.some((field) => req.body[field] !== undefined);
+      // Check the requested status change before anything is written.
+      if (status !== undefined) {
+        const pending = Object.fromEntries(fields.map((field, i) => [field, values[i]]));
+        const from = contentChanged && APPROVED_STATUSES.includes(post.status) ? 'in_review' : post.status;
+        if (status !== from) assertTransition({ ...post, ...pending, status: from }, status);
+      }
+      // The content before a manual edit is kept as a revision, and so is
+      // the edit (see revisions.js).
+      const revised = REVISION_FIELDS.some((field) => req.body[field] !== undefined);
+      const textChanged = req.body.text !== undefined && req.body.text !== post.text;
+      if (revised) await snapshotPost(db, post);
+      let updated = post;
+      if (fields.length) {
+        const assignments = fields.map((field, i) => `${field}=$${i + 3}`);
+        const { rows } = await db.query(
+          `UPDATE posts
+              SET ${assignments.join(', ')}, updated_at=NOW()
+            WHERE id=$1 AND organization_id=$2
+            RETURNING *`,
+          [post.id, orgId, ...values],
+        );
+        updated = rows[0];
+      }
+      // Variants written for the old text would be published instead of
+      // the new one, as in saveRevision().
+      if (textChanged) await replaceVariants(db, post.id, {});
+      if (revised) await snapshotPost(db, updated, { userId: req.userId });
+      if (contentChanged) {
+        updated = await afterContentChange(orgId, updated, {
+          userId: req.userId,
+          moderate: req.body.text !== undefined,
+        });
+      }
+      if (status !== undefined && status !== updated.status) {
+        updated = {
+          ...updated,
+          ...(await changePostStatus(db, updated, status, { userId: req.userId, note: req.body.note || null })),
+        };
+        // A time given in the same request is kept as chosen.
+        if (status === 'approved' && req.body.scheduled_at === undefined) {
+          updated = { ...updated, ...(await assignSlot(db, orgId, updated)) };
+        }
+      }
+      return res.json(updated);
+    } catch (err) {
+      if (err instanceof WorkflowError) return res.status(err.status).json(err);
+      console.error('Error updating post:', err);
+      return res.status(500).json({ error: 'Failed to update post' });
+    }
+  });
+
+  // POST /posts/:id/status – Move a post along the editorial workflow.
+  // Body: { status, note? }.  Approving needs posts:approve and scheduling
+  // posts:publish; responds 409 if the transition is not allowed.  An
+  // approved post gets the next free posting slot if it needs one.
+  router.post('/posts/:id/status', can('posts:write'), async (req, res) => {
+    const { status, note } = req.body;
+    if (!POST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${POST_STATUSES.join(', ')}` });
+    }
+    if (!canMoveTo(req.role, status)) {
+      return res.status(403).json({ error: 'Insufficient permissions', permission: STATUS_PERMISSIONS[status] });
+    }
+    try {
+      const orgId = req.organizationId;
+      const post = await findPost(orgId, req.params.id);
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+      let updated = await changePostStatus(db, post, status, { userId: req.userId, note: note || null });
+      if (status === 'approved') updated = await assignSlot(db, orgId, updated);
+      return res.json(updated);
+    } catch (err) {
+      if (err instanceof WorkflowError) return res.status(err.status).json(err);
+      console.error('Error changing post status:', err);
+      return res.status(500).json({ error: 'Failed to change post status' });
+    }
+  });
+
+  // GET /posts/:id/history – Status changes of a post, oldest first.
+  router.get('/posts/:id/history', can('read'), async (req, res) => {
+    try {
+      const orgId = req.organizationId;
+      const post = await findPost(orgId, req.params.id);
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+      const { rows } = await db.query(
+        `SELECT id, from_status, to_status, changed_by, note, created_at
+           FROM post_status_history
+          WHERE post_id=$1
+          ORDER BY created_at, id`,
+        [post.id],
+      );
+      return res.json(rows);
+    } catch (err) {
+      console.error('Error fetching post history:', err);
+      return res.status(500).json({ error: 'Failed to fetch post history' });
+    }
+  });
+
+  // GET /posts/:id/comments – Review comments of a post, oldest first.
+  router.get('/posts/:id/comments', can('read'), async (req, res) => {
+    try {
+      const orgId = req.organizationId;
+      const post = await findPost(orgId, req.params.id);
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+      const { rows } = await db.query(
+        'SELECT id, author_id, body, created_at FROM post_comments WHERE post_id=$1 ORDER BY created_at, id',
+        [post.id],
+      );
+      return res.json(rows);
+    } catch (err) {
+      console.error('Error fetching comments:', err);
+      return res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+  });
+
+  // POST /posts/:id/comments – Body: { body }.
+  router.post('/posts/:id/comments', can('comment'), async (req, res) => {
+    const { body } = req.body;
+    if (typeof body !== 'string' || !body.trim() || body.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `body must be a non-empty string of at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+    try {
+      const orgId = req.organizationId;
+      const post = await findPost(orgId, req.params.id);
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+      const { rows } = await db.query(
+        `INSERT INTO post_comments (post_id, author_id, body)
+              VALUES ($1, $2, $3)
+              RETURNING id, author_id, body, created_at`,
+        [post.id, String(req.userId), body.trim()],
+      );
+      return res.status(201).json(rows[0]);
+    } catch (err) {
+      console.error('Error creating comment:', err);
+      return res.status(500).json({ error: 'Failed to create comment' });
+    }
+  });
+
+  // DELETE /posts/:id/comments/:commentId – Authors can delete their own comments.
+  router.delete('/posts/:id/comments/:commentId', can('comment'), async (req, res) => {
+    try {
+      const orgId = req.organizationId;
+      const post = await findPost(orgId, req.params.id);
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+      const result = await db.query('DELETE FROM post_comments WHERE id=$1 AND post_id=$2 AND author_id=$3', [
+        req.params.commentId,
+        post.id,
+        String(req.userId),
+      ]);
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Comment not found' });
+      return res.json({ success: true });
+    } catch (err) {
+      console.error('Error deleting comment:', err);
+      return res.status(500).json({ error: 'Failed to delete comment' });
+    }
+  });
+
+  // PUT /posts/:id/variants/:channel – Create or replace the variant of a
+  // post for one channel.  The variant must satisfy the channel's rules and,
+  // like other content changes, sends an approved post back to review.
+  router.put('/posts/:id/variants/:channel', can('posts:write'), async (req, res) => {
+    const channelType = normalizeChannel(req.params.channel);
+    if (!channelType) {
+      return res.status(400).json({ error: `channel must be one of ${Object.keys(CHANNEL_RULES).join(', ')}` });
+    }
+    const { text, hashtags = [] } = req.body;
+    const errors = validateVariant(channelType, { text, hashtags }, 'Variant');
+    if (errors.length) return res.status(400).json({ error: 'Invalid variant', details: errors });
+    try {
+      const orgId = req.organizationId;
+      const post = await findPost(orgId, req.params.id);
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+      const { rows } = await db.query(
+        `INSERT INTO post_variants (post_id, channel_type, text, hashtags)
+              VALUES ($1, $2, $3, $4)
+              ON CONFLICT (post_id, channel_type) DO UPDATE
+              SET text = EXCLUDED.text, hashtags = EXCLUDED.hashtags, updated_at = NOW()
+              RETURNING channel_type, text, hashtags, updated_at`,
+        [post.id, channelType, text.trim(), hashtags],
+      );
+      await afterContentChange(orgId, post, { userId: req.userId, moderate: true });
+      return res.json(rows[0]);
+    } catch (err) {
+      if (err instanceof WorkflowError) return res.status(err.status).json(err);
+      console.error('Error saving post variant:', err);
+      return res.status(500).json({ error: 'Failed to save post variant' });
+    }
+  });
+
+  // POST /posts/:id/rewrite – Rewrite the post with AI.  Body: { target?,
+  // instruction?, prompt?, language? } (see rewrite.js).  The result is
+  // saved as a new revision and, like other content changes, moderated
+  // again and sends an approved post back to review.  A new text removes
+  // the channel variants, so every channel publishes it.  Responds with the
+  // updated post and the revision with its diff against the previous one.
+  router.post('/posts/:id/rewrite', can('generate'), async (req, res) => {
+    const { params, error } = parseRewriteRequest(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+      const orgId = req.organizationId;
+      const post = await findPost(orgId, req.params.id);
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+      const changes = await runRewrite(db, { organizationId: orgId, clerkUserId: req.clerkUserId }, post, params);
+      const { target, instruction, prompt } = params;
+      const result = await saveRevision(orgId, post, changes, {
+        source: 'rewrite',
+        target,
+        instruction,
+        prompt,
+        userId: req.userId,
+      });
+      return res.json(result);
+    } catch (err) {
+      if (err instanceof AIOutputError) console.error('Invalid AI output:', err.errors);
+      if (err instanceof QuotaExceededError || err instanceof AIOutputError || err instanceof WorkflowError) {
+        return res.status(err.status).json(err);
+      }
+      console.error('Error rewriting post:', err);
+      return res.status(500).json({ error: 'Failed to rewrite post' });
+    }
+  });
+
+  // GET /posts/:id/revisions – Content revisions of a post, newest first,
+  // each with its diff against the previous one (see revisions.js).
+  router.get('/posts/:id/revisions', can('read'), async (req, res) => {
+    try {
+      const post = await findPost(req.organizationId, req.params.id);
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+      return res.json(await listRevisions(db, post.id));
+    } catch (err) {
+      console.error('Error fetching post revisions:', err);
+      return res.status(500).json({ error: 'Failed to fetch post revisions' });
+    }
+  });
+
+  // POST /posts/:id/revisions/:revisionId/restore – Bring back the text,
+  // hashtags, image prompt and channel variants of an earlier revision.
+  // The restore is saved as a new revision, so it can be undone the same
+  // way.
+  router.post('/posts/:id/revisions/:revisionId/restore', can('posts:write'), async (req, res) => {
+    try {
+      const orgId = req.organizationId;
+      const post = await findPost(orgId, req.params.id);
+      if (!post) return res.status(404).json({ error: 'Post not found' });
+      const revision = await findRevision(db, post.id, req.params.revisionId);
+      if (!revision) return res.status(404).json({ error: 'Revision not found' });
+      const changes = Object.fromEntries(REVISION_FIELDS.map((field) => [field, revision[field]]));
+      changes.variants = revision.variants;
+      const result = await saveRevision(orgId, post, changes, {
+        source: 'restore',
+        restoredFrom: revision.revision,
+        userId: req.userId,
+      });
+      return res.json(result);
+    } catch (err) {
+      if (err instanceof WorkflowError) return res.status(err.status).json(err);
+      console.error('Error restoring post revision:', err);
+      return res.status(500).json({ error: 'Failed to restore post revision' });
+    }
+  });
+
+  // DELETE /posts/:id – Remove a post of the organization.
+  router.delete('/posts/:id', can('posts:write'), async (req, res) => {
+    try {
+      const orgId = req.organizationId;
+      const result = await db.query('DELETE FROM posts WHERE id=$1 AND organization_id=$2', [
+        req.params.id,
+        orgId,
+      ]);
+      if (result.rowCount === 0) return res.status(404).json({ error: 'Post not found' });
+      return res.json({ success: true });
+    } catch (err) {
+      console.error('Error deleting post:', err);
+      return res.status(500).json({ error: 'Failed to delete post' });
+    }
+  });
+
+  return router;
+};
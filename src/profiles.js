@@ -4,12 +4,27 @@
  * associated with Clerk users.  It expects a PostgreSQL client
  * exposed via `db.query` and should be mounted under `/profiles`.
  *
- * Each profile record contains the user’s Clerk ID and various
- * fields describing their business, target audience, tone of
- * voice, and social media channels.  Images may be stored as
- * base64 strings or URLs.
+ * Each profile record contains the user’s Clerk ID, the organization
+ * it belongs to and various fields describing their business, target
+ * audience, tone of voice, social media channels and the language
+ * content is generated in.  Images may be stored as base64 strings or
+ * URLs.  POST /api/generate uses the profile of the caller's
+ * organization.
+ *
+ * Callers reach their own profile and, if their role allows, the profiles
+ * of their organization.  Anything else looks like a missing profile,
+ * except for support users with an X-Support-Reason header (see
+ * support.js), whose access is written to the audit log.
  */
 const express = require('express');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage } = require('./prompts');
+const { hasPermission } = require('./roles');
+const { getSupportOverride } = require('./support');
+const { recordAudit } = require('./audit');
+
+// Columns returned to the frontend, with legacy columns aliased.
+const PROFILE_COLUMNS = `clerk_id, company_name, company_description AS description, target_audience,
+  tone_of_voice, social_channels, images, content_preferences AS content_themes, language`;
 
 module.exports = function createProfilesRouter(db) {
   const router = express.Router();
@@ -26,33 +41,85 @@ module.exports = function createProfilesRouter(db) {
           ADD COLUMN IF NOT EXISTS company_name TEXT,
           ADD COLUMN IF NOT EXISTS tone_of_voice TEXT,
           ADD COLUMN IF NOT EXISTS social_channels TEXT[],
-          ADD COLUMN IF NOT EXISTS images TEXT[];
+          ADD COLUMN IF NOT EXISTS images TEXT[],
+          ADD COLUMN IF NOT EXISTS language TEXT DEFAULT 'fi',
+          ADD COLUMN IF NOT EXISTS organization_id INT REFERENCES organizations(id) ON DELETE SET NULL;
       `);
     } catch (err) {
       console.error('Error altering profiles table:', err);
     }
   })();
 
-  // GET /profiles/:clerkId – Retrieve a single profile by Clerk ID.  We select
-  // the extended columns and alias legacy columns (company_description,
-  // content_preferences) to more intuitive names.  If no record exists,
-  // return 404.
+  // Whether the caller may access the profile of `clerkId` with the given
+  // role permission.  Support overrides are audited before access is given.
+  async function authorize(req, clerkId, permission, action) {
+    if (req.clerkUserId && clerkId === req.clerkUserId) return true;
+    const { rows } = await db.query('SELECT organization_id FROM profiles WHERE clerk_id=$1', [clerkId]);
+    const orgId = rows[0]?.organization_id;
+    if (orgId && orgId === req.organizationId && hasPermission(req.role, permission)) return true;
+    const reason = getSupportOverride(req);
+    if (!reason) return false;
+    await recordAudit(db, req, { action, targetType: 'profile', targetId: clerkId, reason });
+    return true;
+  }
+
+  // Create or update the profile of `clerkId`.  The description field maps
+  // to company_description and content_themes to content_preferences.  A
+  // profile joins `orgId` unless it already belongs to an organization.
+  // Without a language a new profile gets the default one and an existing
+  // profile keeps its own.
+  async function upsertProfile(clerkId, body, orgId) {
+    const {
+      company_name,
+      description,
+      target_audience,
+      tone_of_voice,
+      social_channels,
+      images,
+      content_themes,
+      language,
+    } = body;
+    const { rows } = await db.query(
+      `INSERT INTO profiles
+       (clerk_id, company_name, company_description, target_audience, tone_of_voice, social_channels, images, content_preferences, language, organization_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, $11), $10)
+       ON CONFLICT (clerk_id) DO UPDATE
+         SET organization_id = COALESCE(profiles.organization_id, EXCLUDED.organization_id),
+             company_name = EXCLUDED.company_name,
+             company_description = EXCLUDED.company_description,
+             target_audience = EXCLUDED.target_audience,
+             tone_of_voice = EXCLUDED.tone_of_voice,
+             social_channels = EXCLUDED.social_channels,
+             images = EXCLUDED.images,
+             content_preferences = EXCLUDED.content_preferences,
+             language = COALESCE($9, profiles.language)
+       RETURNING ${PROFILE_COLUMNS}`,
+      [
+        clerkId,
+        company_name,
+        description,
+        target_audience,
+        tone_of_voice,
+        social_channels,
+        images,
+        content_themes,
+        language || null,
+        orgId,
+        DEFAULT_LANGUAGE,
+      ],
+    );
+    return rows[0];
+  }
+
+  // GET /profiles/:clerkId – Retrieve a single profile by Clerk ID.  If no
+  // record exists, or the caller may not see it, return 404.
   router.get('/profiles/:clerkId', async (req, res) => {
     const { clerkId } = req.params;
     try {
-      const { rows } = await db.query(
-        `SELECT clerk_id,
-                company_name,
-                company_description AS description,
-                target_audience,
-                tone_of_voice,
-                social_channels,
-                images,
-                content_preferences AS content_themes
-           FROM profiles
-           WHERE clerk_id = $1`,
-        [clerkId],
-      );
+      if (!(await authorize(req, clerkId, 'read', 'profile.read'))) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+      const { rows } = await db.query(`SELECT ${PROFILE_COLUMNS} FROM profiles WHERE clerk_id = $1`, [clerkId]);
       if (rows.length === 0) return res.status(404).json({ error: 'Profile not found' });
       res.json(rows[0]);
     } catch (err) {
@@ -61,49 +128,23 @@ module.exports = function createProfilesRouter(db) {
     }
   });
 
-  // POST /profiles – Create or update a profile.  We perform an upsert on
-  // clerk_id so that repeated calls overwrite existing values.  The
-  // description field maps to company_description and content_themes
-  // maps to content_preferences.  After insertion or update, we
-  // return the unified representation used by the frontend.
+  // POST /profiles – Create or update the caller's own profile.  The Clerk
+  // ID comes from the session; a different clerk_id in the body is only
+  // accepted as a support override.
   router.post('/profiles', async (req, res) => {
-    const {
-      clerk_id,
-      company_name,
-      description,
-      target_audience,
-      tone_of_voice,
-      social_channels,
-      images,
-      content_themes,
-    } = req.body;
+    const { language } = req.body;
+    if (language !== undefined && language !== null && !isSupportedLanguage(language)) {
+      return res.status(400).json({ error: `language must be one of ${SUPPORTED_LANGUAGES.join(', ')}` });
+    }
+    const requested = req.body.clerk_id;
+    const own = !requested || requested === req.clerkUserId;
+    if (own && !req.clerkUserId) return res.status(400).json({ error: 'Profiles require a Clerk session' });
     try {
-      const { rows } = await db.query(
-        `INSERT INTO profiles
-         (clerk_id, company_name, company_description, target_audience, tone_of_voice, social_channels, images, content_preferences)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-         ON CONFLICT (clerk_id) DO UPDATE
-           SET company_name = EXCLUDED.company_name,
-               company_description = EXCLUDED.company_description,
-               target_audience = EXCLUDED.target_audience,
-               tone_of_voice = EXCLUDED.tone_of_voice,
-               social_channels = EXCLUDED.social_channels,
-               images = EXCLUDED.images,
-               content_preferences = EXCLUDED.content_preferences
-         RETURNING clerk_id, company_name, company_description AS description, target_audience,
-                  tone_of_voice, social_channels, images, content_preferences AS content_themes`,
-        [
-          clerk_id,
-          company_name,
-          description,
-          target_audience,
-          tone_of_voice,
-          social_channels,
-          images,
-          content_themes,
-        ],
-      );
-      res.status(201).json(rows[0]);
+      if (!own && !(await authorize(req, requested, 'settings:write', 'profile.write'))) {
+        return res.status(403).json({ error: 'clerk_id does not match the session' });
+      }
+      const profile = await upsertProfile(own ? req.clerkUserId : requested, req.body, own ? req.organizationId : null);
+      res.status(201).json(profile);
     } catch (err) {
       console.error('Error creating/updating profile:', err);
       res.status(500).json({ error: 'Database error' });
@@ -111,47 +152,20 @@ module.exports = function createProfilesRouter(db) {
   });
 
   // PUT /profiles/:clerkId – Upsert a profile by Clerk ID.  This mirrors
-  // the behaviour of POST but uses the path parameter instead of
-  // requiring the clerk_id in the request body.  The same upsert
-  // semantics apply.
+  // POST for the caller's own profile; organization members with
+  // settings:write may also update the profiles of their organization.
   router.put('/profiles/:clerkId', async (req, res) => {
     const { clerkId } = req.params;
-    const {
-      company_name,
-      description,
-      target_audience,
-      tone_of_voice,
-      social_channels,
-      images,
-      content_themes,
-    } = req.body;
+    const { language } = req.body;
+    if (language !== undefined && language !== null && !isSupportedLanguage(language)) {
+      return res.status(400).json({ error: `language must be one of ${SUPPORTED_LANGUAGES.join(', ')}` });
+    }
     try {
-      const { rows } = await db.query(
-        `INSERT INTO profiles
-         (clerk_id, company_name, company_description, target_audience, tone_of_voice, social_channels, images, content_preferences)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-         ON CONFLICT (clerk_id) DO UPDATE
-           SET company_name = EXCLUDED.company_name,
-               company_description = EXCLUDED.company_description,
-               target_audience = EXCLUDED.target_audience,
-               tone_of_voice = EXCLUDED.tone_of_voice,
-               social_channels = EXCLUDED.social_channels,
-               images = EXCLUDED.images,
-               content_preferences = EXCLUDED.content_preferences
-         RETURNING clerk_id, company_name, company_description AS description, target_audience,
-                  tone_of_voice, social_channels, images, content_preferences AS content_themes`,
-        [
-          clerkId,
-          company_name,
-          description,
-          target_audience,
-          tone_of_voice,
-          social_channels,
-          images,
-          content_themes,
-        ],
-      );
-      res.json(rows[0]);
+      if (!(await authorize(req, clerkId, 'settings:write', 'profile.write'))) {
+        return res.status(404).json({ error: 'Profile not found' });
+      }
+      const own = clerkId === req.clerkUserId;
+      res.json(await upsertProfile(clerkId, req.body, own ? req.organizationId : null));
     } catch (err) {
       console.error('Error upserting profile:', err);
       res.status(500).json({ error: 'Database error' });
@@ -0,0 +1,119 @@
+// English prompt templates for content generation.
+
+const { CHANNEL_RULES } = require('../channel_rules');
+
+// Names of the languages a post can be translated into.
+const LANGUAGE_NAMES = { fi: 'Finnish', sv: 'Swedish', en: 'English' };
+
+module.exports = {
+  system: 'You are a creative marketing consultant who writes English social media posts for small businesses.',
+
+  // `channels` lists the channel types that need their own variant;
+  // `campaign` scopes the plan to a campaign (see campaigns/).
+  plan(profile, count, channels = [], campaign = null) {
+    const {
+      company_name,
+      description,
+      target_audience,
+      tone_of_voice,
+      marketing_goals,
+      content_themes,
+      social_channels,
+    } = profile;
+    return [
+      `Company name: ${company_name || ''}`,
+      `Description: ${description || ''}`,
+      `Target audience: ${target_audience || ''}`,
+      `Tone of voice: ${tone_of_voice || ''}`,
+      marketing_goals ? `Marketing goals: ${marketing_goals}` : '',
+      content_themes ? `Content themes: ${content_themes}` : '',
+      social_channels && social_channels.length ? `Social media channels: ${social_channels.join(', ')}` : '',
+      ...(campaign
+        ? [
+            `Campaign: ${campaign.name} (${campaign.starts_on} – ${campaign.ends_on})`,
+            campaign.goal ? `Campaign goal: ${campaign.goal}` : '',
+            campaign.offer ? `Product or offer: ${campaign.offer}` : '',
+            ...(campaign.key_messages.length ? ['Key messages:', ...campaign.key_messages.map((m) => `- ${m}`)] : []),
+          ]
+        : []),
+      '',
+      campaign
+        ? `Create ${count} different social media posts for this campaign, to be published during the campaign period.`
+        : `Create ${count} different social media posts for this company for the coming month.`,
+      campaign ? 'Every post must support the campaign goal and carry at least one of the key messages.' : '',
+      "Each post must follow the company's tone of voice and speak to the target audience.",
+      'Use the marketing goals and content themes as inspiration.',
+      'Write the texts, hashtags and image prompts in English.',
+      'Return the result exactly as a JSON array where each element is an object of the form:',
+      '{ "text": "...post text...", "hashtags": ["#hashtag1", "#hashtag2"], "imagePrompt": "...image prompt..." }',
+      ...(channels.length
+        ? [
+            'Add a "variants" object to every post with a separate version for each channel:',
+            ...channels.map((type) => {
+              const rules = CHANNEL_RULES[type];
+              return `- ${type}: ${rules.guidance.en} (at most ${rules.maxLength} characters including hashtags, ${rules.minHashtags}–${rules.maxHashtags} hashtags)`;
+            }),
+            'Format: "variants": { "<channel>": { "text": "...", "hashtags": ["#hashtag1"] } }',
+          ]
+        : []),
+      'Do not explain anything and do not include any text outside the JSON.',
+    ]
+      .filter(Boolean)
+      .join('\n');
+  },
+
+  repair(errors, count) {
+    return [
+      'Your answer does not match the requested format:',
+      ...errors.map((e) => `- ${e}`),
+      `Return a corrected answer exactly as a JSON array with ${count} posts and nothing else.`,
+    ].join('\n');
+  },
+
+  // Rewrite of one post.  `target` is post (text and hashtags), hashtags
+  // or image_prompt; `instruction` is a preset (see rewrite.js) and
+  // `prompt` free-text guidance.  Translations are into `language`.
+  rewrite(post, { target, instruction, prompt, language }) {
+    const instructions = {
+      shorter: 'Make it clearly shorter but keep the key message.',
+      playful: 'Make the tone more playful and lighthearted.',
+      call_to_action: 'Add a clear call to action.',
+      translate: `Translate it into ${LANGUAGE_NAMES[language]}.`,
+    };
+    const tasks = {
+      post: 'Rewrite the following social media post.',
+      hashtags: 'Write new hashtags for the following social media post.',
+      image_prompt:
+        'Write a new image prompt for the following social media post. The image prompt describes the image an image generator creates for the post.',
+    };
+    const formats = {
+      post: '{ "text": "...post text...", "hashtags": ["#hashtag1", "#hashtag2"] }',
+      hashtags: '{ "hashtags": ["#hashtag1", "#hashtag2"] }',
+      image_prompt: '{ "imagePrompt": "...image prompt..." }',
+    };
+    return [
+      tasks[target],
+      '',
+      `Text: ${post.text || ''}`,
+      `Hashtags: ${(post.hashtags || []).join(' ')}`,
+      post.image_prompt ? `Image prompt: ${post.image_prompt}` : null,
+      '',
+      instruction ? instructions[instruction] : null,
+      prompt ? `Additional instructions: ${prompt}` : null,
+      instruction === 'translate' ? null : 'Keep the language of the post.',
+      'Return the result exactly as a JSON object of the form:',
+      formats[target],
+      'Do not explain anything and do not include any text outside the JSON.',
+    ]
+      .filter((line) => line !== null)
+      .join('\n');
+  },
+
+  rewriteRepair(errors) {
+    return [
+      'Your answer does not match the requested format:',
+      ...errors.map((e) => `- ${e}`),
+      'Return a corrected answer exactly as a JSON object and nothing else.',
+    ].join('\n');
+  },
+};
@@ -0,0 +1,124 @@
+// Finnish prompt templates for content generation.
+
+const { CHANNEL_RULES } = require('../channel_rules');
+
+// Names of the languages a post can be translated into.
+const LANGUAGE_NAMES = { fi: 'suomeksi', sv: 'ruotsiksi', en: 'englanniksi' };
+
+module.exports = {
+  system:
+    'Olet luova markkinointikonsultti, joka laatii suomenkielisiä sosiaalisen median postauksia pienyrityksille.',
+
+  // `channels` lists the channel types that need their own variant;
+  // `campaign` scopes the plan to a campaign (see campaigns/).
+  plan(profile, count, channels = [], campaign = null) {
+    const {
+      company_name,
+      description,
+      target_audience,
+      tone_of_voice,
+      marketing_goals,
+      content_themes,
+      social_channels,
+    } = profile;
+    return [
+      `Yrityksen nimi: ${company_name || ''}`,
+      `Kuvaus: ${description || ''}`,
+      `Kohdeyleisö: ${target_audience || ''}`,
+      `Äänen sävy: ${tone_of_voice || ''}`,
+      marketing_goals ? `Markkinointitavoitteet: ${marketing_goals}` : '',
+      content_themes ? `Sisällön teemat: ${content_themes}` : '',
+      social_channels && social_channels.length
+        ? `Sosiaalisen median kanavat: ${social_channels.join(', ')}`
+        : '',
+      ...(campaign
+        ? [
+            `Kampanja: ${campaign.name} (${campaign.starts_on} – ${campaign.ends_on})`,
+            campaign.goal ? `Kampanjan tavoite: ${campaign.goal}` : '',
+            campaign.offer ? `Tuote tai tarjous: ${campaign.offer}` : '',
+            ...(campaign.key_messages.length ? ['Avainviestit:', ...campaign.key_messages.map((m) => `- ${m}`)] : []),
+          ]
+        : []),
+      '',
+      campaign
+        ? `Luo ${count} eri somepostausta tälle kampanjalle julkaistavaksi kampanjan aikana.`
+        : `Luo seuraavaksi ${count} eri somepostausta tälle yritykselle seuraavaksi kuukaudeksi.`,
+      campaign
+        ? 'Jokaisen postauksen tulee tukea kampanjan tavoitetta ja välittää ainakin yksi avainviesteistä.'
+        : '',
+      'Kunkin postauksen tulee noudattaa yrityksen äänen sävyä ja puhuttua kohdeyleisöä.',
+      'Käytä markkinointitavoitteita ja sisältöteemoja inspiraationa.',
+      'Kirjoita tekstit, hashtagit ja kuvapromptit suomeksi.',
+      'Palauta tulos täsmälleen JSON-taulukkona, jossa jokainen alkio on objekti muotoa:',
+      '{ "text": "...postauksen teksti...", "hashtags": ["#hashtag1", "#hashtag2"], "imagePrompt": "...kuvaprompti..." }',
+      ...(channels.length
+        ? [
+            'Lisää jokaiseen postaukseen "variants"-objekti, jossa on oma versio jokaiselle kanavalle:',
+            ...channels.map((type) => {
+              const rules = CHANNEL_RULES[type];
+              return `- ${type}: ${rules.guidance.fi} (enintään ${rules.maxLength} merkkiä hashtagit mukaan lukien, ${rules.minHashtags}–${rules.maxHashtags} hashtagia)`;
+            }),
+            'Muoto: "variants": { "<kanava>": { "text": "...", "hashtags": ["#hashtag1"] } }',
+          ]
+        : []),
+      'Älä selitä mitään muuta, äläkä sisällytä muuta tekstiä JSON:in ulkopuolelle.',
+    ]
+      .filter(Boolean)
+      .join('\n');
+  },
+
+  repair(errors, count) {
+    return [
+      'Vastauksesi ei vastaa pyydettyä muotoa:',
+      ...errors.map((e) => `- ${e}`),
+      `Palauta korjattu vastaus täsmälleen JSON-taulukkona, jossa on ${count} postausta, äläkä mitään muuta.`,
+    ].join('\n');
+  },
+
+  // Rewrite of one post.  `target` is post (text and hashtags), hashtags
+  // or image_prompt; `instruction` is a preset (see rewrite.js) and
+  // `prompt` free-text guidance.  Translations are into `language`.
+  rewrite(post, { target, instruction, prompt, language }) {
+    const instructions = {
+      shorter: 'Tee siitä selvästi lyhyempi, mutta säilytä pääviesti.',
+      playful: 'Tee sävystä leikkisämpi ja kevyempi.',
+      call_to_action: 'Lisää selkeä toimintakehotus.',
+      translate: `Käännä se ${LANGUAGE_NAMES[language]}.`,
+    };
+    const tasks = {
+      post: 'Kirjoita alla oleva somepostaus uudelleen.',
+      hashtags: 'Kirjoita uudet hashtagit alla olevalle somepostaukselle.',
+      image_prompt:
+        'Kirjoita uusi kuvaprompti alla olevalle somepostaukselle. Kuvaprompti kuvailee kuvan, jonka kuvageneraattori luo postaukseen.',
+    };
+    const formats = {
+      post: '{ "text": "...postauksen teksti...", "hashtags": ["#hashtag1", "#hashtag2"] }',
+      hashtags: '{ "hashtags": ["#hashtag1", "#hashtag2"] }',
+      image_prompt: '{ "imagePrompt": "...kuvaprompti..." }',
+    };
+    return [
+      tasks[target],
+      '',
+      `Teksti: ${post.text || ''}`,
+      `Hashtagit: ${(post.hashtags || []).join(' ')}`,
+      post.image_prompt ? `Kuvaprompti: ${post.image_prompt}` : null,
+      '',
+      instruction ? instructions[instruction] : null,
+      prompt ? `Lisäohjeet: ${prompt}` : null,
+      instruction === 'translate' ? null : 'Säilytä postauksen kieli.',
+      'Palauta tulos täsmälleen JSON-objektina muotoa:',
+      formats[target],
+      'Älä selitä mitään muuta, äläkä sisällytä muuta tekstiä JSON:in ulkopuolelle.',
+    ]
+      .filter((line) => line !== null)
+      .join('\n');
+  },
+
+  rewriteRepair(errors) {
+    return [
+      'Vastauksesi ei vastaa pyydettyä muotoa:',
+      ...errors.map((e) => `- ${e}`),
+      'Palauta korjattu vastaus täsmälleen JSON-objektina, äläkä mitään muuta.',
+    ].join('\n');
+  },
+};
@@ -0,0 +1,35 @@
+// Prompt templates for content generation, one module per supported
+// language.  Each module exports `system` (the system prompt),
+// `plan(profile, count, channels, campaign)` and `repair(errors, count)`
+// for content plans, and `rewrite(post, request)` and
+// `rewriteRepair(errors)` for rewrites of a single post.
+
+const templates = {
+  fi: require('./fi'),
+  sv: require('./sv'),
+  en: require('./en'),
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(templates);
+const DEFAULT_LANGUAGE = 'fi';
+
+/**
+ * @param {string} [language] - ISO 639-1 code.
+ * @returns {boolean}
+ */
+function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+/**
+ * Return the templates of a language, falling back to Finnish.
+ *
+ * @param {string} [language]
+ * @returns {{system: string, plan: Function, repair: Function, rewrite: Function,
+ *   rewriteRepair: Function}}
+ */
+function getPromptTemplates(language) {
+  return templates[language] || templates[DEFAULT_LANGUAGE];
+}
+
+module.exports = { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage, getPromptTemplates };
@@ -0,0 +1,120 @@
+// Swedish prompt templates for content generation.
+
+const { CHANNEL_RULES } = require('../channel_rules');
+
+// Names of the languages a post can be translated into.
+const LANGUAGE_NAMES = { fi: 'finska', sv: 'svenska', en: 'engelska' };
+
+module.exports = {
+  system:
+    'Du är en kreativ marknadsföringskonsult som skriver svenskspråkiga inlägg i sociala medier för småföretag.',
+
+  // `channels` lists the channel types that need their own variant;
+  // `campaign` scopes the plan to a campaign (see campaigns/).
+  plan(profile, count, channels = [], campaign = null) {
+    const {
+      company_name,
+      description,
+      target_audience,
+      tone_of_voice,
+      marketing_goals,
+      content_themes,
+      social_channels,
+    } = profile;
+    return [
+      `Företagets namn: ${company_name || ''}`,
+      `Beskrivning: ${description || ''}`,
+      `Målgrupp: ${target_audience || ''}`,
+      `Tonläge: ${tone_of_voice || ''}`,
+      marketing_goals ? `Marknadsföringsmål: ${marketing_goals}` : '',
+      content_themes ? `Innehållsteman: ${content_themes}` : '',
+      social_channels && social_channels.length ? `Kanaler i sociala medier: ${social_channels.join(', ')}` : '',
+      ...(campaign
+        ? [
+            `Kampanj: ${campaign.name} (${campaign.starts_on} – ${campaign.ends_on})`,
+            campaign.goal ? `Kampanjens mål: ${campaign.goal}` : '',
+            campaign.offer ? `Produkt eller erbjudande: ${campaign.offer}` : '',
+            ...(campaign.key_messages.length ? ['Nyckelbudskap:', ...campaign.key_messages.map((m) => `- ${m}`)] : []),
+          ]
+        : []),
+      '',
+      campaign
+        ? `Skapa ${count} olika inlägg i sociala medier för den här kampanjen, att publiceras under kampanjperioden.`
+        : `Skapa ${count} olika inlägg i sociala medier för det här företaget för den kommande månaden.`,
+      campaign ? 'Varje inlägg ska stödja kampanjens mål och förmedla minst ett av nyckelbudskapen.' : '',
+      'Varje inlägg ska följa företagets tonläge och vända sig till målgruppen.',
+      'Använd marknadsföringsmålen och innehållstemana som inspiration.',
+      'Skriv texter, hashtaggar och bildprompter på svenska.',
+      'Returnera resultatet exakt som en JSON-array där varje element är ett objekt i formatet:',
+      '{ "text": "...inläggets text...", "hashtags": ["#hashtag1", "#hashtag2"], "imagePrompt": "...bildprompt..." }',
+      ...(channels.length
+        ? [
+            'Lägg till ett "variants"-objekt i varje inlägg med en egen version för varje kanal:',
+            ...channels.map((type) => {
+              const rules = CHANNEL_RULES[type];
+              return `- ${type}: ${rules.guidance.sv} (högst ${rules.maxLength} tecken inklusive hashtaggar, ${rules.minHashtags}–${rules.maxHashtags} hashtaggar)`;
+            }),
+            'Format: "variants": { "<kanal>": { "text": "...", "hashtags": ["#hashtag1"] } }',
+          ]
+        : []),
+      'Förklara ingenting och skriv ingen text utanför JSON.',
+    ]
+      .filter(Boolean)
+      .join('\n');
+  },
+
+  repair(errors, count) {
+    return [
+      'Ditt svar följer inte det begärda formatet:',
+      ...errors.map((e) => `- ${e}`),
+      `Returnera ett rättat svar exakt som en JSON-array med ${count} inlägg och inget annat.`,
+    ].join('\n');
+  },
+
+  // Rewrite of one post.  `target` is post (text and hashtags), hashtags
+  // or image_prompt; `instruction` is a preset (see rewrite.js) and
+  // `prompt` free-text guidance.  Translations are into `language`.
+  rewrite(post, { target, instruction, prompt, language }) {
+    const instructions = {
+      shorter: 'Gör det tydligt kortare men behåll huvudbudskapet.',
+      playful: 'Gör tonen mer lekfull och lättsam.',
+      call_to_action: 'Lägg till en tydlig uppmaning till handling.',
+      translate: `Översätt det till ${LANGUAGE_NAMES[language]}.`,
+    };
+    const tasks = {
+      post: 'Skriv om följande inlägg i sociala medier.',
+      hashtags: 'Skriv nya hashtaggar för följande inlägg i sociala medier.',
+      image_prompt:
+        'Skriv en ny bildprompt för följande inlägg i sociala medier. Bildprompten beskriver bilden som en bildgenerator skapar till inlägget.',
+    };
+    const formats = {
+      post: '{ "text": "...inläggets text...", "hashtags": ["#hashtag1", "#hashtag2"] }',
+      hashtags: '{ "hashtags": ["#hashtag1", "#hashtag2"] }',
+      image_prompt: '{ "imagePrompt": "...bildprompt..." }',
+    };
+    return [
+      tasks[target],
+      '',
+      `Text: ${post.text || ''}`,
+      `Hashtaggar: ${(post.hashtags || []).join(' ')}`,
+      post.image_prompt ? `Bildprompt: ${post.image_prompt}` : null,
+      '',
+      instruction ? instructions[instruction] : null,
+      prompt ? `Ytterligare instruktioner: ${prompt}` : null,
+      instruction === 'translate' ? null : 'Behåll inläggets språk.',
+      'Returnera resultatet exakt som ett JSON-objekt i formatet:',
+      formats[target],
+      'Förklara ingenting och skriv ingen text utanför JSON.',
+    ]
+      .filter((line) => line !== null)
+      .join('\n');
+  },
+
+  rewriteRepair(errors) {
+    return [
+      'Ditt svar följer inte det begärda formatet:',
+      ...errors.map((e) => `- ${e}`),
+      'Returnera ett rättat svar exakt som ett JSON-objekt och inget annat.',
+    ].join('\n');
+  },
+};
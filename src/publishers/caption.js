@@ -0,0 +1,13 @@
+// Build the text sent to a social network from a post row: the post text
+// followed by its hashtags on a separate line.
+
+/**
+ * @param {{text?: string, hashtags?: string[]}} post
+ * @returns {string}
+ */
+function composeCaption(post) {
+  const hashtags = Array.isArray(post.hashtags) ? post.hashtags.filter(Boolean) : [];
+  return [post.text || '', hashtags.join(' ')].filter(Boolean).join('\n\n');
+}
+
+module.exports = { composeCaption };
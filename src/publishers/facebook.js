@@ -0,0 +1,31 @@
+// Facebook Page publisher.  Posts go to the page stored in
+// channels.external_id using the page access token of the channel.  Posts
+// with an image are published as photos, everything else as feed posts.
+
+const { requestJson } = require('../utils/http');
+const { composeCaption } = require('./caption');
+
+const GRAPH_URL = `https://graph.facebook.com/${process.env.FACEBOOK_GRAPH_VERSION || 'v19.0'}`;
+
+/**
+ * @param {{post: Object, channel: Object}} target
+ * @returns {Promise<{remoteId: string, url: string}>}
+ */
+async function publish({ post, channel }) {
+  if (!channel.external_id) throw new Error('Facebook channel has no page ID');
+  const caption = composeCaption(post);
+  const { data } = post.image_url
+    ? await requestJson('Facebook', `${GRAPH_URL}/${channel.external_id}/photos`, {
+        method: 'POST',
+        body: { url: post.image_url, caption, access_token: channel.access_token },
+      })
+    : await requestJson('Facebook', `${GRAPH_URL}/${channel.external_id}/feed`, {
+        method: 'POST',
+        body: { message: caption, access_token: channel.access_token },
+      });
+  // Photo uploads return both the photo id and the id of the page post.
+  const remoteId = data.post_id || data.id;
+  return { remoteId, url: `https://www.facebook.com/${remoteId}` };
+}
+
+module.exports = { publish };
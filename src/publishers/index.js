@@ -0,0 +1,154 @@
+// Channel publishing subsystem.
+//
+// Each channel type (facebook, instagram, linkedin, tiktok) has an adapter
+// module exporting `publish({ post, channel })`, which sends the post to the
+// network and resolves with `{ remoteId, url }` or throws with the reason.
+// Adapters are looked up by channels.type.  Setting PUBLISHER_MODE=mock
+// routes every channel to the local mock adapter, and registerPublisher()
+// lets tests or other modules plug in their own adapter for a type.
+
+const publishers = {
+  facebook: require('./facebook'),
+  instagram: require('./instagram'),
+  linkedin: require('./linkedin'),
+  tiktok: require('./tiktok'),
+};
+const mockPublisher = require('./mock');
+const { ensureFreshToken, decryptChannel } = require('../oauth');
+const { MODERATION_CLEAR_SQL } = require('../moderation');
+const { recordStatusChange } = require('../workflow');
+
+/**
+ * Register (or replace) the adapter used for a channel type.
+ *
+ * @param {string} type - Channel type as stored in channels.type.
+ * @param {{publish: Function}} adapter
+ */
+function registerPublisher(type, adapter) {
+  if (!adapter || typeof adapter.publish !== 'function') {
+    throw new Error('Publisher adapter must implement publish()');
+  }
+  publishers[type] = adapter;
+}
+
+/**
+ * Return the adapter for a channel type, honouring PUBLISHER_MODE=mock.
+ *
+ * @param {string} type
+ * @returns {{publish: Function}|undefined}
+ */
+function getPublisher(type) {
+  if (process.env.PUBLISHER_MODE === 'mock') return mockPublisher;
+  return publishers[String(type || '').toLowerCase()];
+}
+
+/**
+ * Send a post to its target channel and record it as `published` with the
+ * remote ID and permalink.  Throws with the reason if the post cannot be
+ * sent, leaving the post in `publishing`.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {Object} post - Row from the posts table.
+ * @returns {Promise<void>}
+ */
+async function sendPost(db, post) {
+  if (!post.channel_id) throw new Error('No target channel selected');
+  const channelRes = await db.query('SELECT * FROM channels WHERE id=$1 AND organization_id=$2', [
+    post.channel_id,
+    post.organization_id,
+  ]);
+  if (!channelRes.rows[0]) throw new Error('Target channel not found');
+  if (channelRes.rows[0].status === 'disconnected') throw new Error('Target channel is disconnected');
+  const channel = await ensureFreshToken(db, decryptChannel(channelRes.rows[0]));
+  const publisher = getPublisher(channel.type);
+  if (!publisher) throw new Error(`No publisher for channel type ${channel.type}`);
+  // Send the channel's own variant of the post when there is one.
+  const variantRes = await db.query('SELECT text, hashtags FROM post_variants WHERE post_id=$1 AND channel_type=$2', [
+    post.id,
+    channel.type,
+  ]);
+  const content = variantRes.rows[0] ? { ...post, ...variantRes.rows[0] } : post;
+  const { remoteId, url } = await publisher.publish({ post: content, channel });
+  await db.query(
+    `UPDATE posts
+        SET status='published', remote_post_id=$2, remote_url=$3, published_at=NOW(),
+            error_reason=NULL, updated_at=NOW()
+      WHERE id=$1`,
+    [post.id, remoteId || null, url || null],
+  );
+  await recordStatusChange(db, post.id, 'publishing', 'published');
+}
+
+/**
+ * Record a post that could not be published as `failed` with the reason.
+ *
+ * @param {Object} db
+ * @param {number} postId
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+async function markPublishFailed(db, postId, reason) {
+  await db.query(`UPDATE posts SET status='failed', error_reason=$2, updated_at=NOW() WHERE id=$1`, [postId, reason]);
+  await recordStatusChange(db, postId, 'publishing', 'failed', { note: reason });
+}
+
+// Posts that may be sent: approved in the editorial workflow, and either
+// not flagged or approved by a moderator.
+const PUBLISHABLE_SQL = `approved_at IS NOT NULL AND ${MODERATION_CLEAR_SQL}`;
+
+/**
+ * List the scheduled posts whose time has come.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {{organizationId?: number}} [options] - Limit to one organization.
+ * @returns {Promise<Array<{id: number, organization_id: number}>>}
+ */
+async function findDuePosts(db, { organizationId } = {}) {
+  const params = [];
+  let orgFilter = '';
+  if (organizationId) {
+    params.push(organizationId);
+    orgFilter = 'AND organization_id=$1';
+  }
+  const { rows } = await db.query(
+    `SELECT id, organization_id FROM posts
+      WHERE status='scheduled' AND scheduled_at <= NOW() AND ${PUBLISHABLE_SQL} ${orgFilter}
+      ORDER BY scheduled_at`,
+    params,
+  );
+  return rows;
+}
+
+/**
+ * Claim a due post for publishing by moving it to the transient
+ * `publishing` status, so that it is only sent once even if two publish
+ * runs overlap.  A post already in `publishing` is returned as is, so that
+ * a retried publish job picks up where the previous attempt stopped.
+ *
+ * @param {Object} db
+ * @param {number} postId
+ * @returns {Promise<Object|null>} The post, or null if it is no longer due.
+ */
+async function claimPost(db, postId) {
+  const claimed = await db.query(
+    `UPDATE posts SET status='publishing', updated_at=NOW()
+      WHERE id=$1 AND status='scheduled' AND scheduled_at <= NOW() AND ${PUBLISHABLE_SQL}
+      RETURNING *`,
+    [postId],
+  );
+  if (claimed.rows[0]) {
+    await recordStatusChange(db, postId, 'scheduled', 'publishing');
+    return claimed.rows[0];
+  }
+  const { rows } = await db.query(`SELECT * FROM posts WHERE id=$1 AND status='publishing'`, [postId]);
+  return rows[0] || null;
+}
+
+module.exports = {
+  registerPublisher,
+  getPublisher,
+  sendPost,
+  markPublishFailed,
+  findDuePosts,
+  claimPost,
+};
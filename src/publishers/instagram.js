@@ -0,0 +1,34 @@
+// Instagram publisher using the Instagram Graph API content publishing
+// flow: create a media container for the image, publish it, then look up
+// the permalink.  channels.external_id holds the Instagram business
+// account ID.  Instagram does not accept text-only posts.
+
+const { requestJson } = require('../utils/http');
+const { composeCaption } = require('./caption');
+
+const GRAPH_URL = `https://graph.facebook.com/${process.env.FACEBOOK_GRAPH_VERSION || 'v19.0'}`;
+
+/**
+ * @param {{post: Object, channel: Object}} target
+ * @returns {Promise<{remoteId: string, url: string|null}>}
+ */
+async function publish({ post, channel }) {
+  if (!channel.external_id) throw new Error('Instagram channel has no account ID');
+  if (!post.image_url) throw new Error('Instagram posts require an image');
+  const token = channel.access_token;
+  const { data: container } = await requestJson('Instagram', `${GRAPH_URL}/${channel.external_id}/media`, {
+    method: 'POST',
+    body: { image_url: post.image_url, caption: composeCaption(post), access_token: token },
+  });
+  const { data: media } = await requestJson('Instagram', `${GRAPH_URL}/${channel.external_id}/media_publish`, {
+    method: 'POST',
+    body: { creation_id: container.id, access_token: token },
+  });
+  const { data: details } = await requestJson(
+    'Instagram',
+    `${GRAPH_URL}/${media.id}?fields=permalink&access_token=${encodeURIComponent(token)}`,
+  );
+  return { remoteId: media.id, url: details.permalink || null };
+}
+
+module.exports = { publish };
@@ -0,0 +1,41 @@
+// LinkedIn publisher using the versioned Posts API.  channels.external_id
+// holds the author URN (urn:li:organization:<id> or urn:li:person:<id>).
+// The ID of the created post is returned in the x-restli-id header.
+
+const { requestJson } = require('../utils/http');
+const { composeCaption } = require('./caption');
+
+const LINKEDIN_VERSION = process.env.LINKEDIN_API_VERSION || '202405';
+
+/**
+ * @param {{post: Object, channel: Object}} target
+ * @returns {Promise<{remoteId: string, url: string}>}
+ */
+async function publish({ post, channel }) {
+  if (!channel.external_id) throw new Error('LinkedIn channel has no author URN');
+  const { headers } = await requestJson('LinkedIn', 'https://api.linkedin.com/rest/posts', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${channel.access_token}`,
+      'LinkedIn-Version': LINKEDIN_VERSION,
+      'X-Restli-Protocol-Version': '2.0.0',
+    },
+    body: {
+      author: channel.external_id,
+      commentary: composeCaption(post),
+      visibility: 'PUBLIC',
+      distribution: {
+        feedDistribution: 'MAIN_FEED',
+        targetEntities: [],
+        thirdPartyDistributionChannels: [],
+      },
+      lifecycleState: 'PUBLISHED',
+      isReshareDisabledByAuthor: false,
+    },
+  });
+  const remoteId = headers.get('x-restli-id');
+  if (!remoteId) throw new Error('LinkedIn API did not return a post ID');
+  return { remoteId, url: `https://www.linkedin.com/feed/update/${remoteId}` };
+}
+
+module.exports = { publish };
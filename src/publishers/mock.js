@@ -0,0 +1,29 @@
+// Local publisher that never leaves the process.  It is used for every
+// channel type when PUBLISHER_MODE=mock (tests, staging) and records what
+// would have been sent in `published` so that callers can inspect it.
+// Only the latest MAX_RECORDED posts are kept, since staging servers and
+// workers run for a long time; reset() empties the list between tests.
+
+const { composeCaption } = require('./caption');
+
+const MAX_RECORDED = 100;
+
+const published = [];
+
+/**
+ * @param {{post: Object, channel: Object}} target
+ * @returns {Promise<{remoteId: string, url: string}>}
+ */
+async function publish({ post, channel }) {
+  const remoteId = `mock-${channel.type}-${post.id}-${Date.now()}`;
+  published.push({ postId: post.id, channelId: channel.id, type: channel.type, caption: composeCaption(post), remoteId });
+  if (published.length > MAX_RECORDED) published.splice(0, published.length - MAX_RECORDED);
+  return { remoteId, url: `https://example.com/mock/${channel.type}/${remoteId}` };
+}
+
+// Forget everything recorded so far.
+function reset() {
+  published.length = 0;
+}
+
+module.exports = { publish, published, reset };
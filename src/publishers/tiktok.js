@@ -0,0 +1,37 @@
+// TikTok publisher using the Content Posting API.  TikTok pulls the image
+// from post.image_url and processes the post asynchronously, so only the
+// publish ID is known at this point; there is no permalink yet.
+
+const { requestJson } = require('../utils/http');
+const { composeCaption } = require('./caption');
+
+/**
+ * @param {{post: Object, channel: Object}} target
+ * @returns {Promise<{remoteId: string, url: null}>}
+ */
+async function publish({ post, channel }) {
+  if (!post.image_url) throw new Error('TikTok posts require an image');
+  const { data } = await requestJson('TikTok', 'https://open.tiktokapis.com/v2/post/publish/content/init/', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${channel.access_token}` },
+    body: {
+      post_info: {
+        description: composeCaption(post),
+        privacy_level: 'PUBLIC_TO_EVERYONE',
+      },
+      source_info: {
+        source: 'PULL_FROM_URL',
+        photo_images: [post.image_url],
+        photo_cover_index: 0,
+      },
+      post_mode: 'DIRECT_POST',
+      media_type: 'PHOTO',
+    },
+  });
+  if (data.error && data.error.code && data.error.code !== 'ok') {
+    throw new Error(`TikTok API error: ${data.error.code} ${data.error.message || ''}`.trim());
+  }
+  return { remoteId: data.data?.publish_id, url: null };
+}
+
+module.exports = { publish };
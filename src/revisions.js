@@ -0,0 +1,194 @@
+// Content revisions of posts.
+//
+// Every AI rewrite (POST /api/posts/:id/rewrite), restore and manual edit
+// through PATCH saves the post's text, hashtags, image prompt and channel
+// variants as a new revision in post_revisions, numbered per post.  Before
+// any of them, the current content is saved too when it differs from the
+// latest revision: as the `original` revision the first time, as an
+// `edit` after changes to the variants through PUT /variants.  That way
+// each revision can be diffed against the one before it and any of them
+// can be restored, variants included.
+
+const { diffWords } = require('./utils/diff');
+
+const REVISION_FIELDS = ['text', 'hashtags', 'image_prompt'];
+
+function sameVariant(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.text === b.text && JSON.stringify(a.hashtags || []) === JSON.stringify(b.hashtags || []);
+}
+
+// Variants keyed by channel type, as stored in post_revisions.variants.
+function sameVariants(a = {}, b = {}) {
+  const types = Object.keys(a || {});
+  if (types.length !== Object.keys(b || {}).length) return false;
+  return types.every((type) => sameVariant(a[type], b?.[type]));
+}
+
+function sameContent(a, b) {
+  return (
+    (a.text || '') === (b.text || '') &&
+    (a.image_prompt || '') === (b.image_prompt || '') &&
+    JSON.stringify(a.hashtags || []) === JSON.stringify(b.hashtags || []) &&
+    sameVariants(a.variants, b.variants)
+  );
+}
+
+/**
+ * The channel variants of a post keyed by channel type.
+ *
+ * @param {Object} db
+ * @param {number} postId
+ * @returns {Promise<Object<string, {text: string, hashtags: string[]}>>}
+ */
+async function loadVariants(db, postId) {
+  const { rows } = await db.query(
+    'SELECT channel_type, text, hashtags FROM post_variants WHERE post_id=$1 ORDER BY channel_type',
+    [postId],
+  );
+  return Object.fromEntries(rows.map(({ channel_type, text, hashtags }) => [channel_type, { text, hashtags }]));
+}
+
+/**
+ * Replace the channel variants of a post.
+ *
+ * @param {Object} db
+ * @param {number} postId
+ * @param {Object<string, {text: string, hashtags: string[]}>} variants - Keyed
+ *   by channel type; empty to remove them all.
+ */
+async function replaceVariants(db, postId, variants) {
+  await db.query('DELETE FROM post_variants WHERE post_id=$1', [postId]);
+  for (const [channelType, variant] of Object.entries(variants)) {
+    await db.query('INSERT INTO post_variants (post_id, channel_type, text, hashtags) VALUES ($1, $2, $3, $4)', [
+      postId,
+      channelType,
+      variant.text,
+      variant.hashtags || [],
+    ]);
+  }
+}
+
+/**
+ * Save the post's current content and channel variants as its next
+ * revision.
+ *
+ * @param {Object} db
+ * @param {Object} post - Post row.
+ * @param {{source: string, target?: string|null, instruction?: string|null,
+ *   prompt?: string|null, restoredFrom?: number|null, userId?: number|null}} details
+ *   `source` is original, edit, rewrite or restore; rewrites record what
+ *   was asked for and restores the number of the restored revision.
+ * @returns {Promise<Object>} The revision row.
+ */
+async function recordRevision(
+  db,
+  post,
+  { source, target = null, instruction = null, prompt = null, restoredFrom = null, userId = null },
+) {
+  const variants = await loadVariants(db, post.id);
+  const { rows } = await db.query(
+    `INSERT INTO post_revisions
+            (post_id, revision, text, hashtags, image_prompt, variants,
+             source, target, instruction, prompt, restored_from, created_by)
+     VALUES ($1, (SELECT COALESCE(MAX(revision), 0) + 1 FROM post_revisions WHERE post_id=$1),
+             $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      post.id,
+      post.text,
+      post.hashtags || [],
+      post.image_prompt || null,
+      JSON.stringify(variants),
+      source,
+      target,
+      instruction,
+      prompt,
+      restoredFrom,
+      userId == null ? null : String(userId),
+    ],
+  );
+  return rows[0];
+}
+
+/**
+ * Make sure the post's current content is saved as a revision, before it
+ * is replaced or after a manual edit.
+ *
+ * @param {Object} db
+ * @param {Object} post - Post row.
+ * @param {{userId?: number|null}} [options] - Who made the edit, if known.
+ * @returns {Promise<Object>} The latest revision, which matches the post.
+ */
+async function snapshotPost(db, post, { userId = null } = {}) {
+  const { rows } = await db.query('SELECT * FROM post_revisions WHERE post_id=$1 ORDER BY revision DESC LIMIT 1', [
+    post.id,
+  ]);
+  const latest = rows[0];
+  if (latest && sameContent(latest, { ...post, variants: await loadVariants(db, post.id) })) return latest;
+  return recordRevision(db, post, { source: latest ? 'edit' : 'original', userId });
+}
+
+/**
+ * What a revision changed compared to the previous one.  Only changed
+ * fields are present: `text` and `image_prompt` as word diffs (see
+ * utils/diff.js), `hashtags` as the tags added and removed and `variants`
+ * as the channel types whose variant was added, changed or removed.
+ *
+ * @param {Object|null} previous
+ * @param {Object} revision
+ * @returns {Object|null} Null for the first revision.
+ */
+function diffRevisions(previous, revision) {
+  if (!previous) return null;
+  const diff = {};
+  for (const field of ['text', 'image_prompt']) {
+    if ((previous[field] || '') !== (revision[field] || '')) diff[field] = diffWords(previous[field], revision[field]);
+  }
+  const before = previous.hashtags || [];
+  const after = revision.hashtags || [];
+  const added = after.filter((tag) => !before.includes(tag));
+  const removed = before.filter((tag) => !after.includes(tag));
+  if (added.length || removed.length) diff.hashtags = { added, removed };
+  const variantTypes = [...new Set([...Object.keys(previous.variants || {}), ...Object.keys(revision.variants || {})])];
+  const changed = variantTypes
+    .filter((type) => !sameVariant(previous.variants?.[type], revision.variants?.[type]))
+    .sort();
+  if (changed.length) diff.variants = changed;
+  return diff;
+}
+
+/**
+ * The revisions of a post, newest first, each with its diff against the
+ * one before it.
+ *
+ * @param {Object} db
+ * @param {number} postId
+ * @returns {Promise<Object[]>}
+ */
+async function listRevisions(db, postId) {
+  const { rows } = await db.query('SELECT * FROM post_revisions WHERE post_id=$1 ORDER BY revision', [postId]);
+  return rows.map((revision, i) => ({ ...revision, diff: diffRevisions(rows[i - 1] || null, revision) })).reverse();
+}
+
+/**
+ * @param {Object} db
+ * @param {number} postId
+ * @param {number|string} revisionId
+ * @returns {Promise<Object|undefined>}
+ */
+async function findRevision(db, postId, revisionId) {
+  const { rows } = await db.query('SELECT * FROM post_revisions WHERE id=$1 AND post_id=$2', [revisionId, postId]);
+  return rows[0];
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  loadVariants,
+  replaceVariants,
+  recordRevision,
+  snapshotPost,
+  diffRevisions,
+  listRevisions,
+  findRevision,
+};
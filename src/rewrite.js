@@ -0,0 +1,94 @@
+// AI rewrites of a single post behind POST /api/posts/:id/rewrite.  The
+// post's text and hashtags, or only its hashtags or image prompt, are
+// rewritten following a preset instruction and/or free-text guidance (see
+// ai.js rewritePost).  The router in posts.js saves the result as a new
+// revision of the post (see revisions.js).
+
+const { rewritePost } = require('./ai');
+const { resolveProvider } = require('./llm');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage } = require('./prompts');
+const { assertWithinQuota, recordUsage } = require('./usage');
+
+// What a rewrite replaces: the text and hashtags, only the hashtags or
+// only the image prompt.
+const REWRITE_TARGETS = ['post', 'hashtags', 'image_prompt'];
+const REWRITE_INSTRUCTIONS = ['shorter', 'playful', 'call_to_action', 'translate'];
+const MAX_PROMPT_LENGTH = 1000;
+
+/**
+ * Validate the body of a rewrite request.  A rewrite of the post needs an
+ * `instruction` or a `prompt`; hashtags and image prompts can also be
+ * regenerated without either.  `translate` needs the target `language`.
+ *
+ * @param {Object} body - `{ target?, instruction?, prompt?, language? }`
+ * @returns {{params?: {target: string, instruction: string|null, prompt: string|null,
+ *   language?: string}, error?: string}}
+ */
+function parseRewriteRequest({ target = 'post', instruction, prompt, language } = {}) {
+  if (!REWRITE_TARGETS.includes(target)) {
+    return { error: `target must be one of ${REWRITE_TARGETS.join(', ')}` };
+  }
+  if (instruction !== undefined && instruction !== null && !REWRITE_INSTRUCTIONS.includes(instruction)) {
+    return { error: `instruction must be one of ${REWRITE_INSTRUCTIONS.join(', ')}` };
+  }
+  if (prompt !== undefined && prompt !== null && (typeof prompt !== 'string' || prompt.length > MAX_PROMPT_LENGTH)) {
+    return { error: `prompt must be a string of at most ${MAX_PROMPT_LENGTH} characters` };
+  }
+  if (language !== undefined && !isSupportedLanguage(language)) {
+    return { error: `language must be one of ${SUPPORTED_LANGUAGES.join(', ')}` };
+  }
+  if (instruction === 'translate' && language === undefined) {
+    return { error: 'language is required to translate' };
+  }
+  const guidance = prompt ? prompt.trim() : '';
+  if (target === 'post' && !instruction && !guidance) {
+    return { error: 'Provide an instruction or a prompt' };
+  }
+  return { params: { target, instruction: instruction || null, prompt: guidance || null, language } };
+}
+
+/**
+ * Rewrite a post with the organization's provider and record the tokens
+ * spent, also when the output stays invalid.  The post is not changed.
+ *
+ * @param {Object} db
+ * @param {{organizationId: number, clerkUserId?: string|null}} caller
+ * @param {Object} post - Post row.
+ * @param {Object} params - From parseRewriteRequest().
+ * @returns {Promise<Object>} The new values of the rewritten columns
+ *   (text and hashtags, hashtags, or image_prompt).
+ */
+async function runRewrite(db, { organizationId: orgId, clerkUserId = null }, post, params) {
+  await assertWithinQuota(db, orgId, { tokens: true });
+  let { language } = params;
+  if (!language) {
+    // The post is written in the language of the profile it was generated
+    // from; the caller's own profile is preferred as in generation.js.
+    const { rows } = await db.query(
+      `SELECT language FROM profiles
+        WHERE organization_id = $1
+        ORDER BY (clerk_id IS NOT DISTINCT FROM $2) DESC, updated_at DESC
+        LIMIT 1`,
+      [orgId, clerkUserId],
+    );
+    language = rows[0]?.language || DEFAULT_LANGUAGE;
+  }
+  const provider = await resolveProvider(db, orgId);
+  try {
+    const { rewrite, usage } = await rewritePost(post, { ...params, language, provider });
+    await recordUsage(db, orgId, { tokens: usage.totalTokens });
+    if (params.target === 'image_prompt') return { image_prompt: rewrite.imagePrompt };
+    if (params.target === 'hashtags') return { hashtags: rewrite.hashtags };
+    return { text: rewrite.text, hashtags: rewrite.hashtags };
+  } catch (err) {
+    // Failed attempts still consumed tokens.
+    if (err.usage?.totalTokens) {
+      await recordUsage(db, orgId, { tokens: err.usage.totalTokens }).catch((usageErr) =>
+        console.error('Error recording usage:', usageErr),
+      );
+    }
+    throw err;
+  }
+}
+
+module.exports = { REWRITE_TARGETS, REWRITE_INSTRUCTIONS, parseRewriteRequest, runRewrite };
@@ -0,0 +1,58 @@
+// Organization roles and permissions.
+//
+// Users belong to organizations through organization_members with one of
+// the roles below.  users.organization_id is the organization the user is
+// currently working in; authenticate (see identity.js) sets
+// `req.organizationId` and `req.role` from it, and requirePermission()
+// rejects callers whose role lacks a permission.
+
+const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+// Permissions of each role.  Every role includes the permissions of the
+// roles below it.
+//   read           – view posts, brand profile, channels, stats and usage
+//   comment        – comment on posts
+//   posts:write    – edit posts and submit them for review
+//   generate       – generate posts and images with AI
+//   posts:approve  – approve posts or request changes, review moderation
+//   posts:publish  – schedule and publish approved posts
+//   settings:write – brand profile, channels and moderation rules
+//   members:manage – invite members and change their roles
+const VIEWER = ['read'];
+const EDITOR = [...VIEWER, 'comment', 'posts:write', 'generate'];
+const ADMIN = [...EDITOR, 'posts:approve', 'posts:publish', 'settings:write', 'members:manage'];
+const ROLE_PERMISSIONS = {
+  owner: ADMIN,
+  admin: ADMIN,
+  editor: EDITOR,
+  viewer: VIEWER,
+};
+
+/**
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Express middleware factory that lets the request through only if the
+ * caller's role in their organization has the given permission.  Must run
+ * after authenticate.
+ *
+ * @param {string} permission
+ * @returns {Function}
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.organizationId) return res.status(400).json({ error: 'Organization not found' });
+    if (!hasPermission(req.role, permission)) {
+      return res.status(403).json({ error: 'Insufficient permissions', permission });
+    }
+    return next();
+  };
+}
+
+module.exports = { ROLES, ROLE_PERMISSIONS, hasPermission, requirePermission };
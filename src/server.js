@@ -25,16 +25,50 @@ const fs = require('fs');
 const path = require('path');
 
 // Import AI helper for content generation
-const { generatePlan } = require('./ai');
+const { AIOutputError } = require('./ai');
+// Draft generation from the profile, optionally streamed to the client
+const { GenerationError, parseGenerateRequest, prepareGeneration } = require('./generation');
+const { openEventStream } = require('./utils/sse');
 // Import AI helper for image generation
-const { generateImages } = require('./ai_images');
+const { generateImages, parseImagePrompts } = require('./ai_images');
+const { parseAspectRatios } = require('./assets/variants');
+// LLM provider selection (environment default, per-organization override)
+const { resolveProvider } = require('./llm');
+// Editorial workflow: only approved posts can be scheduled
+const { WorkflowError, assertTransition, changePostStatus } = require('./workflow');
+const createModerationRouter = require('./moderation/routes');
+// Job queue: publishing, image generation and notifications run as jobs
+const { createJobWorker, enqueueDuePosts } = require('./jobs/handlers');
+const { enqueueJob } = require('./jobs');
+const createJobsRouter = require('./jobs/routes');
+// Usage accounting and plan quotas for AI generation
+const { assertWithinQuota, recordUsage, getPlanLimits, QuotaExceededError } = require('./usage');
 
 // Import Profiles router for Clerk-based profile CRUD operations.  This
 // router handles profiles keyed by Clerk ID and exposes GET, POST and
 // PUT endpoints under /api/profiles.  See src/profiles.js for the
 // implementation details.
 const createProfilesRouter = require('./profiles');
-const uploadRoute = require('./uploadRoute');
+// Image uploads into the organization's asset library, and the library itself
+const createUploadRouter = require('./uploadRoute');
+const createAssetsRouter = require('./assets/routes');
+const createCampaignsRouter = require('./campaigns/routes');
+// Posts router: list/filter, read, update and delete an organization's posts.
+const createPostsRouter = require('./posts');
+// Channels routers: OAuth connection management for social channels.
+const { createChannelsRouter, createChannelsCallbackRouter } = require('./channels');
+// Organization membership, roles and invitations
+const { requirePermission } = require('./roles');
+// Identity layer: Clerk sessions and legacy JWTs resolved to users and organizations
+const { createAuthenticate, ensureOrganization } = require('./identity');
+const createMembersRouter = require('./members');
+// Weekly posting slots and auto-scheduling into them
+const { findConflicts, channelTypeOf, planPostTime } = require('./slots');
+const createSlotsRouter = require('./slots/routes');
+// Content calendar by day and the iCalendar feed
+const { createCalendarRouter, createCalendarFeedRouter } = require('./calendar');
+// Clerk user and organization lifecycle webhooks
+const { createClerkWebhookRouter } = require('./webhooks/clerk');
 // Read environment variables for database connection and JWT secret.
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -80,7 +114,15 @@ const app = express();
 // Run Clerk allowed origins synchronization on startup
 syncClerkAllowedOrigins();
 app.use(cors());
-app.use(bodyParser.json({ limit: '10mb' }));
+// Keep the raw body for webhook signature verification.
+app.use(
+  bodyParser.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 
 // Register Sentry request and tracing handlers before other middlewares.
 // These handlers create a Sentry transaction for each incoming request
@@ -113,49 +155,35 @@ app.use((req, res, next) => {
 // Multer setup for file uploads
 const upload = multer({ dest: 'uploads/' });
 
-// Auth middleware.  If Clerk has authenticated the request then use
-// the Clerk userId.  Otherwise fall back to verifying our own JWT.
-function authenticate(req, res, next) {
-  // If Clerk has authenticated the request, use the Clerk userId
-  if (req.auth && req.auth.userId) {
-    req.userId = req.auth.userId;
-    return next();
-  }
-  // Fallback to JWT authentication for legacy clients
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ error: 'Missing token' });
-  try {
-    const decoded = jwt.verify(authHeader.split(' ')[1], JWT_SECRET);
-    req.userId = decoded.userId;
-    return next();
-  } catch (err) {
-    return res.status(401).json({ error: 'Invalid token' });
-  }
-}
+// Auth middleware.  Accepts a Clerk session or a legacy JWT and resolves
+// the caller's internal user, organization and role (see identity.js).
+const authenticate = createAuthenticate(pool, { jwtSecret: JWT_SECRET });
 
 // Instantiate and mount the profiles router for Clerk-based profile CRUD.
 // Mounting under "/api" means that the routes defined in profiles.js
 // (e.g. GET /profiles/:clerkId) will be served at /api/profiles/:clerkId.
 const profilesRouter = createProfilesRouter(pool);
+// The OAuth callback is reached by a browser redirect from the social
+// network without a session, so it is mounted before `authenticate`.
+app.use('/api', createChannelsCallbackRouter(pool, { stateSecret: JWT_SECRET }));
+// Clerk webhooks are authenticated by their Svix signature instead.
+app.use('/api', createClerkWebhookRouter(pool));
+// Calendar apps fetch the .ics feed with the secret token in its URL.
+app.use('/api', createCalendarFeedRouter(pool));
 app.use('/api', authenticate, profilesRouter);
-app.use('/api', authenticate, uploadRoute);
-// Ensure user belongs to an organization; create if missing
-async function ensureOrganization(userId, name) {
-  const orgRes = await pool.query(
-    'SELECT organization_id FROM users WHERE id=$1',
-    [userId],
-  );
-  let orgId = orgRes.rows[0]?.organization_id;
-  if (!orgId) {
-    const createOrg = await pool.query(
-      'INSERT INTO organizations (name, created_at) VALUES ($1, NOW()) RETURNING id',
-      [name || 'Unnamed'],
-    );
-    orgId = createOrg.rows[0].id;
-    await pool.query('UPDATE users SET organization_id=$1 WHERE id=$2', [orgId, userId]);
-  }
-  return orgId;
-}
+app.use('/api', authenticate, createUploadRouter(pool));
+app.use('/api', authenticate, createAssetsRouter(pool));
+app.use('/api', authenticate, createPostsRouter(pool));
+app.use('/api', authenticate, createCampaignsRouter(pool));
+app.use('/api', authenticate, createChannelsRouter(pool, { stateSecret: JWT_SECRET }));
+app.use('/api', authenticate, createModerationRouter(pool));
+app.use('/api', authenticate, createMembersRouter(pool));
+app.use('/api', authenticate, createSlotsRouter(pool));
+app.use('/api', authenticate, createCalendarRouter(pool));
+app.use('/api', authenticate, createJobsRouter(pool));
+
+// Permission check for the org-scoped routes below.
+const can = requirePermission;
 
 // --- AUTH ROUTES ---
 app.post('/register', async (req, res) => {
@@ -170,7 +198,7 @@ app.post('/register', async (req, res) => {
       [email, passwordHash],
     );
     const userId = userRes.rows[0].id;
-    const orgId = await ensureOrganization(userId, companyName || email.split('@')[0]);
+    const orgId = await ensureOrganization(pool, userId, companyName || email.split('@')[0]);
     const token = jwt.sign({ userId, organizationId: orgId }, JWT_SECRET);
     return res.json({ token });
   } catch (err) {
@@ -186,6 +214,8 @@ app.post('/login', async (req, res) => {
     const userRes = await pool.query('SELECT * FROM users WHERE email=$1', [email]);
     if (userRes.rows.length === 0) return res.status(400).json({ error: 'Invalid credentials' });
     const user = userRes.rows[0];
+    // Users created through Clerk have no password.
+    if (!user.password_hash) return res.status(400).json({ error: 'Invalid credentials' });
     const valid = await bcrypt.compare(password, user.password_hash);
     if (!valid) return res.status(400).json({ error: 'Invalid credentials' });
     const token = jwt.sign({ userId: user.id, organizationId: user.organization_id }, JWT_SECRET);
@@ -228,6 +258,8 @@ app.post('/profile/images', authenticate, upload.array('images', 10), async (req
     return res.status(400).json({ error: 'No files uploaded' });
   }
   try {
+    const profileRes = await pool.query('SELECT id FROM profiles WHERE id=$1 AND user_id=$2', [profileId, req.userId]);
+    if (profileRes.rows.length === 0) return res.status(404).json({ error: 'Profile not found' });
     const insertPromises = req.files.map((file) =>
       pool.query('INSERT INTO profile_images (profile_id, image_url) VALUES ($1, $2)', [profileId, file.filename]),
     );
@@ -254,12 +286,10 @@ app.get('/profile', authenticate, async (req, res) => {
 });
 
 // --- BRAND PROFILE ROUTES ---
-app.post('/api/brand-profile', authenticate, async (req, res) => {
+app.post('/api/brand-profile', authenticate, can('settings:write'), async (req, res) => {
   const { company_name, industry, target_audience, tone, brand_colors, logo_url } = req.body;
   try {
-    const userRes = await pool.query('SELECT organization_id FROM users WHERE id=$1', [req.userId]);
-    const orgId = userRes.rows[0]?.organization_id;
-    if (!orgId) return res.status(400).json({ error: 'Organization not found' });
+    const orgId = req.organizationId;
     const result = await pool.query(
       `INSERT INTO brand_profiles (organization_id, company_name, industry, target_audience, tone, brand_colors, logo_url)
             VALUES ($1,$2,$3,$4,$5,$6,$7)
@@ -280,11 +310,9 @@ app.post('/api/brand-profile', authenticate, async (req, res) => {
   }
 });
 
-app.get('/api/brand-profile', authenticate, async (req, res) => {
+app.get('/api/brand-profile', authenticate, can('read'), async (req, res) => {
   try {
-    const userRes = await pool.query('SELECT organization_id FROM users WHERE id=$1', [req.userId]);
-    const orgId = userRes.rows[0]?.organization_id;
-    if (!orgId) return res.status(400).json({ error: 'Organization not found' });
+    const orgId = req.organizationId;
     const result = await pool.query('SELECT * FROM brand_profiles WHERE organization_id = $1', [orgId]);
     return res.json(result.rows[0] || null);
   } catch (err) {
@@ -294,154 +322,215 @@ app.get('/api/brand-profile', authenticate, async (req, res) => {
 });
 
 // --- AI GENERATION & POSTS ---
-// Array of words that should flag generated content for moderation.
-const bannedWords = ['kielletty', 'väkivalta', 'rasismi'];
 
 /**
  * POST /api/generate
- * Generates a series of draft posts for the authenticated user's organization.
- * Optionally accepts `count` in the request body to control the number of posts (1–7).
+ * Generates a series of draft posts for the authenticated user's organization
+ * and saves them to the posts table (see generation.js).
+ * Optionally accepts `count` in the request body to control the number of posts (1–10).
+ * The old free-text `campaign` label is refused with 400.  `language` (fi, sv or en)
+ * overrides the language stored on the profile.  Each post gets a variant
+ * for every channel in `channels` (defaults to the profile's social_channels),
+ * stored in post_variants and returned in `variants`.
+ * With `campaign_id` the drafts are written for that campaign (see
+ * campaigns/): they follow its goal and key messages, are spread over its
+ * dates and default to its channels.
  * Uses the brand profile to craft more relevant content via the generatePlan helper.
+ *
+ * With `stream: true` in the body (or `Accept: text/event-stream`) the
+ * response is a Server-Sent Events stream instead:
+ *   progress – { stage, attempt, completed, total }
+ *   post     – { index, post } as soon as a draft is saved and moderated
+ *   done     – { count }
+ *   error    – the same body the non-streaming response would have
+ * Closing the connection cancels the generation; drafts already sent are kept.
+ *
+ * With `async: true` the drafts are generated by a job instead and the
+ * response is 202 with `{ job_id, status_url }`; poll GET /api/jobs/:id
+ * for progress and the drafts (see jobs/routes.js).
  */
-app.post('/api/generate', authenticate, async (req, res) => {
-  const { count } = req.body;
-  // Default to 5 posts; clamp the count between 1 and 10 to avoid excessive generation.
-  const postCount = count && Number(count) > 0 ? Math.min(Number(count), 10) : 5;
+app.post('/api/generate', authenticate, can('generate'), async (req, res) => {
+  const { params, error } = parseGenerateRequest(req.body);
+  if (error) return res.status(400).json({ error });
+  const stream = req.body.stream === true || /text\/event-stream/.test(req.get('accept') || '');
+  if (stream && req.body.async === true) {
+    return res.status(400).json({ error: 'stream and async cannot be combined' });
+  }
+  const orgId = req.organizationId;
+  // Status and body of a failed generation.
+  const failure = (err) => {
+    if (err instanceof AIOutputError) logger.error('Invalid AI output:', err.errors);
+    if (err instanceof QuotaExceededError || err instanceof GenerationError || err instanceof AIOutputError) {
+      return { status: err.status, body: err.toJSON() };
+    }
+    logger.error('Error generating posts:', err);
+    return { status: 500, body: { error: 'Failed to generate posts' } };
+  };
+  let generation;
   try {
-    // Fetch the user's profile by Clerk ID (req.userId).  Only select
-    // columns that are guaranteed to exist in the current schema.  The
-    // content_preferences column is aliased to content_themes for
-    // backwards‑compatibility.  Additional fields such as
-    // marketing_goals may not be present on all deployments, so they
-    // are populated with empty strings below.
-    const profRes = await pool.query(
-      `SELECT company_name,
-              company_description AS description,
-              target_audience,
-              tone_of_voice,
-              social_channels,
-              content_preferences AS content_themes
-         FROM profiles
-        WHERE clerk_id = $1`,
-      [req.userId],
-    );
-    const row = profRes.rows[0];
-    if (!row) {
-      return res.status(400).json({ error: 'Profile not found' });
+    generation = await prepareGeneration(pool, { organizationId: orgId, clerkUserId: req.clerkUserId }, params);
+  } catch (err) {
+    const { status, body } = failure(err);
+    return res.status(status).json(body);
+  }
+
+  if (req.body.async === true) {
+    try {
+      const job = await enqueueJob(
+        pool,
+        'generate_posts',
+        { organizationId: orgId, clerkUserId: req.clerkUserId || null, params },
+        { organizationId: orgId },
+      );
+      return res.status(202).json({ job_id: job.id, status_url: `/api/jobs/${job.id}` });
+    } catch (err) {
+      logger.error('Error enqueuing generation:', err);
+      return res.status(500).json({ error: 'Failed to generate posts' });
     }
+  }
 
-    // Construct a profile object expected by the AI helper.  Since the
-    // profiles table may not include marketing_goals, default to an
-    // empty string.  This ensures generatePlan can safely access
-    // undefined properties without triggering database errors.
-    const profile = {
-      company_name: row.company_name,
-      description: row.description,
-      target_audience: row.target_audience,
-      tone_of_voice: row.tone_of_voice || '',
-      marketing_goals: '',
-      content_themes: row.content_themes || '',
-      social_channels: row.social_channels || [],
-    };
-
-    // Generate raw post suggestions (text, hashtags and optional image
-    // prompts) using the AI helper.
-    const generated = await generatePlan(profile, postCount);
-
-    // Construct final post objects with scheduling and moderation flags but do not persist them.
-    const posts = [];
-    for (let i = 0; i < generated.length; i++) {
-      const { text, hashtags, imagePrompt } = generated[i];
-      const flagged = bannedWords.some((w) => text.toLowerCase().includes(w));
-      const date = new Date();
-      date.setDate(date.getDate() + i);
-      posts.push({
-        text,
-        hashtags,
-        image_prompt: imagePrompt,
-        scheduled_at: date,
-        flagged,
-        status: 'draft',
-      });
+  if (!stream) {
+    try {
+      const posts = await generation.run();
+      // Return the saved drafts to the caller.
+      return res.status(201).json(posts);
+    } catch (err) {
+      const { status, body } = failure(err);
+      return res.status(status).json(body);
     }
-    // Return the generated posts directly to the caller.
-    return res.status(200).json(posts);
+  }
+
+  const events = openEventStream(res);
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  try {
+    const posts = await generation.run({
+      signal: controller.signal,
+      onProgress: (progress) => events.send('progress', progress),
+      onPost: (post, index) => events.send('post', { index, post }),
+    });
+    events.send('done', { count: posts.length });
   } catch (err) {
-    logger.error('Error generating posts:', err);
-    return res.status(500).json({ error: 'Failed to generate posts' });
+    if (err.name === 'AbortError') {
+      logger.info(`Generation for organization ${orgId} cancelled by the client`);
+    } else {
+      events.send('error', failure(err).body);
+    }
+  } finally {
+    events.close();
   }
 });
 
 // Generate images for a list of prompts.  The caller must supply
-// `prompts` as an array of strings in the request body.  Each prompt
-// will be passed to the OpenAI Images API.  The response is an
-// array of image URLs (or null if generation failed for a given
-// prompt).
-app.post('/api/generate-images', authenticate, async (req, res) => {
-  const { prompts } = req.body;
-  if (!Array.isArray(prompts) || prompts.length === 0) {
-    return res
-      .status(400)
-      .json({ error: 'prompts must be a non-empty array' });
-  }
+// `prompts` as an array of up to 10 strings in the request body.  Each prompt
+// will be passed to the organization's image provider, enriched with the
+// brand profile's industry and colors unless `brand` is false, and the
+// images are stored in Cloudinary and the asset library.  `variants`
+// (true, or a list of aspect ratios or channels) also crops each image to
+// those aspect ratios with the brand logo overlaid unless `logo` is false.
+// The response has one entry per prompt: `{ prompt, url, asset_id, error,
+// variants }`, where `error` gives the reason when that prompt failed.
+// Every stored image counts against the organization's monthly image
+// quota; variants do not.  With `async: true` the images are generated by
+// a job and the response is 202 with `{ job_id, status_url }`.
+app.post('/api/generate-images', authenticate, can('generate'), async (req, res) => {
+  const { prompts, brand, logo } = req.body;
+  const { error: promptsError } = parseImagePrompts(prompts);
+  if (promptsError) return res.status(400).json({ error: promptsError });
+  const { ratios, error } = parseAspectRatios(req.body.variants);
+  if (error) return res.status(400).json({ error });
   try {
-    const images = await generateImages(prompts);
+    const orgId = req.organizationId;
+    await assertWithinQuota(pool, orgId, { images: prompts.length });
+    if (req.body.async === true) {
+      const job = await enqueueJob(
+        pool,
+        'generate_images',
+        { organizationId: orgId, prompts, brand: brand !== false, variants: ratios, logo: logo !== false },
+        { organizationId: orgId },
+      );
+      return res.status(202).json({ job_id: job.id, status_url: `/api/jobs/${job.id}` });
+    }
+    const provider = await resolveProvider(pool, orgId);
+    const images = await generateImages(prompts, {
+      db: pool,
+      organizationId: orgId,
+      provider,
+      brand: brand !== false,
+      variants: ratios,
+      logo: logo !== false,
+    });
+    await recordUsage(pool, orgId, { images: images.filter((image) => image.url).length });
     return res.status(200).json(images);
   } catch (err) {
+    if (err instanceof QuotaExceededError) return res.status(err.status).json(err);
     logger.error('Error generating images:', err);
     return res.status(500).json({ error: 'Failed to generate images' });
   }
 });
 
-app.get('/api/posts', authenticate, async (req, res) => {
+// Returns the organization's latest monthly usage together with its plan
+// and monthly limits (null means unlimited).
+app.get('/api/usage', authenticate, can('read'), async (req, res) => {
   try {
-    const userRes = await pool.query('SELECT organization_id FROM users WHERE id=$1', [req.userId]);
-    const orgId = userRes.rows[0]?.organization_id;
-    if (!orgId) return res.status(400).json({ error: 'Organization not found' });
-    const postsRes = await pool.query('SELECT * FROM posts WHERE organization_id=$1 ORDER BY scheduled_at', [orgId]);
-    return res.json(postsRes.rows);
+    const orgId = req.organizationId;
+    const usageRes = await pool.query(
+      'SELECT month, tokens_used, images_generated FROM organization_usage WHERE organization_id=$1 ORDER BY month DESC LIMIT 1',
+      [orgId],
+    );
+    const limits = await getPlanLimits(pool, orgId);
+    return res.json({ ...(usageRes.rows[0] || { tokens_used: 0, images_generated: 0 }), ...limits });
   } catch (err) {
-    logger.error('Error fetching posts:', err);
-    return res.status(500).json({ error: 'Failed to fetch posts' });
+    logger.error('Error fetching usage:', err);
+    return res.status(500).json({ error: 'Failed to fetch usage' });
   }
 });
 
-app.get('/api/usage', authenticate, async (req, res) => {
+// Returns monthly usage history, newest first.  `months` limits how many
+// months are returned (default 12, max 60).
+app.get('/api/usage/history', authenticate, can('read'), async (req, res) => {
+  const months = Math.min(Number(req.query.months) > 0 ? Number(req.query.months) : 12, 60);
   try {
-    const userRes = await pool.query('SELECT organization_id FROM users WHERE id=$1', [req.userId]);
-    const orgId = userRes.rows[0]?.organization_id;
-    if (!orgId) return res.status(400).json({ error: 'Organization not found' });
+    const orgId = req.organizationId;
     const usageRes = await pool.query(
-      'SELECT month, tokens_used, images_generated FROM organization_usage WHERE organization_id=$1 ORDER BY month DESC LIMIT 1',
-      [orgId],
+      `SELECT to_char(month, 'YYYY-MM-DD') AS month, tokens_used, images_generated
+            FROM organization_usage
+            WHERE organization_id=$1
+            ORDER BY month DESC
+            LIMIT $2`,
+      [orgId, months],
     );
-    return res.json(usageRes.rows[0] || { tokens_used: 0, images_generated: 0 });
+    return res.json(usageRes.rows);
   } catch (err) {
-    logger.error('Error fetching usage:', err);
-    return res.status(500).json({ error: 'Failed to fetch usage' });
+    logger.error('Error fetching usage history:', err);
+    return res.status(500).json({ error: 'Failed to fetch usage history' });
   }
 });
 
 // --- ANALYTICS ROUTES ---
+// Both stats endpoints accept `campaign_id` to only count the posts of one
+// campaign.
+
 // Returns weekly post counts for the authenticated organization. Each record
 // contains the week start date (ISO string) and the number of posts scheduled
 // or published in that week.
-app.get('/api/stats/posts', authenticate, async (req, res) => {
+app.get('/api/stats/posts', authenticate, can('read'), async (req, res) => {
+  const { campaign_id: campaignId } = req.query;
+  if (campaignId !== undefined && !/^\d+$/.test(campaignId)) {
+    return res.status(400).json({ error: 'campaign_id must be the id of a campaign' });
+  }
   try {
-    // Determine the organization for the current user
-    const userRes = await pool.query('SELECT organization_id FROM users WHERE id=$1', [req.userId]);
-    const orgId = userRes.rows[0]?.organization_id;
-    if (!orgId) return res.status(400).json({ error: 'Organization not found' });
+    const orgId = req.organizationId;
     // Aggregate posts by ISO week (starting Monday)
     const statsRes = await pool.query(
       `SELECT to_char(date_trunc('week', scheduled_at), 'YYYY-MM-DD') AS week_start,
                    COUNT(*) AS post_count
             FROM posts
-            WHERE organization_id=$1
+            WHERE organization_id=$1 AND ($2::int IS NULL OR campaign_id=$2)
             GROUP BY week_start
             ORDER BY week_start DESC
             LIMIT 6`,
-      [orgId],
+      [orgId, campaignId || null],
     );
     return res.json(statsRes.rows);
   } catch (err) {
@@ -452,17 +541,19 @@ app.get('/api/stats/posts', authenticate, async (req, res) => {
 
 // Returns counts of posts by status (draft, scheduled, published) for the
 // authenticated organization.
-app.get('/api/stats/status', authenticate, async (req, res) => {
+app.get('/api/stats/status', authenticate, can('read'), async (req, res) => {
+  const { campaign_id: campaignId } = req.query;
+  if (campaignId !== undefined && !/^\d+$/.test(campaignId)) {
+    return res.status(400).json({ error: 'campaign_id must be the id of a campaign' });
+  }
   try {
-    const userRes = await pool.query('SELECT organization_id FROM users WHERE id=$1', [req.userId]);
-    const orgId = userRes.rows[0]?.organization_id;
-    if (!orgId) return res.status(400).json({ error: 'Organization not found' });
+    const orgId = req.organizationId;
     const resCounts = await pool.query(
       `SELECT status, COUNT(*) AS count
             FROM posts
-            WHERE organization_id=$1
+            WHERE organization_id=$1 AND ($2::int IS NULL OR campaign_id=$2)
             GROUP BY status`,
-      [orgId],
+      [orgId, campaignId || null],
     );
     // Convert array of rows to an object keyed by status
     const counts = resCounts.rows.reduce((acc, row) => {
@@ -476,33 +567,86 @@ app.get('/api/stats/status', authenticate, async (req, res) => {
   }
 });
 
-app.post('/api/schedule', authenticate, async (req, res) => {
-  const { postId, publishAt } = req.body;
-  if (!postId || !publishAt) {
-    return res.status(400).json({ error: 'postId and publishAt are required' });
+// Schedule an approved post for publishing.  `channelId` optionally sets
+// the channel the post is published to; otherwise the post's current
+// channel is used.  Without `publishAt` the post keeps its planned time if
+// that is still ahead and free, and otherwise goes to the organization's
+// next free posting slot.  A `publishAt` within half an hour of another
+// post on the same channel is refused with the conflicting posts unless
+// `force` is set.  Calling this for a scheduled post only moves its time.
+app.post('/api/schedule', authenticate, can('posts:publish'), async (req, res) => {
+  const { postId, publishAt, channelId, force } = req.body;
+  if (!postId) {
+    return res.status(400).json({ error: 'postId is required' });
+  }
+  const requestedAt = publishAt ? new Date(publishAt) : null;
+  if (requestedAt && Number.isNaN(requestedAt.getTime())) {
+    return res.status(400).json({ error: 'publishAt must be a valid date' });
   }
   try {
-    await pool.query(
-      'UPDATE posts SET scheduled_at=$1, status=$2 WHERE id=$3 AND organization_id=(SELECT organization_id FROM users WHERE id=$4)',
-      [new Date(publishAt), 'scheduled', postId, req.userId],
+    const orgId = req.organizationId;
+    let channelType;
+    if (channelId) {
+      const channelRes = await pool.query('SELECT id, type FROM channels WHERE id=$1 AND organization_id=$2', [
+        channelId,
+        orgId,
+      ]);
+      if (channelRes.rows.length === 0) return res.status(400).json({ error: 'Channel not found' });
+      channelType = channelRes.rows[0].type;
+    }
+    const postRes = await pool.query('SELECT * FROM posts WHERE id=$1 AND organization_id=$2', [postId, orgId]);
+    if (postRes.rows.length === 0) return res.status(404).json({ error: 'Post not found' });
+    const post = postRes.rows[0];
+    if (channelType === undefined) channelType = await channelTypeOf(pool, post.channel_id);
+    let scheduledAt = requestedAt;
+    let slotChannelId = null;
+    if (scheduledAt && !force) {
+      const conflicts = await findConflicts(pool, orgId, {
+        at: scheduledAt,
+        channel: channelType,
+        excludePostId: post.id,
+      });
+      if (conflicts.length) {
+        return res.status(409).json({
+          error: 'Another post is planned at this time on the same channel',
+          code: 'slot_conflict',
+          conflicts,
+        });
+      }
+    } else if (!scheduledAt) {
+      const plan = await planPostTime(pool, orgId, post, { channel: channelType });
+      if (!plan) {
+        return res.status(409).json({ error: 'No free posting slot; give publishAt', code: 'no_free_slot' });
+      }
+      scheduledAt = plan.at;
+      slotChannelId = plan.channelId;
+    }
+    // Posts must be approved (and cleared by moderation) first.
+    if (post.status !== 'scheduled') assertTransition({ ...post, scheduled_at: scheduledAt }, 'scheduled');
+    const { rows } = await pool.query(
+      `UPDATE posts
+          SET scheduled_at=$1, channel_id=COALESCE($2, channel_id, $5), updated_at=NOW()
+        WHERE id=$3 AND organization_id=$4
+        RETURNING *`,
+      [scheduledAt, channelId || null, postId, orgId, slotChannelId],
     );
-    return res.json({ message: 'Post scheduled' });
+    if (post.status !== 'scheduled') await changePostStatus(pool, rows[0], 'scheduled', { userId: req.userId });
+    return res.json({ message: 'Post scheduled', scheduled_at: rows[0].scheduled_at, channel_id: rows[0].channel_id });
   } catch (err) {
+    if (err instanceof WorkflowError) return res.status(err.status).json(err);
     logger.error('Error scheduling post:', err);
     return res.status(500).json({ error: 'Failed to schedule post' });
   }
 });
 
-app.post('/api/publish-scheduled', authenticate, async (req, res) => {
+// Queue the organization's due scheduled posts for publishing right away
+// instead of waiting for the next run of the publish job.  Responds with
+// the number of queued posts.
+app.post('/api/publish-scheduled', authenticate, can('posts:publish'), async (req, res) => {
   try {
-    const result = await pool.query(
-      `UPDATE posts
-            SET status='published'
-            WHERE status='scheduled' AND scheduled_at <= NOW() AND organization_id=(SELECT organization_id FROM users WHERE id=$1)
-            RETURNING *`,
-      [req.userId],
-    );
-    return res.json({ published: result.rows.length });
+    const orgId = req.organizationId;
+    const summary = await enqueueDuePosts(pool, { organizationId: orgId });
+    return res.json(summary);
   } catch (err) {
     logger.error('Error publishing scheduled posts:', err);
     return res.status(500).json({ error: 'Failed to publish scheduled posts' });
@@ -519,22 +663,11 @@ app.get('/health', (req, res) => {
 app.use(Sentry.Handlers.errorHandler());
 
 applySchema().then(() => {
-  // Start a simple scheduler to publish scheduled posts automatically.
-  async function publishScheduledPosts() {
-    try {
-      const result = await pool.query(
-        `UPDATE posts SET status='published'
-              WHERE status='scheduled' AND scheduled_at <= NOW() RETURNING id`,
-      );
-      if (result.rowCount > 0) {
-        logger.info(`Scheduler published ${result.rowCount} posts`);
-      }
-    } catch (err) {
-      logger.error('Scheduler error publishing posts:', err);
-    }
+  // Run the job queue in this process unless a separate worker
+  // (src/worker.js) does it.
+  if (process.env.RUN_WORKER !== 'false') {
+    createJobWorker(pool).start();
   }
-  // Run scheduler every minute
-  setInterval(publishScheduledPosts, 60 * 1000);
   // Always listen on port 8880. Railway meta-edge proxies use port 8880 for HTTP services.
   const port = 8880;
   app.listen(port, () => {
@@ -0,0 +1,349 @@
+// Posting slots: the weekly times at which an organization wants to post
+// on each channel, e.g. "Tue and Thu 09:30 on Instagram", in the
+// organization's own time zone (organizations.timezone).
+//
+// Slots are expanded into concrete times with upcomingSlots().  A slot is
+// taken when a post on the same channel (or a post without a channel) is
+// planned within CONFLICT_WINDOW_MINUTES of it; findFreeSlots() hands out
+// the next free ones and findConflicts() checks a manually chosen time.
+// Generated drafts take free slots, and approved posts whose time has
+// passed or collides are moved to the next free one (assignSlot()).
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DEFAULT_TIMEZONE = 'Europe/Helsinki';
+
+// Two posts on the same channel closer than this conflict.
+const CONFLICT_WINDOW_MINUTES = 30;
+// How far ahead free slots are looked for.
+const MAX_LOOKAHEAD_DAYS = 56;
+// Posts in these statuses no longer hold on to their time.
+const RELEASED_STATUSES = ['published', 'failed'];
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA time zone known to the runtime.
+ *
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    formatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date and time of an instant in a time zone.
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}}
+ */
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    formatter(timeZone)
+      .formatToParts(date)
+      .filter((part) => part.type !== 'literal')
+      .map((part) => [part.type, Number(part.value)]),
+  );
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// Offset of the time zone from UTC at an instant, in milliseconds.
+function zoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return wall - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+/**
+ * The instant at which the clocks of a time zone show the given date and
+ * time.  Times skipped by a daylight saving change resolve to the hour
+ * after.
+ *
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} wall
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wall - zoneOffset(new Date(wall), timeZone);
+  // The offset may differ at the instant itself (daylight saving).
+  instant = wall - zoneOffset(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+/**
+ * Concrete times of weekly slots between two instants, in order.
+ *
+ * @param {Array<{id?: number, channel: string, day: string, time: string}>} slots
+ * @param {string} timeZone
+ * @param {{from: Date, until: Date}} range
+ * @returns {Array<{at: Date, channel: string, day: string, time: string, slotId: number}>}
+ */
+function upcomingSlots(slots, timeZone, { from, until }) {
+  const occurrences = [];
+  const start = zonedParts(from, timeZone);
+  // Walk the calendar days of the time zone; Date.UTC only does the date
+  // arithmetic here.
+  for (let offset = 0; ; offset++) {
+    const day = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const wall = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+    if (zonedTimeToDate({ ...wall, hour: 0, minute: 0 }, timeZone) >= until) break;
+    const dayName = DAY_NAMES[day.getUTCDay()];
+    for (const slot of slots) {
+      if (slot.day !== dayName) continue;
+      const [hour, minute] = slot.time.split(':').map(Number);
+      const at = zonedTimeToDate({ ...wall, hour, minute }, timeZone);
+      if (at >= from && at < until) {
+        occurrences.push({ at, channel: slot.channel, day: slot.day, time: slot.time, slotId: slot.id });
+      }
+    }
+  }
+  return occurrences.sort((a, b) => a.at - b.at || a.channel.localeCompare(b.channel));
+}
+
+function conflicts(a, b) {
+  return (
+    Math.abs(a.at - b.at) < CONFLICT_WINDOW_MINUTES * 60 * 1000
+    && (!a.channel || !b.channel || a.channel === b.channel)
+  );
+}
+
+/**
+ * The organization's time zone and weekly slots.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {number} orgId
+ * @returns {Promise<{timezone: string, slots: Array<{id: number, channel: string, day: string, time: string}>}>}
+ */
+async function loadSlotConfig(db, orgId) {
+  const orgRes = await db.query('SELECT timezone FROM organizations WHERE id=$1', [orgId]);
+  const slotsRes = await db.query(
+    `SELECT id, channel_type, weekday, to_char(slot_time, 'HH24:MI') AS time
+       FROM posting_slots
+      WHERE organization_id=$1
+      ORDER BY weekday, slot_time, channel_type`,
+    [orgId],
+  );
+  return {
+    timezone: orgRes.rows[0]?.timezone || DEFAULT_TIMEZONE,
+    slots: slotsRes.rows.map((row) => ({
+      id: row.id,
+      channel: row.channel_type,
+      day: DAY_NAMES[row.weekday],
+      time: row.time,
+    })),
+  };
+}
+
+// Posts of the organization planned between two instants, with the type
+// of their channel (null when no channel is chosen yet).
+async function loadPlannedPosts(db, orgId, { from, until, excludePostId = null }) {
+  const { rows } = await db.query(
+    `SELECT p.id, p.status, p.scheduled_at, c.type AS channel_type
+       FROM posts p
+       LEFT JOIN channels c ON c.id = p.channel_id
+      WHERE p.organization_id=$1 AND p.status <> ALL($2)
+        AND p.scheduled_at >= $3 AND p.scheduled_at < $4
+        AND p.id IS DISTINCT FROM $5`,
+    [orgId, RELEASED_STATUSES, from, until, excludePostId],
+  );
+  return rows.map((row) => ({ id: row.id, status: row.status, at: new Date(row.scheduled_at), channel: row.channel_type }));
+}
+
+/**
+ * Upcoming slot times, each with the post that takes it (or null).
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @param {{from?: Date, days?: number, channel?: string}} [options]
+ * @returns {Promise<{timezone: string, slots: Array<Object>}>}
+ */
+async function previewSlots(db, orgId, { from = new Date(), days = 14, channel = null } = {}) {
+  const config = await loadSlotConfig(db, orgId);
+  const until = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+  const slots = config.slots.filter((slot) => !channel || slot.channel === channel);
+  const window = CONFLICT_WINDOW_MINUTES * 60 * 1000;
+  const planned = await loadPlannedPosts(db, orgId, {
+    from: new Date(from.getTime() - window),
+    until: new Date(until.getTime() + window),
+  });
+  return {
+    timezone: config.timezone,
+    slots: upcomingSlots(slots, config.timezone, { from, until }).map((slot) => {
+      const post = planned.find((p) => conflicts(p, slot));
+      return {
+        at: slot.at,
+        day: slot.day,
+        time: slot.time,
+        channel: slot.channel,
+        post: post ? { id: post.id, status: post.status } : null,
+      };
+    }),
+  };
+}
+
+/**
+ * The next free slot times, earliest first.  Each comes with the ID of the
+ * organization's connected channel of the slot's type, if there is one.
+ * Fewer than `count` (possibly none) are returned when the organization
+ * has no slots or they are taken for the next MAX_LOOKAHEAD_DAYS (or
+ * until `until`).
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @param {{count?: number, channels?: string[]|null, after?: Date, until?: Date,
+ *   spread?: boolean, excludePostId?: number}} [options]
+ *   `channels` limits the slots to these channel types; `excludePostId`
+ *   ignores a post's own time (when moving it).  With `spread` the slots
+ *   are picked evenly from all free ones before `until` instead of taking
+ *   the earliest, e.g. to spread a campaign's posts over its dates.
+ * @returns {Promise<Array<{at: Date, channel: string, channelId: number|null}>>}
+ */
+async function findFreeSlots(
+  db,
+  orgId,
+  { count = 1, channels = null, after = new Date(), until = null, spread = false, excludePostId = null } = {},
+) {
+  const config = await loadSlotConfig(db, orgId);
+  const slots = config.slots.filter((slot) => !channels || channels.includes(slot.channel));
+  if (!slots.length) return [];
+  const end = until || new Date(after.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000);
+  const window = CONFLICT_WINDOW_MINUTES * 60 * 1000;
+  const taken = await loadPlannedPosts(db, orgId, {
+    from: new Date(after.getTime() - window),
+    until: new Date(end.getTime() + window),
+    excludePostId,
+  });
+  const channelsRes = await db.query(
+    `SELECT DISTINCT ON (type) id, type FROM channels
+      WHERE organization_id=$1 AND status='connected'
+      ORDER BY type, id`,
+    [orgId],
+  );
+  const channelIds = Object.fromEntries(channelsRes.rows.map((row) => [row.type, row.id]));
+  const free = [];
+  for (const slot of upcomingSlots(slots, config.timezone, { from: after, until: end })) {
+    if (!spread && free.length >= count) break;
+    if (taken.some((post) => conflicts(post, slot))) continue;
+    free.push({ at: slot.at, channel: slot.channel, channelId: channelIds[slot.channel] || null });
+    // Later slots in this batch must not collide with this one.
+    taken.push({ at: slot.at, channel: slot.channel });
+  }
+  if (!spread || free.length <= count) return free;
+  return Array.from({ length: count }, (_, i) => free[Math.floor((i * free.length) / count)]);
+}
+
+/**
+ * Posts planned too close to a time on the same channel.
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @param {{at: Date, channel?: string|null, excludePostId?: number}} options
+ * @returns {Promise<Array<{id: number, status: string, scheduled_at: Date, channel: string|null}>>}
+ */
+async function findConflicts(db, orgId, { at, channel = null, excludePostId = null }) {
+  const window = CONFLICT_WINDOW_MINUTES * 60 * 1000;
+  const planned = await loadPlannedPosts(db, orgId, {
+    from: new Date(at.getTime() - window),
+    until: new Date(at.getTime() + window),
+    excludePostId,
+  });
+  return planned
+    .filter((post) => conflicts(post, { at, channel }))
+    .map((post) => ({ id: post.id, status: post.status, scheduled_at: post.at, channel: post.channel }));
+}
+
+async function channelTypeOf(db, channelId) {
+  if (!channelId) return null;
+  const { rows } = await db.query('SELECT type FROM channels WHERE id=$1', [channelId]);
+  return rows[0]?.type || null;
+}
+
+/**
+ * When a post should go out: its planned time if that is still ahead and
+ * free, otherwise the next free slot on its channel (any channel when it
+ * has none yet).
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @param {Object} post - Row from the posts table.
+ * @param {{channel?: string|null}} [options] - Channel type to plan for
+ *   instead of the post's own.
+ * @returns {Promise<{at: Date, channelId: number|null}|null>} null when
+ *   there is no free slot.
+ */
+async function planPostTime(db, orgId, post, options = {}) {
+  const channel = options.channel === undefined ? await channelTypeOf(db, post.channel_id) : options.channel;
+  const planned = post.scheduled_at ? new Date(post.scheduled_at) : null;
+  if (planned && planned > new Date()) {
+    const taken = await findConflicts(db, orgId, { at: planned, channel, excludePostId: post.id });
+    if (!taken.length) return { at: planned, channelId: null };
+  }
+  const [slot] = await findFreeSlots(db, orgId, { channels: channel ? [channel] : null, excludePostId: post.id });
+  return slot ? { at: slot.at, channelId: slot.channelId } : null;
+}
+
+/**
+ * Move a post to the next free slot unless its planned time is still
+ * ahead and free.  A post without a channel also gets the slot's channel.
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @param {Object} post
+ * @returns {Promise<Object>} The (possibly updated) post.
+ */
+async function assignSlot(db, orgId, post) {
+  const plan = await planPostTime(db, orgId, post);
+  if (!plan || (post.scheduled_at && plan.at.getTime() === new Date(post.scheduled_at).getTime())) return post;
+  const { rows } = await db.query(
+    `UPDATE posts SET scheduled_at=$3, channel_id=COALESCE(channel_id, $4), updated_at=NOW()
+      WHERE id=$1 AND organization_id=$2
+      RETURNING *`,
+    [post.id, orgId, plan.at, plan.channelId],
+  );
+  return rows[0] || post;
+}
+
+module.exports = {
+  DAY_NAMES,
+  TIME_PATTERN,
+  DEFAULT_TIMEZONE,
+  CONFLICT_WINDOW_MINUTES,
+  isValidTimeZone,
+  zonedParts,
+  zonedTimeToDate,
+  upcomingSlots,
+  loadSlotConfig,
+  previewSlots,
+  findFreeSlots,
+  findConflicts,
+  channelTypeOf,
+  planPostTime,
+  assignSlot,
+};
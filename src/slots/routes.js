@@ -0,0 +1,103 @@
+/*
+ * Express router for the organization's posting slots.  Mounted under
+ * `/api` behind `authenticate`.
+ *
+ *   GET /posting-slots          – time zone and weekly slots
+ *   PUT /posting-slots          – replace the time zone and slots
+ *   GET /posting-slots/preview  – upcoming slot times and the posts taking them
+ */
+const express = require('express');
+const { requirePermission: can } = require('../roles');
+const { CHANNEL_RULES, normalizeChannel } = require('../channel_rules');
+const { DAY_NAMES, TIME_PATTERN, isValidTimeZone, loadSlotConfig, previewSlots } = require('./index');
+
+const MAX_SLOTS = 100;
+const MAX_PREVIEW_DAYS = 90;
+
+// Expand `[{ channel, days: ['tue', 'thu'], time: '09:30' }]` into one
+// slot per day.  Returns the error message for invalid input.
+function parseSlots(input) {
+  if (!Array.isArray(input)) return { error: 'slots must be an array' };
+  const slots = [];
+  for (const entry of input) {
+    const channel = normalizeChannel(entry?.channel);
+    if (!channel) return { error: `channel must be one of ${Object.keys(CHANNEL_RULES).join(', ')}` };
+    const days = Array.isArray(entry.days) ? entry.days : [entry.day];
+    if (!days.length || days.some((day) => !DAY_NAMES.includes(String(day).toLowerCase()))) {
+      return { error: `days must be a list of ${DAY_NAMES.join(', ')}` };
+    }
+    if (!TIME_PATTERN.test(entry.time || '')) return { error: 'time must be HH:MM' };
+    for (const day of days) {
+      const weekday = DAY_NAMES.indexOf(String(day).toLowerCase());
+      if (!slots.some((s) => s.channel === channel && s.weekday === weekday && s.time === entry.time)) {
+        slots.push({ channel, weekday, time: entry.time });
+      }
+    }
+  }
+  if (slots.length > MAX_SLOTS) return { error: `At most ${MAX_SLOTS} slots are allowed` };
+  return { slots };
+}
+
+module.exports = function createSlotsRouter(db) {
+  const router = express.Router();
+
+  router.get('/posting-slots', can('read'), async (req, res) => {
+    try {
+      return res.json(await loadSlotConfig(db, req.organizationId));
+    } catch (err) {
+      console.error('Error fetching posting slots:', err);
+      return res.status(500).json({ error: 'Failed to fetch posting slots' });
+    }
+  });
+
+  // PUT /posting-slots – Body: { timezone?, slots: [{ channel, days, time }] },
+  // e.g. { "channel": "instagram", "days": ["tue", "thu"], "time": "09:30" }.
+  router.put('/posting-slots', can('settings:write'), async (req, res) => {
+    const { timezone } = req.body;
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone such as Europe/Helsinki' });
+    }
+    const { slots, error } = parseSlots(req.body.slots);
+    if (error) return res.status(400).json({ error });
+    try {
+      const orgId = req.organizationId;
+      if (timezone !== undefined) {
+        await db.query('UPDATE organizations SET timezone=$2 WHERE id=$1', [orgId, timezone]);
+      }
+      await db.query('DELETE FROM posting_slots WHERE organization_id=$1', [orgId]);
+      for (const slot of slots) {
+        await db.query(
+          'INSERT INTO posting_slots (organization_id, channel_type, weekday, slot_time) VALUES ($1, $2, $3, $4)',
+          [orgId, slot.channel, slot.weekday, slot.time],
+        );
+      }
+      return res.json(await loadSlotConfig(db, orgId));
+    } catch (err) {
+      console.error('Error saving posting slots:', err);
+      return res.status(500).json({ error: 'Failed to save posting slots' });
+    }
+  });
+
+  // GET /posting-slots/preview – Query: days (default 14, max 90),
+  // channel, from (ISO date, default now).
+  router.get('/posting-slots/preview', can('read'), async (req, res) => {
+    const days = req.query.days === undefined ? 14 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_PREVIEW_DAYS) {
+      return res.status(400).json({ error: `days must be between 1 and ${MAX_PREVIEW_DAYS}` });
+    }
+    const channel = req.query.channel ? normalizeChannel(req.query.channel) : null;
+    if (req.query.channel && !channel) {
+      return res.status(400).json({ error: `channel must be one of ${Object.keys(CHANNEL_RULES).join(', ')}` });
+    }
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    if (Number.isNaN(from.getTime())) return res.status(400).json({ error: 'from must be a valid date' });
+    try {
+      return res.json(await previewSlots(db, req.organizationId, { from, days, channel }));
+    } catch (err) {
+      console.error('Error previewing posting slots:', err);
+      return res.status(500).json({ error: 'Failed to preview posting slots' });
+    }
+  });
+
+  return router;
+};
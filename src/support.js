@@ -0,0 +1,38 @@
+// Support staff access to other customers' data.
+//
+// Users listed in SUPPORT_USER_IDS (comma separated Clerk user IDs or
+// internal user IDs) may act on data outside their own organization, but
+// only when they ask for it explicitly with an `X-Support-Reason` header.
+// Routes that honour the override record every use with recordAudit().
+
+function supportUserIds() {
+  return String(process.env.SUPPORT_USER_IDS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Whether the caller is a support user.
+ *
+ * @param {Object} req
+ * @returns {boolean}
+ */
+function isSupportUser(req) {
+  const ids = supportUserIds();
+  return ids.includes(String(req.clerkUserId)) || ids.includes(String(req.userId));
+}
+
+/**
+ * The reason given for a support override, or null when the caller is not
+ * a support user or did not request an override.
+ *
+ * @param {Object} req
+ * @returns {string|null}
+ */
+function getSupportOverride(req) {
+  const reason = String(req.get('X-Support-Reason') || '').trim();
+  return reason && isSupportUser(req) ? reason : null;
+}
+
+module.exports = { isSupportUser, getSupportOverride };
@@ -1,50 +1,68 @@
 // Express router to handle image uploads. This route expects a JSON body
 // with a single `image` property containing a base64-encoded data URL. It
-// uploads the image to Cloudinary and returns the publicly accessible URL.
+// uploads the image to the organization's Cloudinary folder, records it in
+// the asset library (see src/assets) and returns the asset.
 
 const express = require('express');
-const cloudinary = require('./cloudinary');
+const { requirePermission: can } = require('./roles');
+const { uploadToOrganization, saveAsset, parseAssetFields, deleteAsset } = require('./assets');
 
-const router = express.Router();
+module.exports = function createUploadRouter(db) {
+  const router = express.Router();
 
-// POST /upload-image
-// Body: { image: "data:image/png;base64,..." }
-// Response: { url: "https://res.cloudinary.com/..." }
-router.post('/upload-image', async (req, res) => {
-  const { image } = req.body;
-  if (!image) {
-    return res.status(400).json({ error: 'No image provided' });
-  }
-  try {
-    const uploadResponse = await cloudinary.uploader.upload(image, {
-      folder: 'gunvald',
-      resource_type: 'image',
-    });
-    return res.json({ url: uploadResponse.secure_url });
-  } catch (error) {
-    console.error('Cloudinary upload failed:', error);
-    return res.status(500).json({ error: 'Image upload failed' });
-  }
-});
+  // POST /upload-image
+  // Body: { image: "data:image/png;base64,...", name?, tags? }
+  // Response: { url: "https://res.cloudinary.com/...", asset: {...} }
+  router.post('/upload-image', can('posts:write'), async (req, res) => {
+    const { image } = req.body;
+    if (!image) {
+      return res.status(400).json({ error: 'No image provided' });
+    }
+    const fields = parseAssetFields(req.body);
+    if (fields.error) return res.status(400).json({ error: fields.error });
+    let stored;
+    try {
+      stored = await uploadToOrganization(req.organizationId, image);
+    } catch (error) {
+      console.error('Cloudinary upload failed:', error);
+      return res.status(500).json({ error: 'Image upload failed' });
+    }
+    try {
+      const asset = await saveAsset(db, req.organizationId, { ...stored, ...fields, source: 'upload' });
+      return res.status(201).json({ url: asset.url, asset });
+    } catch (error) {
+      console.error('Error saving uploaded image:', error);
+      return res.status(500).json({ error: 'Failed to save image' });
+    }
+  });
 
-module.exports = router;
+  // DELETE or POST /delete-image
+  // This endpoint removes one of the organization's images given its
+  // publicId, together with its asset.  Images used by posts are kept.
+  // Body: { publicId: "folder/filenameWithoutExt" }
+  // Response: { success: true }
+  // Note: We accept POST here because browsers may not easily send a JSON body with DELETE.
+  router.post('/delete-image', can('posts:write'), async (req, res) => {
+    const { publicId } = req.body;
+    if (!publicId) {
+      return res.status(400).json({ error: 'No publicId provided' });
+    }
+    try {
+      const { rows } = await db.query('SELECT * FROM assets WHERE public_id=$1 AND organization_id=$2', [
+        publicId,
+        req.organizationId,
+      ]);
+      if (rows.length === 0) return res.status(404).json({ error: 'Image not found' });
+      const { deleted, postIds } = await deleteAsset(db, rows[0]);
+      if (!deleted) {
+        return res.status(409).json({ error: 'The image is used by posts', code: 'asset_in_use', posts: postIds });
+      }
+      return res.json({ success: true });
+    } catch (error) {
+      console.error('Image deletion failed:', error);
+      return res.status(500).json({ error: 'Image deletion failed' });
+    }
+  });
 
-// DELETE or POST /delete-image
-// This endpoint removes an image from Cloudinary given its publicId.
-// Body: { publicId: "folder/filenameWithoutExt" }
-// Response: { success: true }
-// Note: We accept POST here because browsers may not easily send a JSON body with DELETE.
-router.post('/delete-image', async (req, res) => {
-  const { publicId } = req.body;
-  if (!publicId) {
-    return res.status(400).json({ error: 'No publicId provided' });
-  }
-  try {
-    // Destroy the resource. Setting invalidate: true clears cached versions as well.
-    await cloudinary.uploader.destroy(publicId, { invalidate: true });
-    return res.json({ success: true });
-  } catch (error) {
-    console.error('Cloudinary deletion failed:', error);
-    return res.status(500).json({ error: 'Image deletion failed' });
-  }
-});
\ No newline at end of file
+  return router;
+};
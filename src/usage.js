@@ -0,0 +1,125 @@
+// Usage accounting and plan quotas for AI generation.
+//
+// Token and image usage is accumulated per organization per calendar month
+// in organization_usage.  Each organization has a plan (organizations.plan)
+// whose monthly limits can be overridden per organization with
+// organizations.token_limit and organizations.image_limit.  A null limit
+// means unlimited.
+
+// Monthly limits of each plan.
+const PLANS = {
+  free: { tokens: 50000, images: 20 },
+  pro: { tokens: 500000, images: 200 },
+  agency: { tokens: 2000000, images: 1000 },
+  unlimited: { tokens: null, images: null },
+};
+
+/**
+ * Error thrown when a generation would exceed the organization's monthly
+ * quota.  Routes respond with `status` (402) and the details in the body.
+ */
+class QuotaExceededError extends Error {
+  constructor(resource, limit, used) {
+    super(`Monthly ${resource} quota exceeded`);
+    this.name = 'QuotaExceededError';
+    this.status = 402;
+    this.resource = resource;
+    this.limit = limit;
+    this.used = used;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: 'quota_exceeded',
+      resource: this.resource,
+      limit: this.limit,
+      used: this.used,
+    };
+  }
+}
+
+/**
+ * Resolve the plan and effective monthly limits of an organization.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {number} orgId
+ * @returns {Promise<{plan: string, token_limit: number|null, image_limit: number|null}>}
+ */
+async function getPlanLimits(db, orgId) {
+  const { rows } = await db.query('SELECT plan, token_limit, image_limit FROM organizations WHERE id=$1', [orgId]);
+  const org = rows[0] || {};
+  const plan = PLANS[org.plan] ? org.plan : 'free';
+  return {
+    plan,
+    token_limit: org.token_limit ?? PLANS[plan].tokens,
+    image_limit: org.image_limit ?? PLANS[plan].images,
+  };
+}
+
+/**
+ * Usage of the current month.
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @returns {Promise<{tokens_used: number, images_generated: number}>}
+ */
+async function getCurrentUsage(db, orgId) {
+  const { rows } = await db.query(
+    `SELECT tokens_used, images_generated FROM organization_usage
+      WHERE organization_id=$1 AND month=date_trunc('month', NOW())::date`,
+    [orgId],
+  );
+  return {
+    tokens_used: rows[0]?.tokens_used || 0,
+    images_generated: rows[0]?.images_generated || 0,
+  };
+}
+
+/**
+ * Throw a QuotaExceededError if the organization has used up its tokens or
+ * cannot generate `images` more images this month.
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @param {{tokens?: boolean, images?: number}} request - `tokens: true` checks
+ *   that token quota remains; `images` is the number of images requested.
+ */
+async function assertWithinQuota(db, orgId, { tokens = false, images = 0 } = {}) {
+  const limits = await getPlanLimits(db, orgId);
+  const usage = await getCurrentUsage(db, orgId);
+  if (tokens && limits.token_limit !== null && usage.tokens_used >= limits.token_limit) {
+    throw new QuotaExceededError('tokens', limits.token_limit, usage.tokens_used);
+  }
+  if (images && limits.image_limit !== null && usage.images_generated + images > limits.image_limit) {
+    throw new QuotaExceededError('images', limits.image_limit, usage.images_generated);
+  }
+}
+
+/**
+ * Add token and image usage to the organization's current month.
+ *
+ * @param {Object} db
+ * @param {number} orgId
+ * @param {{tokens?: number, images?: number}} usage
+ */
+async function recordUsage(db, orgId, { tokens = 0, images = 0 }) {
+  if (!tokens && !images) return;
+  await db.query(
+    `INSERT INTO organization_usage (organization_id, month, tokens_used, images_generated)
+          VALUES ($1, date_trunc('month', NOW())::date, $2, $3)
+          ON CONFLICT (organization_id, month) DO UPDATE
+          SET tokens_used = organization_usage.tokens_used + EXCLUDED.tokens_used,
+              images_generated = organization_usage.images_generated + EXCLUDED.images_generated`,
+    [orgId, tokens, images],
+  );
+}
+
+module.exports = {
+  PLANS,
+  QuotaExceededError,
+  getPlanLimits,
+  getCurrentUsage,
+  assertWithinQuota,
+  recordUsage,
+};
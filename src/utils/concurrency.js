@@ -0,0 +1,28 @@
+// Run async work over a list with a bounded number of calls in flight, so
+// that batches of API calls neither run one by one nor all at once.
+
+/**
+ * Map over items with at most `limit` calls of `fn` running at a time.
+ * Results keep the order of the items.  A rejection rejects the whole
+ * call, so `fn` should catch the errors it wants to report per item.
+ *
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - `fn(item, index)`, returns a promise.
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
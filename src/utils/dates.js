@@ -0,0 +1,24 @@
+// Calendar dates in YYYY-MM-DD form, as used by the calendar and campaigns.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A real calendar date in YYYY-MM-DD form.
+function isDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Calendar date arithmetic on YYYY-MM-DD strings.
+function addDays(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+}
+
+// Number of days from one date to another.
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+module.exports = { isDate, addDays, daysBetween };
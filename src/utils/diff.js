@@ -0,0 +1,58 @@
+// Word-level diff of two texts, for showing what a revision changed.
+
+// Above this many token pairs the texts are reported as replaced instead
+// of running the quadratic comparison.
+const MAX_COMPARISONS = 1000000;
+
+/**
+ * Diff two texts word by word.  Whitespace is kept with the words, so
+ * joining the `equal` and `insert` parts gives the new text back and the
+ * `equal` and `delete` parts the old one.
+ *
+ * @param {string|null} before
+ * @param {string|null} after
+ * @returns {Array<{op: 'equal'|'insert'|'delete', text: string}>}
+ */
+function diffWords(before, after) {
+  const a = String(before || '').split(/(\s+)/).filter(Boolean);
+  const b = String(after || '').split(/(\s+)/).filter(Boolean);
+  const parts = [];
+  const add = (op, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.op === op) last.text += text;
+    else parts.push({ op, text });
+  };
+
+  if (a.length * b.length > MAX_COMPARISONS) {
+    if (a.length) add('delete', a.join(''));
+    if (b.length) add('insert', b.join(''));
+    return parts;
+  }
+
+  // lengths[i][j] is the length of the longest common subsequence of
+  // a[i:] and b[j:].
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      add('equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      add('delete', a[i++]);
+    } else {
+      add('insert', b[j++]);
+    }
+  }
+  while (i < a.length) add('delete', a[i++]);
+  while (j < b.length) add('insert', b[j++]);
+  return parts;
+}
+
+module.exports = { diffWords };
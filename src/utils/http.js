@@ -0,0 +1,41 @@
+// Small fetch wrapper shared by the channel publishers and OAuth providers.
+// Node.js 18+ has a global fetch; error responses are turned into
+// exceptions that carry the remote status and body so that the reason ends
+// up in posts.error_reason or channels.last_error.
+
+/**
+ * Send a request and parse the JSON response.
+ *
+ * @param {string} label - Name of the remote API used in error messages.
+ * @param {string} url - Request URL.
+ * @param {Object} options - fetch options.  A plain object `body` is
+ *   serialized as JSON.
+ * @returns {Promise<{data: Object, headers: Headers}>}
+ */
+async function requestJson(label, url, options = {}) {
+  const { body, headers, ...rest } = options;
+  const isJson = body && typeof body === 'object' && !(body instanceof URLSearchParams);
+  const res = await fetch(url, {
+    ...rest,
+    headers: {
+      ...(isJson ? { 'Content-Type': 'application/json' } : {}),
+      ...headers,
+    },
+    body: isJson ? JSON.stringify(body) : body,
+  });
+  const text = await res.text();
+  if (!res.ok) {
+    throw new Error(`${label} API error: ${res.status} ${text}`);
+  }
+  let data = {};
+  if (text) {
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      data = { raw: text };
+    }
+  }
+  return { data, headers: res.headers };
+}
+
+module.exports = { requestJson };
@@ -0,0 +1,30 @@
+// Ids in route parameters.
+
+// Largest value of a SERIAL id.
+const MAX_ID = 2147483647;
+
+/**
+ * Whether a route parameter can be the id of a row.  Anything else would
+ * make Postgres fail on the integer cast.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isId(value) {
+  return /^\d+$/.test(value) && Number(value) <= MAX_ID;
+}
+
+/**
+ * `router.param` handler that responds 404 with `message` to a parameter
+ * that cannot be an id, since it matches nothing:
+ *
+ *   router.param('id', requireId('Post not found'));
+ *
+ * @param {string} message
+ * @returns {Function}
+ */
+function requireId(message) {
+  return (req, res, next, value) => (isId(value) ? next() : res.status(404).json({ error: message }));
+}
+
+module.exports = { MAX_ID, isId, requireId };
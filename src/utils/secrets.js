@@ -0,0 +1,124 @@
+// Envelope encryption for secrets stored in the database (channel access
+// and refresh tokens).
+//
+// Every value gets its own random data key.  The value is encrypted with the
+// data key and the data key is encrypted ("wrapped") with a master key from
+// the environment, both with AES-256-GCM.  The stored string records which
+// master key was used so that keys can be rotated:
+//
+//   enc:<keyId>:<wrapped data key>:<iv>:<ciphertext>:<auth tag>   (base64 parts)
+//
+// Master keys are configured as a comma separated list of `<id>:<base64
+// 32-byte key>` pairs in SECRETS_ENCRYPTION_KEYS.  New values are encrypted
+// with SECRETS_ENCRYPTION_KEY_ID, or the last key in the list.  Old keys must
+// stay in the list until `npm run secrets:reencrypt` has migrated all rows.
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+
+// Parse SECRETS_ENCRYPTION_KEYS into a Map of key ID -> Buffer.
+function loadKeys() {
+  const keys = new Map();
+  const raw = (process.env.SECRETS_ENCRYPTION_KEYS || '').trim();
+  for (const entry of raw.split(',').map((s) => s.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) throw new Error('SECRETS_ENCRYPTION_KEYS entries must look like <id>:<base64 key>');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (key.length !== 32) throw new Error(`Encryption key ${id} must be 32 bytes`);
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+/**
+ * @returns {string} ID of the master key used for new values.
+ */
+function getCurrentKeyId() {
+  const keys = loadKeys();
+  if (keys.size === 0) throw new Error('SECRETS_ENCRYPTION_KEYS is not set');
+  const id = process.env.SECRETS_ENCRYPTION_KEY_ID || Array.from(keys.keys()).pop();
+  if (!keys.has(id)) throw new Error(`Encryption key ${id} is not configured`);
+  return id;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, ciphertext, tag: cipher.getAuthTag() };
+}
+
+function open(key, iv, ciphertext, tag) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True if the value is an encrypted secret string.
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Encrypt a secret for storage.  null and undefined are stored as null.
+ *
+ * @param {string|null|undefined} plaintext
+ * @returns {string|null}
+ */
+function encryptSecret(plaintext) {
+  if (plaintext === null || plaintext === undefined) return null;
+  const keyId = getCurrentKeyId();
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(loadKeys().get(keyId), dataKey);
+  const sealed = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+  return [
+    PREFIX,
+    keyId,
+    Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ciphertext]).toString('base64'),
+    sealed.iv.toString('base64'),
+    sealed.ciphertext.toString('base64'),
+    sealed.tag.toString('base64'),
+  ].join(':');
+}
+
+/**
+ * Decrypt a stored secret.  Values written before encryption was enabled
+ * are returned unchanged so that existing rows keep working until they are
+ * re-encrypted.
+ *
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+  const [, keyId, wrappedPart, ivPart, ciphertextPart, tagPart] = value.split(':');
+  const key = loadKeys().get(keyId);
+  if (!key) throw new Error(`Encryption key ${keyId} is not configured`);
+  const wrapped = Buffer.from(wrappedPart, 'base64');
+  const dataKey = open(key, wrapped.subarray(0, 12), wrapped.subarray(28), wrapped.subarray(12, 28));
+  return open(
+    dataKey,
+    Buffer.from(ivPart, 'base64'),
+    Buffer.from(ciphertextPart, 'base64'),
+    Buffer.from(tagPart, 'base64'),
+  ).toString('utf8');
+}
+
+/**
+ * @param {string|null} value
+ * @returns {boolean} True if the value is plaintext or was encrypted with a
+ *   master key other than the current one.
+ */
+function needsReencryption(value) {
+  if (value === null || value === undefined) return false;
+  if (!isEncrypted(value)) return true;
+  return value.split(':')[1] !== getCurrentKeyId();
+}
+
+module.exports = { encryptSecret, decryptSecret, isEncrypted, needsReencryption, getCurrentKeyId };
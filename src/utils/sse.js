@@ -0,0 +1,36 @@
+// Server-Sent Events on an Express response.  Each event is written as
+// `event: <name>` plus a JSON `data:` line; a comment line is sent every
+// 15 seconds so that proxies keep an idle stream open.
+
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Start an event stream.
+ *
+ * @param {Object} res - Express response; nothing may have been sent yet.
+ * @returns {{send: function(string, *): void, close: function(): void}}
+ */
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keeps nginx-style proxies from buffering the stream.
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const open = () => !res.writableEnded && !res.destroyed;
+  const heartbeat = setInterval(() => open() && res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+  res.on('close', () => clearInterval(heartbeat));
+  return {
+    send(event, data) {
+      if (open()) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (open()) res.end();
+    },
+  };
+}
+
+module.exports = { openEventStream };
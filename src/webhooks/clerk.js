@@ -0,0 +1,197 @@
+/*
+ * Receiver for Clerk webhooks: POST /webhooks/clerk.
+ *
+ * Clerk sends user, organization and membership lifecycle events through
+ * Svix.  The delivery is verified against CLERK_WEBHOOK_SECRET and the
+ * event is applied to users, organizations, organization_members and
+ * profiles.  Deliveries are recorded in webhook_events by their svix-id, so
+ * a replayed event is acknowledged without being applied twice; an event
+ * that fails is forgotten again so that Svix's retry can apply it.
+ *
+ * The request carries no session, so the router is mounted before
+ * `authenticate`.  It needs the raw body, which server.js keeps in
+ * req.rawBody.  scripts/send-clerk-webhook.js sends signed sample events
+ * for local testing.
+ */
+const express = require('express');
+const { verifySignature } = require('./svix');
+const { ROLES } = require('../roles');
+const { linkClerkUser, resolveCurrentOrganization } = require('../identity');
+
+// Clerk organization roles ("org:admin", "org:member" or custom ones).
+function mapRole(clerkRole) {
+  const role = String(clerkRole || '').replace(/^org:/, '');
+  if (role === 'member' || role === 'basic_member') return 'editor';
+  return ROLES.includes(role) ? role : 'viewer';
+}
+
+// The primary email address if it is verified (see identity.js).
+function primaryEmail(user) {
+  const addresses = user.email_addresses || [];
+  const primary = addresses.find((address) => address.id === user.primary_email_address_id) || addresses[0];
+  return primary?.verification?.status === 'verified' ? primary.email_address : null;
+}
+
+function displayName(user) {
+  return [user.first_name, user.last_name].filter(Boolean).join(' ') || null;
+}
+
+async function upsertUser(db, data) {
+  const email = primaryEmail(data);
+  const userId = await linkClerkUser(db, data.id, { email, name: displayName(data) });
+  if (email) {
+    // An address another user already has stays with that user.
+    await db.query(
+      `UPDATE users SET email=$2
+        WHERE id=$1 AND NOT EXISTS (SELECT 1 FROM users WHERE LOWER(email)=LOWER($2) AND id<>$1)`,
+      [userId, email],
+    );
+  }
+  return userId;
+}
+
+async function deleteUser(db, clerkUserId) {
+  const { rows } = await db.query('SELECT id FROM users WHERE clerk_id=$1', [clerkUserId]);
+  await db.query('DELETE FROM profiles WHERE clerk_id=$1', [clerkUserId]);
+  if (!rows[0]) return;
+  const orgsRes = await db.query('SELECT organization_id FROM organization_members WHERE user_id=$1', [rows[0].id]);
+  await db.query('DELETE FROM users WHERE id=$1', [rows[0].id]);
+  // Organizations left without members would be orphans.
+  const orgIds = orgsRes.rows.map((row) => row.organization_id);
+  if (orgIds.length) {
+    await db.query(
+      `DELETE FROM organizations o
+        WHERE o.id = ANY($1)
+          AND NOT EXISTS (SELECT 1 FROM organization_members m WHERE m.organization_id = o.id)`,
+      [orgIds],
+    );
+  }
+}
+
+async function upsertOrganization(db, data) {
+  const { rows } = await db.query(
+    `INSERT INTO organizations (clerk_org_id, name) VALUES ($1, $2)
+     ON CONFLICT (clerk_org_id) DO UPDATE SET name = EXCLUDED.name
+     RETURNING id`,
+    [data.id, data.name || 'Unnamed'],
+  );
+  return rows[0].id;
+}
+
+async function deleteOrganization(db, clerkOrgId) {
+  const { rows } = await db.query('SELECT id FROM organizations WHERE clerk_org_id=$1', [clerkOrgId]);
+  if (!rows[0]) return;
+  const usersRes = await db.query('UPDATE users SET organization_id=NULL WHERE organization_id=$1 RETURNING id', [
+    rows[0].id,
+  ]);
+  await db.query('DELETE FROM organizations WHERE id=$1', [rows[0].id]);
+  for (const user of usersRes.rows) await resolveCurrentOrganization(db, user.id);
+}
+
+async function upsertMembership(db, data, role) {
+  const orgId = await upsertOrganization(db, data.organization);
+  const member = data.public_user_data || {};
+  // The identifier is not known to be a verified email, so the user's
+  // details are fetched from Clerk.
+  const userId = await linkClerkUser(db, member.user_id);
+  await db.query(
+    `INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, $3)
+     ON CONFLICT (organization_id, user_id) DO UPDATE SET role = EXCLUDED.role`,
+    [orgId, userId, role],
+  );
+  // A user without a current organization starts in this one.
+  await resolveCurrentOrganization(db, userId);
+  return { orgId, userId };
+}
+
+// The user continues in another organization the user belongs to.
+async function deleteMembership(db, data) {
+  const { rows } = await db.query(
+    `DELETE FROM organization_members m
+      USING organizations o, users u
+      WHERE m.organization_id = o.id AND m.user_id = u.id
+        AND o.clerk_org_id = $1 AND u.clerk_id = $2
+      RETURNING m.user_id`,
+    [data.organization.id, data.public_user_data?.user_id],
+  );
+  if (rows[0]) await resolveCurrentOrganization(db, rows[0].user_id);
+}
+
+// Event handlers by Clerk event type.
+const HANDLERS = {
+  'user.created': (db, data) => upsertUser(db, data),
+  'user.updated': (db, data) => upsertUser(db, data),
+  'user.deleted': (db, data) => deleteUser(db, data.id),
+  'organization.created': async (db, data) => {
+    const orgId = await upsertOrganization(db, data);
+    // The creator owns the organization.
+    if (data.created_by) {
+      const userId = await linkClerkUser(db, data.created_by);
+      await db.query(
+        `INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, 'owner')
+         ON CONFLICT (organization_id, user_id) DO UPDATE SET role = 'owner'`,
+        [orgId, userId],
+      );
+    }
+  },
+  'organization.updated': (db, data) => upsertOrganization(db, data),
+  'organization.deleted': (db, data) => deleteOrganization(db, data.id),
+  'organizationMembership.created': (db, data) => upsertMembership(db, data, mapRole(data.role)),
+  'organizationMembership.updated': (db, data) => upsertMembership(db, data, mapRole(data.role)),
+  'organizationMembership.deleted': (db, data) => deleteMembership(db, data),
+};
+
+/**
+ * Apply a Clerk event.  Unknown event types are ignored.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {{type: string, data: Object}} event
+ * @returns {Promise<boolean>} True if the event type is handled.
+ */
+async function handleClerkEvent(db, event) {
+  const handler = HANDLERS[event.type];
+  if (!handler) return false;
+  await handler(db, event.data || {});
+  return true;
+}
+
+function createClerkWebhookRouter(db) {
+  const router = express.Router();
+
+  router.post('/webhooks/clerk', async (req, res) => {
+    const secret = process.env.CLERK_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error('CLERK_WEBHOOK_SECRET is not set');
+      return res.status(500).json({ error: 'Webhook secret not configured' });
+    }
+    const body = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
+    if (!verifySignature(secret, req.headers, body)) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    const eventId = req.headers['svix-id'];
+    const event = req.body;
+    try {
+      const inserted = await db.query(
+        `INSERT INTO webhook_events (id, source, type) VALUES ($1, 'clerk', $2)
+         ON CONFLICT (id) DO NOTHING`,
+        [eventId, event.type],
+      );
+      if (inserted.rowCount === 0) return res.json({ received: true, duplicate: true });
+      try {
+        const handled = await handleClerkEvent(db, event);
+        await db.query('UPDATE webhook_events SET processed_at=NOW() WHERE id=$1', [eventId]);
+        return res.json({ received: true, handled });
+      } catch (err) {
+        await db.query('DELETE FROM webhook_events WHERE id=$1', [eventId]);
+        throw err;
+      }
+    } catch (err) {
+      console.error(`Error handling Clerk webhook ${event.type}:`, err);
+      return res.status(500).json({ error: 'Failed to handle webhook' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createClerkWebhookRouter, handleClerkEvent };
@@ -0,0 +1,59 @@
+// Svix webhook signatures, as used by Clerk.
+//
+// Each delivery carries `svix-id`, `svix-timestamp` and `svix-signature`
+// headers.  The signature is an HMAC-SHA256 of "<id>.<timestamp>.<body>"
+// keyed with the base64 part of the endpoint secret ("whsec_..."), sent as
+// a space separated list of "v1,<base64>" entries so that secrets can be
+// rotated.  Deliveries older than the tolerance are rejected to prevent
+// replays of captured requests.
+
+const crypto = require('crypto');
+
+const TOLERANCE_SECONDS = 5 * 60;
+
+function secretKey(secret) {
+  return Buffer.from(String(secret).replace(/^whsec_/, ''), 'base64');
+}
+
+/**
+ * Compute the "v1,<base64>" signature of a payload.
+ *
+ * @param {string} secret - Endpoint secret ("whsec_...").
+ * @param {string} id - svix-id.
+ * @param {number|string} timestamp - svix-timestamp in seconds.
+ * @param {string|Buffer} body - Raw request body.
+ * @returns {string}
+ */
+function signPayload(secret, id, timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', secretKey(secret))
+    .update(`${id}.${timestamp}.${body}`)
+    .digest('base64');
+  return `v1,${digest}`;
+}
+
+/**
+ * Verify the Svix headers of a delivery.
+ *
+ * @param {string} secret
+ * @param {Object} headers - Request headers (lower-case keys).
+ * @param {string|Buffer} body - Raw request body.
+ * @param {number} [now] - Current time in milliseconds.
+ * @returns {boolean}
+ */
+function verifySignature(secret, headers, body, now = Date.now()) {
+  const id = headers['svix-id'];
+  const timestamp = headers['svix-timestamp'];
+  const signatures = headers['svix-signature'];
+  if (!id || !timestamp || !signatures) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) return false;
+  const expected = Buffer.from(signPayload(secret, id, timestamp, body));
+  return String(signatures)
+    .split(' ')
+    .some((signature) => {
+      const candidate = Buffer.from(signature);
+      return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+    });
+}
+
+module.exports = { signPayload, verifySignature };
@@ -0,0 +1,29 @@
+// Standalone job worker: runs the job queue (publishing, image generation,
+// notifications and maintenance) without the HTTP server.
+//
+//   DATABASE_URL=... npm run worker
+//
+// Run the API server with RUN_WORKER=false when the jobs run here instead.
+// The server applies schema.sql, so start it (once) before the worker.
+
+const { Pool } = require('pg');
+const { createJobWorker } = require('./jobs/handlers');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const worker = createJobWorker(pool);
+worker.start();
+console.log(`Job worker ${worker.workerId} started`);
+
+// Finish the running jobs before exiting so that they are not retried.
+async function shutdown(signal) {
+  console.log(`Received ${signal}, stopping job worker`);
+  await worker.stop();
+  await pool.end();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
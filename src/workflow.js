@@ -0,0 +1,148 @@
+// Editorial workflow of posts.
+//
+//   draft → in_review → approved → scheduled → publishing → published
+//                     ↘ changes_requested → in_review        ↘ failed
+//
+// Users move posts between statuses along TRANSITIONS; `publishing`,
+// `published` and `failed` are set by the publisher.  Every change goes
+// through changePostStatus() or recordStatusChange() and is stored in
+// post_status_history with the user who made it (NULL for the scheduler).
+//
+// Only approved posts can be scheduled.  Approval is kept in
+// posts.approved_at/approved_by and is cleared when a post goes back to
+// draft or review, e.g. when its content is edited after approval.
+
+// Valid values for posts.status.
+const POST_STATUSES = [
+  'draft',
+  'in_review',
+  'changes_requested',
+  'approved',
+  'scheduled',
+  'publishing',
+  'published',
+  'failed',
+];
+
+// Status changes users may make.  A scheduled post can be unscheduled back
+// to approved, a failed post can be scheduled again, and approved posts can
+// be sent back to review.
+const TRANSITIONS = {
+  draft: ['in_review'],
+  in_review: ['approved', 'changes_requested', 'draft'],
+  changes_requested: ['in_review', 'draft'],
+  approved: ['scheduled', 'in_review', 'draft'],
+  scheduled: ['approved', 'in_review', 'draft'],
+  publishing: [],
+  published: [],
+  failed: ['scheduled', 'in_review', 'draft'],
+};
+
+// Statuses that carry an approval; editing the content of such a post
+// sends it back to review.
+const APPROVED_STATUSES = ['approved', 'scheduled', 'failed'];
+
+// Statuses in which a post has no valid approval.
+const UNAPPROVED_STATUSES = ['draft', 'in_review', 'changes_requested'];
+
+/**
+ * Error thrown for a status change the workflow does not allow.  Routes
+ * respond with `status` (409) and the details in the body.
+ */
+class WorkflowError extends Error {
+  constructor(message, code = 'invalid_transition') {
+    super(message);
+    this.name = 'WorkflowError';
+    this.status = 409;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+/**
+ * Check that a post may be moved to the given status.
+ *
+ * @param {Object} post - Row from the posts table.
+ * @param {string} status - Target status.
+ * @throws {WorkflowError}
+ */
+function assertTransition(post, status) {
+  const allowed = TRANSITIONS[post.status] || [];
+  if (!allowed.includes(status)) {
+    throw new WorkflowError(`Cannot change status from ${post.status} to ${status}`);
+  }
+  if ((status === 'approved' || status === 'scheduled') && post.flagged && post.moderation_status !== 'approved') {
+    throw new WorkflowError(
+      'Post is flagged for moderation and must be approved by a moderator first',
+      'moderation_pending',
+    );
+  }
+  if (status === 'scheduled' && !post.scheduled_at) {
+    throw new WorkflowError('Post needs a scheduled_at time before it can be scheduled', 'missing_schedule');
+  }
+}
+
+/**
+ * Store a status change in post_status_history.
+ *
+ * @param {Object} db - PostgreSQL client exposing `query`.
+ * @param {number} postId
+ * @param {string|null} fromStatus
+ * @param {string} toStatus
+ * @param {{userId?: string|null, note?: string|null}} [options]
+ */
+async function recordStatusChange(db, postId, fromStatus, toStatus, { userId = null, note = null } = {}) {
+  await db.query(
+    `INSERT INTO post_status_history (post_id, from_status, to_status, changed_by, note)
+          VALUES ($1, $2, $3, $4, $5)`,
+    [postId, fromStatus, toStatus, userId === null ? null : String(userId), note],
+  );
+}
+
+/**
+ * Move a post to a new status, keeping its approval up to date and
+ * recording the change.  The update only applies if the post still has the
+ * status it was read with, so concurrent changes are not overwritten.
+ *
+ * @param {Object} db
+ * @param {Object} post - Current row of the post.
+ * @param {string} status - Target status.
+ * @param {{userId?: string|null, note?: string|null}} [options]
+ * @returns {Promise<Object>} The updated post.
+ * @throws {WorkflowError}
+ */
+async function changePostStatus(db, post, status, { userId = null, note = null } = {}) {
+  assertTransition(post, status);
+  let approval = '';
+  if (status === 'approved' && post.status === 'in_review') {
+    approval = ', approved_at=NOW(), approved_by=$4';
+  } else if (UNAPPROVED_STATUSES.includes(status)) {
+    approval = ', approved_at=NULL, approved_by=NULL';
+  }
+  const params = [post.id, post.status, status];
+  if (approval.includes('$4')) params.push(userId === null ? null : String(userId));
+  const { rows } = await db.query(
+    `UPDATE posts
+        SET status=$3, error_reason=CASE WHEN $3 = 'scheduled' THEN NULL ELSE error_reason END${approval},
+            updated_at=NOW()
+      WHERE id=$1 AND status=$2
+      RETURNING *`,
+    params,
+  );
+  if (rows.length === 0) throw new WorkflowError('Post status was changed by someone else', 'conflict');
+  await recordStatusChange(db, post.id, post.status, status, { userId, note });
+  return rows[0];
+}
+
+module.exports = {
+  POST_STATUSES,
+  TRANSITIONS,
+  APPROVED_STATUSES,
+  WorkflowError,
+  assertTransition,
+  recordStatusChange,
+  changePostStatus,
+};